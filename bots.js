@@ -0,0 +1,153 @@
+// Bot move strategies built on the rules engine.
+//
+// Strategies only read a game state and return the token to move; seating
+// bots and pacing their turns is the server's job.
+
+const rules = require('./rules');
+
+// Difficulty names accepted from clients, mapped to a strategy.
+const DIFFICULTIES = {
+  easy: 'random',
+  medium: 'greedy',
+  hard: 'lookahead',
+  random: 'random',
+  greedy: 'greedy',
+  lookahead: 'lookahead'
+};
+const DEFAULT_DIFFICULTY = 'medium';
+
+// Roughly how long a person takes to roll or pick a token.
+const THINK_DELAY_MS = { min: 700, max: 1800 };
+
+const BOT_NAMES = ['Ada', 'Bolt', 'Chip', 'Dot', 'Echo', 'Flux', 'Gizmo', 'Hex'];
+
+function normalizeDifficulty(value) {
+  const key = String(value || '').toLowerCase();
+  return DIFFICULTIES[key] ? key : DEFAULT_DIFFICULTY;
+}
+
+function getStrategy(difficulty) {
+  return DIFFICULTIES[normalizeDifficulty(difficulty)];
+}
+
+function getThinkDelay(random = Math.random) {
+  return Math.round(THINK_DELAY_MS.min + random() * (THINK_DELAY_MS.max - THINK_DELAY_MS.min));
+}
+
+function pickBotName(takenNames = [], random = Math.random) {
+  const free = BOT_NAMES.filter(name => !takenNames.includes(`Bot ${name}`));
+  const pool = free.length > 0 ? free : BOT_NAMES;
+  return `Bot ${pool[Math.floor(random() * pool.length)]}`;
+}
+
+// Chance (0..1) that some opponent token can land on this square next roll.
+function getExposure(state, color, step) {
+  if (rules.isSafePosition(color, step)) return 0;
+  const square = rules.getBoardIndex(color, step);
+  let safeChance = 1;
+  rules.getActiveColors(state).forEach(otherColor => {
+    if (otherColor === color || rules.isTeammate(state, color, otherColor)) return;
+    (state.tokens[otherColor] || []).forEach(otherStep => {
+      if (otherStep < 0 || otherStep > rules.LAST_TRACK_STEP) return;
+      let hits = 0;
+      for (let dice = 1; dice <= 6; dice++) {
+        const target = otherStep + dice;
+        if (target <= rules.LAST_TRACK_STEP && rules.getBoardIndex(otherColor, target) === square) hits++;
+      }
+      safeChance *= 1 - hits / 6;
+    });
+  });
+  return 1 - safeChance;
+}
+
+// Expected loss from captures, weighted by how far each token has come.
+function getRisk(state, color) {
+  return (state.tokens[color] || []).reduce((risk, step) => {
+    if (step < 0 || step > rules.LAST_TRACK_STEP) return risk;
+    return risk + getExposure(state, color, step) * (step + 10);
+  }, 0);
+}
+
+function simulateMove(state, color, tokenIndex, diceValue) {
+  const result = rules.applyAction(
+    { ...state, gameStarted: true, currentPlayer: color, diceValue },
+    { type: 'move', color, tokenIndex, diceValue }
+  );
+  if (!result.ok) return null;
+  const moved = result.events.find(e => e.type === 'token_moved');
+  return { state: result.state, moved };
+}
+
+function scoreGreedy(moved) {
+  let score = moved.newStep / 4;
+  score += moved.captures.length * 100;
+  if (moved.newStep === rules.HOME_STEP) score += 60;
+  if (moved.fromStep === -1) score += 40;
+  if (moved.fromStep <= rules.LAST_TRACK_STEP && moved.newStep > rules.LAST_TRACK_STEP) score += 30;
+  const wasSafe = moved.fromStep >= 0 && rules.isSafePosition(moved.color, moved.fromStep);
+  const isSafe = rules.isSafePosition(moved.color, moved.newStep);
+  if (isSafe && moved.newStep <= rules.LAST_TRACK_STEP) score += 25;
+  if (wasSafe && !isSafe) score -= 15;
+  return score;
+}
+
+function chooseRandom(state, color, diceValue, moves, random) {
+  return moves[Math.floor(random() * moves.length)];
+}
+
+function chooseGreedy(state, color, diceValue, moves) {
+  return pickBest(moves, tokenIndex => {
+    const sim = simulateMove(state, color, tokenIndex, diceValue);
+    return sim ? scoreGreedy(sim.moved) : -Infinity;
+  });
+}
+
+function chooseLookahead(state, color, diceValue, moves) {
+  return pickBest(moves, tokenIndex => {
+    const sim = simulateMove(state, color, tokenIndex, diceValue);
+    if (!sim) return -Infinity;
+    const tokenColor = sim.moved.color;
+    const riskBefore = getRisk(state, tokenColor);
+    const riskAfter = getRisk(sim.state, tokenColor);
+    return scoreGreedy(sim.moved) + (riskBefore - riskAfter) * 1.5;
+  });
+}
+
+function pickBest(moves, score) {
+  let best = null;
+  let bestScore = -Infinity;
+  moves.forEach(tokenIndex => {
+    const value = score(tokenIndex);
+    if (value > bestScore) {
+      best = tokenIndex;
+      bestScore = value;
+    }
+  });
+  return best;
+}
+
+const STRATEGIES = {
+  random: chooseRandom,
+  greedy: chooseGreedy,
+  lookahead: chooseLookahead
+};
+
+// Token index to move, or null when the roll has no valid move.
+function chooseMove(state, color, diceValue, difficulty, random = Math.random) {
+  const moves = rules.getValidMoves(state, color, diceValue);
+  if (moves.length === 0) return null;
+  if (moves.length === 1) return moves[0];
+  return STRATEGIES[getStrategy(difficulty)](state, color, diceValue, moves, random);
+}
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_DIFFICULTY,
+  normalizeDifficulty,
+  getStrategy,
+  getThinkDelay,
+  pickBotName,
+  getExposure,
+  getRisk,
+  chooseMove
+};
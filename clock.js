@@ -0,0 +1,93 @@
+// Turn clocks.
+//
+// A room has a turn length and an optional chess-style time bank: extra time
+// each player can draw on across the whole match once a turn runs out. Clocks
+// are stored in milliseconds; clients send and see whole seconds.
+
+const DEFAULT_TURN_MS = 10000;
+const DEFAULT_BANK_MS = 0;
+
+const CLOCK_OPTIONS = {
+  turnSeconds: { field: 'turnMs', min: 5, max: 120 },
+  bankSeconds: { field: 'bankMs', min: 0, max: 600 }
+};
+
+function getDefaultClock() {
+  return { turnMs: DEFAULT_TURN_MS, bankMs: DEFAULT_BANK_MS };
+}
+
+// Strict check of client input; options left out keep their value in base.
+function validateClock(input, base = getDefaultClock()) {
+  const clock = { ...getDefaultClock(), ...base };
+  if (input === undefined || input === null) {
+    return { ok: true, clock };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, error: 'Clock must be an object' };
+  }
+  for (const [key, value] of Object.entries(input)) {
+    const option = CLOCK_OPTIONS[key];
+    if (!option) {
+      return { ok: false, error: `Unknown clock option: ${key}` };
+    }
+    if (!Number.isInteger(value) || value < option.min || value > option.max) {
+      return { ok: false, error: `Clock ${key} must be a whole number from ${option.min} to ${option.max}` };
+    }
+    clock[option.field] = value * 1000;
+  }
+  return { ok: true, clock };
+}
+
+function describeClock(clock) {
+  const active = { ...getDefaultClock(), ...(clock || {}) };
+  return {
+    turnSeconds: Math.round(active.turnMs / 1000),
+    bankSeconds: Math.round(active.bankMs / 1000)
+  };
+}
+
+// Quick play clock presets, e.g. "*:2=10/30,100:4=15/60" for
+// fee:players=turnSeconds/bankSeconds. "*" matches any entry fee.
+function parseClockPresets(raw) {
+  return String(raw || '')
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean)
+    .reduce((presets, entry) => {
+      const match = entry.match(/^(\*|\d+):(\d+)=(\d+)\/(\d+)$/);
+      const check = match
+        ? validateClock({ turnSeconds: parseInt(match[3], 10), bankSeconds: parseInt(match[4], 10) })
+        : { ok: false };
+      if (!check.ok) {
+        console.warn(`Ignoring invalid clock preset "${entry}" (expected fee:players=turn/bank seconds)`);
+        return presets;
+      }
+      presets[`${match[1]}:${match[2]}`] = check.clock;
+      return presets;
+    }, {});
+}
+
+function getPresetClock(presets, entryFee, playerCount) {
+  return presets[`${entryFee}:${playerCount}`]
+    || presets[`*:${playerCount}`]
+    || getDefaultClock();
+}
+
+function createTimeBanks(colors, clock) {
+  const bankMs = clock?.bankMs ?? DEFAULT_BANK_MS;
+  return (colors || []).reduce((banks, color) => {
+    banks[color] = bankMs;
+    return banks;
+  }, {});
+}
+
+module.exports = {
+  DEFAULT_TURN_MS,
+  CLOCK_OPTIONS,
+  getDefaultClock,
+  validateClock,
+  describeClock,
+  parseClockPresets,
+  getPresetClock,
+  createTimeBanks
+};
@@ -0,0 +1,133 @@
+// Coin packs.
+//
+// Packs live in the coin_packs collection so prices and sales can change
+// without a deploy. A pack can add a bonus on top of its base coins, run only
+// between startsAt and endsAt, cap how many times one player buys it, and be
+// reserved for a player's first purchase.
+
+const DEFAULT_COIN_PACKS = [
+  { _id: 'pi-1', piAmount: 1, coins: 50, sort: 1 },
+  { _id: 'pi-2', piAmount: 2, coins: 100, sort: 2 },
+  { _id: 'pi-5', piAmount: 5, coins: 300, sort: 3 },
+  { _id: 'pi-10', piAmount: 10, coins: 600, sort: 4 }
+];
+
+const MAX_BONUS_PERCENT = 500;
+
+function toDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Strict check of an admin pack definition. Returns the document to store.
+function validatePack(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, error: 'Pack must be an object' };
+  }
+  const piAmount = Number(input.piAmount);
+  if (!Number.isFinite(piAmount) || piAmount <= 0) {
+    return { ok: false, error: 'piAmount must be a positive number' };
+  }
+  if (!Number.isInteger(input.coins) || input.coins <= 0) {
+    return { ok: false, error: 'coins must be a positive whole number' };
+  }
+  const bonusPercent = input.bonusPercent ?? 0;
+  if (!Number.isInteger(bonusPercent) || bonusPercent < 0 || bonusPercent > MAX_BONUS_PERCENT) {
+    return { ok: false, error: `bonusPercent must be a whole number from 0 to ${MAX_BONUS_PERCENT}` };
+  }
+  const perPlayerLimit = input.perPlayerLimit ?? null;
+  if (perPlayerLimit !== null && (!Number.isInteger(perPlayerLimit) || perPlayerLimit < 1)) {
+    return { ok: false, error: 'perPlayerLimit must be a positive whole number or null' };
+  }
+  const startsAt = toDate(input.startsAt);
+  const endsAt = toDate(input.endsAt);
+  if (startsAt === undefined || endsAt === undefined) {
+    return { ok: false, error: 'startsAt and endsAt must be dates' };
+  }
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    return { ok: false, error: 'endsAt must be after startsAt' };
+  }
+  return {
+    ok: true,
+    pack: {
+      piAmount,
+      coins: input.coins,
+      bonusPercent,
+      startsAt,
+      endsAt,
+      perPlayerLimit,
+      firstPurchaseOnly: input.firstPurchaseOnly === true,
+      active: input.active !== false,
+      sort: Number.isInteger(input.sort) ? input.sort : 0
+    }
+  };
+}
+
+function getBonusCoins(pack) {
+  return Math.floor((pack.coins * (pack.bonusPercent || 0)) / 100);
+}
+
+function isPackLive(pack, now = new Date()) {
+  if (!pack || pack.active === false) return false;
+  if (pack.startsAt && new Date(pack.startsAt) > now) return false;
+  if (pack.endsAt && new Date(pack.endsAt) <= now) return false;
+  return true;
+}
+
+// history: { packOrders, anyOrders } - the player's orders that are paid for
+// or still in progress, for this pack and in total.
+function checkPackForPlayer(pack, history, now = new Date()) {
+  if (!isPackLive(pack, now)) {
+    return { ok: false, error: 'Pack is not available' };
+  }
+  if (pack.firstPurchaseOnly && history.anyOrders > 0) {
+    return { ok: false, error: 'Pack is only for a first purchase' };
+  }
+  if (pack.perPlayerLimit && history.packOrders >= pack.perPlayerLimit) {
+    return { ok: false, error: 'Purchase limit reached for this pack' };
+  }
+  return { ok: true };
+}
+
+// What the order records, so later price changes don't touch it.
+function snapshotPack(pack) {
+  const bonusCoins = getBonusCoins(pack);
+  return {
+    packId: pack._id,
+    piAmount: pack.piAmount,
+    baseCoins: pack.coins,
+    bonusPercent: pack.bonusPercent || 0,
+    bonusCoins,
+    coins: pack.coins + bonusCoins
+  };
+}
+
+function describePack(pack, history) {
+  const snapshot = snapshotPack(pack);
+  return {
+    id: pack._id,
+    piAmount: snapshot.piAmount,
+    coins: snapshot.coins,
+    baseCoins: snapshot.baseCoins,
+    bonusCoins: snapshot.bonusCoins,
+    bonusPercent: snapshot.bonusPercent,
+    startsAt: pack.startsAt || null,
+    endsAt: pack.endsAt || null,
+    firstPurchaseOnly: !!pack.firstPurchaseOnly,
+    perPlayerLimit: pack.perPlayerLimit || null,
+    remainingPurchases: pack.perPlayerLimit
+      ? Math.max(0, pack.perPlayerLimit - (history?.packOrders || 0))
+      : null
+  };
+}
+
+module.exports = {
+  DEFAULT_COIN_PACKS,
+  validatePack,
+  getBonusCoins,
+  isPackLive,
+  checkPackForPlayer,
+  snapshotPack,
+  describePack
+};
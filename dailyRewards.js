@@ -0,0 +1,172 @@
+// Daily reward calendar.
+//
+// Players claim once per calendar day, where days start at midnight in the
+// configured timezone. Consecutive claims build a streak that walks through
+// the calendar and starts over after the last day. A limited number of missed
+// days per week are forgiven instead of resetting the streak.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_WINDOW_DAYS = 7;
+
+// "100,150,200,250,300,350,400+500": coins per calendar day, and an optional
+// "+bonus" paid on top on that day. Falls back to (day + 1) * baseReward over
+// seven days.
+function parseCalendar(raw, baseReward) {
+  const entries = String(raw || '')
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean);
+  const calendar = [];
+  for (const entry of entries) {
+    const match = entry.match(/^(\d+)(?:\+(\d+))?$/);
+    if (!match) {
+      console.warn(`Ignoring invalid daily reward calendar "${raw}" (expected coins or coins+bonus per day)`);
+      calendar.length = 0;
+      break;
+    }
+    calendar.push({ coins: parseInt(match[1], 10), bonus: match[2] ? parseInt(match[2], 10) : 0 });
+  }
+  if (calendar.length > 0) return calendar;
+  return Array.from({ length: 7 }, (_, idx) => ({ coins: (idx + 2) * baseReward, bonus: 0 }));
+}
+
+function resolveTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(new Date());
+    return timeZone;
+  } catch (err) {
+    console.warn(`Unknown timezone "${timeZone}" for daily rewards; using UTC`);
+    return 'UTC';
+  }
+}
+
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  return parts.reduce((acc, part) => {
+    if (part.type !== 'literal') acc[part.type] = parseInt(part.value, 10);
+    return acc;
+  }, {});
+}
+
+// Calendar date in the timezone, as YYYY-MM-DD.
+function getDayKey(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function keyToUtc(key) {
+  const [year, month, day] = key.split('-').map(v => parseInt(v, 10));
+  return Date.UTC(year, month - 1, day);
+}
+
+function addDays(key, days) {
+  return new Date(keyToUtc(key) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((keyToUtc(toKey) - keyToUtc(fromKey)) / DAY_MS);
+}
+
+// Milliseconds the timezone is ahead of UTC at that instant.
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a calendar day starts in the timezone.
+function getDayStart(key, timeZone, near = new Date(keyToUtc(key))) {
+  const midnight = keyToUtc(key);
+  // Guess with the offset at a nearby instant, then correct once in case a
+  // DST change lies in between.
+  let start = midnight - getOffsetMs(near, timeZone);
+  start = midnight - getOffsetMs(new Date(start), timeZone);
+  return new Date(start);
+}
+
+// The instant the next calendar day starts in the timezone.
+function getNextReset(now, timeZone) {
+  return getDayStart(addDays(getDayKey(now, timeZone), 1), timeZone, now);
+}
+
+// The instant the current calendar day started in the timezone.
+function getTodayStart(now, timeZone) {
+  return getDayStart(getDayKey(now, timeZone), timeZone, now);
+}
+
+function getCalendarDay(streak, length) {
+  return ((Math.max(1, streak) - 1) % length) + 1;
+}
+
+// config: { calendar, timeZone, gracePerWeek }
+function getDailyState(player, config, now = new Date()) {
+  const { calendar, timeZone, gracePerWeek } = config;
+  const today = getDayKey(now, timeZone);
+  const lastDay = player?.dailyClaimDay
+    || (player?.lastDailyClaim ? getDayKey(new Date(player.lastDailyClaim), timeZone) : null);
+  const streak = Math.max(0, parseInt(player?.dailyStreak || 0, 10) || 0);
+  const graceDays = (player?.dailyGraceDays || []).filter(day => daysBetween(day, today) < GRACE_WINDOW_DAYS);
+  const graceLeft = Math.max(0, gracePerWeek - graceDays.length);
+
+  let canClaim = true;
+  let nextStreak = 1;
+  let forgiven = [];
+  if (lastDay) {
+    const gap = daysBetween(lastDay, today);
+    if (gap <= 0) {
+      canClaim = false;
+      nextStreak = streak + 1;
+    } else if (gap === 1) {
+      nextStreak = streak + 1;
+    } else if (gap - 1 <= graceLeft) {
+      nextStreak = streak + 1;
+      forgiven = Array.from({ length: gap - 1 }, (_, idx) => addDays(lastDay, idx + 1));
+    }
+  }
+
+  const rewardDay = getCalendarDay(nextStreak, calendar.length);
+  const reward = calendar[rewardDay - 1];
+  // Days of the current pass through the calendar that are already claimed.
+  const claimedDays = canClaim ? rewardDay - 1 : getCalendarDay(streak, calendar.length);
+  return {
+    today,
+    canClaim,
+    streak: canClaim && nextStreak === 1 ? 0 : streak,
+    nextStreak,
+    rewardDay,
+    rewardCoins: reward.coins + reward.bonus,
+    reward,
+    forgiven,
+    graceDays: [...graceDays, ...forgiven],
+    graceLeft: Math.max(0, graceLeft - forgiven.length),
+    nextResetAt: getNextReset(now, timeZone),
+    calendar: calendar.map((day, idx) => ({
+      day: idx + 1,
+      coins: day.coins,
+      bonus: day.bonus,
+      claimed: idx + 1 <= claimedDays,
+      next: idx + 1 === rewardDay
+    }))
+  };
+}
+
+module.exports = {
+  parseCalendar,
+  resolveTimeZone,
+  getDayKey,
+  addDays,
+  daysBetween,
+  getDayStart,
+  getNextReset,
+  getTodayStart,
+  getDailyState
+};
@@ -0,0 +1,77 @@
+// Coin economy report.
+//
+// The coin_transactions ledger records every coin that enters a player's
+// balance, leaves it, or is kept by the house. Ledger types fall into three
+// flows: coins the game issues (signup grants, rewards, purchases), coins it
+// takes out (house fees), and coins that only move between players and the
+// escrow (entry fees, refunds, prizes, transfers). Issued minus taken out is
+// how much the coin supply grew.
+
+const ISSUED_TYPES = ['starting_balance', 'new_player_bonus', 'daily', 'mission', 'referral', 'purchase'];
+const REMOVED_TYPES = ['house_fee'];
+const TIER_TYPES = ['entry_fee', 'refund', 'prize', 'house_fee'];
+const MAX_REPORT_DAYS = 366;
+
+function getFlow(type) {
+  if (ISSUED_TYPES.includes(type)) return 'issued';
+  if (REMOVED_TYPES.includes(type)) return 'removed';
+  return 'moved';
+}
+
+function emptyTotals() {
+  return { issued: 0, removed: 0, netIssued: 0, piRevenue: 0, byType: {} };
+}
+
+function addRow(totals, row) {
+  const entry = totals.byType[row.type] || { count: 0, amount: 0 };
+  entry.count += row.count;
+  entry.amount += row.amount;
+  totals.byType[row.type] = entry;
+  const flow = getFlow(row.type);
+  if (flow === 'issued') totals.issued += row.amount;
+  if (flow === 'removed') totals.removed += row.amount;
+  totals.netIssued = totals.issued - totals.removed;
+  totals.piRevenue += row.piAmount || 0;
+}
+
+// rows: { day, type, entryFee, count, amount, piAmount } grouped from the
+// ledger. Debits such as entry fees are negative in the ledger; the report
+// gives every amount as a number of coins.
+function buildReport(rows) {
+  const totals = emptyTotals();
+  const days = {};
+  const tiers = {};
+  for (const raw of rows) {
+    const row = { ...raw, amount: Math.abs(raw.amount) };
+    addRow(totals, row);
+    if (!days[row.day]) days[row.day] = { day: row.day, ...emptyTotals() };
+    addRow(days[row.day], row);
+    if (TIER_TYPES.includes(row.type)) {
+      const key = row.entryFee ?? 'unknown';
+      if (!tiers[key]) {
+        tiers[key] = { entryFee: row.entryFee ?? null, matches: 0, entryFees: 0, refunds: 0, prizes: 0, houseFees: 0 };
+      }
+      const tier = tiers[key];
+      if (row.type === 'entry_fee') tier.entryFees += row.amount;
+      if (row.type === 'refund') tier.refunds += row.amount;
+      if (row.type === 'prize') tier.prizes += row.amount;
+      if (row.type === 'house_fee') {
+        tier.houseFees += row.amount;
+        tier.matches += row.count;
+      }
+    }
+  }
+  return {
+    totals,
+    days: Object.values(days).sort((a, b) => a.day.localeCompare(b.day)),
+    tiers: Object.values(tiers).sort((a, b) => (a.entryFee ?? Infinity) - (b.entryFee ?? Infinity))
+  };
+}
+
+module.exports = {
+  ISSUED_TYPES,
+  REMOVED_TYPES,
+  MAX_REPORT_DAYS,
+  getFlow,
+  buildReport
+};
@@ -0,0 +1,132 @@
+// Provably fair dice (commit–reveal).
+//
+// A game gets a secret server seed whose SHA-256 hash is published before
+// players can pick their client seeds for it: when the room is created, and
+// for each following game when the one before it starts. Each roll is derived
+// from HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}`), where the client
+// seed combines every player's seed and the nonce counts rolls. The server
+// seed is revealed at game over, so anyone can recompute every roll with
+// verifyRolls().
+
+const crypto = require('crypto');
+
+const HASH_ALGORITHM = 'sha256';
+const CHUNK_HEX_LENGTH = 8;
+const CHUNK_MAX = 0x100000000;
+// Largest multiple of 6 below 2^32, so the modulo below is unbiased.
+const CHUNK_LIMIT = CHUNK_MAX - (CHUNK_MAX % 6);
+
+function createSeed(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function hashSeed(serverSeed) {
+  return crypto.createHash(HASH_ALGORITHM).update(String(serverSeed)).digest('hex');
+}
+
+function combineClientSeeds(seeds) {
+  return (seeds || []).map(seed => String(seed || '')).join(':');
+}
+
+function rollFromSeeds(serverSeed, clientSeed, nonce) {
+  let round = 0;
+  // Re-hash with a round suffix in the (very unlikely) case every chunk of a
+  // digest lands in the biased tail.
+  for (;;) {
+    const message = round === 0 ? `${clientSeed}:${nonce}` : `${clientSeed}:${nonce}:${round}`;
+    const digest = crypto.createHmac(HASH_ALGORITHM, String(serverSeed)).update(message).digest('hex');
+    for (let i = 0; i + CHUNK_HEX_LENGTH <= digest.length; i += CHUNK_HEX_LENGTH) {
+      const value = parseInt(digest.slice(i, i + CHUNK_HEX_LENGTH), 16);
+      if (value < CHUNK_LIMIT) return (value % 6) + 1;
+    }
+    round++;
+  }
+}
+
+// A server seed and the hash that commits to it.
+function createCommitment() {
+  const serverSeed = createSeed();
+  return { serverSeed, serverSeedHash: hashSeed(serverSeed) };
+}
+
+function createFairnessState(clientSeeds, commitment = createCommitment()) {
+  return {
+    serverSeed: commitment.serverSeed,
+    serverSeedHash: commitment.serverSeedHash,
+    clientSeed: combineClientSeeds(clientSeeds),
+    rolls: []
+  };
+}
+
+// Next roll for a game; the caller records it with recordRoll() once the
+// rules engine has accepted it so rejected rolls don't consume a nonce.
+function nextRoll(fairness) {
+  const nonce = fairness.rolls.length;
+  return {
+    nonce,
+    value: rollFromSeeds(fairness.serverSeed, fairness.clientSeed, nonce)
+  };
+}
+
+function recordRoll(fairness, roll) {
+  fairness.rolls.push({
+    nonce: roll.nonce,
+    value: roll.value,
+    color: roll.color || null,
+    auto: !!roll.auto,
+    at: roll.at || new Date().toISOString()
+  });
+}
+
+// Public commitment sent while the game is still running.
+function getCommitment(fairness) {
+  return {
+    serverSeedHash: fairness.serverSeedHash,
+    clientSeed: fairness.clientSeed
+  };
+}
+
+function getReveal(fairness) {
+  return {
+    serverSeed: fairness.serverSeed,
+    serverSeedHash: fairness.serverSeedHash,
+    clientSeed: fairness.clientSeed,
+    rollCount: fairness.rolls.length
+  };
+}
+
+function verifyRolls({ serverSeed, serverSeedHash, clientSeed, rolls }) {
+  const hashMatches = hashSeed(serverSeed) === serverSeedHash;
+  const results = (rolls || []).map(roll => {
+    const expected = rollFromSeeds(serverSeed, clientSeed, roll.nonce);
+    return {
+      nonce: roll.nonce,
+      color: roll.color || null,
+      auto: !!roll.auto,
+      value: roll.value,
+      expected,
+      valid: expected === roll.value
+    };
+  });
+  const noncesInOrder = results.every((roll, idx) => roll.nonce === idx);
+  return {
+    valid: hashMatches && noncesInOrder && results.every(r => r.valid),
+    hashMatches,
+    noncesInOrder,
+    rolls: results
+  };
+}
+
+module.exports = {
+  createSeed,
+  hashSeed,
+  combineClientSeeds,
+  rollFromSeeds,
+  createCommitment,
+  createFairnessState,
+  nextRoll,
+  recordRoll,
+  getCommitment,
+  getReveal,
+  verifyRolls
+};
@@ -0,0 +1,113 @@
+// Missions and achievements.
+//
+// Games feed a handful of counters (captures, sixes, tokens brought home,
+// games played and won). Missions are targets on those counters that reset
+// every day or every week, at midnight in the daily reward timezone, and pay
+// coins once claimed. Achievements are lifetime targets that unlock a badge
+// for the player's profile.
+
+const dailyRewards = require('./dailyRewards');
+
+const MISSION_STATS = ['capture', 'six', 'token_home', 'game_played', 'game_won', 'quick_play_won'];
+
+const MISSIONS = [
+  { id: 'daily_capture_5', period: 'daily', stat: 'capture', target: 5, reward: 50, title: 'Capture 5 tokens' },
+  { id: 'daily_quick_win_2', period: 'daily', stat: 'quick_play_won', target: 2, reward: 80, title: 'Win 2 quick-play games' },
+  { id: 'daily_home_8', period: 'daily', stat: 'token_home', target: 8, reward: 50, title: 'Bring 8 tokens home' },
+  { id: 'daily_six_10', period: 'daily', stat: 'six', target: 10, reward: 30, title: 'Roll 10 sixes' },
+  { id: 'weekly_capture_30', period: 'weekly', stat: 'capture', target: 30, reward: 200, title: 'Capture 30 tokens' },
+  { id: 'weekly_quick_win_7', period: 'weekly', stat: 'quick_play_won', target: 7, reward: 300, title: 'Win 7 quick-play games' },
+  { id: 'weekly_home_40', period: 'weekly', stat: 'token_home', target: 40, reward: 200, title: 'Bring 40 tokens home' },
+  { id: 'weekly_play_15', period: 'weekly', stat: 'game_played', target: 15, reward: 150, title: 'Play 15 games' }
+];
+
+const ACHIEVEMENTS = [
+  { id: 'first_win', badge: 'first-win', stat: 'game_won', target: 1, title: 'First Victory' },
+  { id: 'champion', badge: 'champion', stat: 'game_won', target: 50, title: 'Champion' },
+  { id: 'hunter', badge: 'hunter', stat: 'capture', target: 100, title: 'Hunter' },
+  { id: 'lucky_sixes', badge: 'lucky-sixes', stat: 'six', target: 250, title: 'Lucky Sixes' },
+  { id: 'homecoming', badge: 'homecoming', stat: 'token_home', target: 500, title: 'Homecoming' },
+  { id: 'veteran', badge: 'veteran', stat: 'game_played', target: 100, title: 'Veteran' }
+];
+
+const PERIODS = ['daily', 'weekly'];
+
+function getMission(missionId) {
+  return MISSIONS.find(mission => mission.id === missionId) || null;
+}
+
+// Day key for daily missions; the key of that week's Monday for weekly ones.
+function getPeriodKey(period, now, timeZone) {
+  const today = dailyRewards.getDayKey(now, timeZone);
+  if (period !== 'weekly') return today;
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  return dailyRewards.addDays(today, -((weekday + 6) % 7));
+}
+
+function getPeriodReset(period, now, timeZone) {
+  let reset = dailyRewards.getNextReset(now, timeZone);
+  if (period !== 'weekly') return reset;
+  const thisWeek = getPeriodKey('weekly', now, timeZone);
+  while (getPeriodKey('weekly', reset, timeZone) === thisWeek) {
+    reset = dailyRewards.getNextReset(reset, timeZone);
+  }
+  return reset;
+}
+
+// progress: the stored { counts, claimed } for the period, if any.
+function describeMissions(period, progress) {
+  return MISSIONS
+    .filter(mission => mission.period === period)
+    .map(mission => {
+      const count = progress?.counts?.[mission.stat] || 0;
+      return {
+        id: mission.id,
+        title: mission.title,
+        stat: mission.stat,
+        target: mission.target,
+        progress: Math.min(count, mission.target),
+        reward: mission.reward,
+        completed: count >= mission.target,
+        claimed: !!progress?.claimed?.[mission.id]
+      };
+    });
+}
+
+// Achievements the stats have reached that aren't unlocked yet.
+function getNewAchievements(stats, unlocked) {
+  return ACHIEVEMENTS.filter(achievement => (
+    !unlocked?.[achievement.id] && (stats?.[achievement.stat] || 0) >= achievement.target
+  ));
+}
+
+function describeAchievement(achievement, unlockedAt) {
+  return {
+    id: achievement.id,
+    badge: achievement.badge,
+    title: achievement.title,
+    unlockedAt: unlockedAt || null
+  };
+}
+
+function describeAchievements(stats, unlocked) {
+  return ACHIEVEMENTS.map(achievement => ({
+    ...describeAchievement(achievement, unlocked?.[achievement.id]),
+    stat: achievement.stat,
+    target: achievement.target,
+    progress: Math.min(stats?.[achievement.stat] || 0, achievement.target)
+  }));
+}
+
+module.exports = {
+  MISSION_STATS,
+  MISSIONS,
+  ACHIEVEMENTS,
+  PERIODS,
+  getMission,
+  getPeriodKey,
+  getPeriodReset,
+  describeMissions,
+  getNewAchievements,
+  describeAchievement,
+  describeAchievements
+};
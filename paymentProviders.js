@@ -0,0 +1,249 @@
+// Payment providers.
+//
+// The server talks to payments through a small interface: getPayment,
+// approvePayment, completePayment and cancelPayment, each resolving to a
+// payment object shaped like Pi's, and getUser, which checks a user's access
+// token and resolves to who they are. Failures reject with an error carrying the
+// HTTP statusCode and response body, as the Pi API does. The Pi provider
+// calls api.minepi.com; the sandbox provider keeps payments in memory so the
+// whole purchase flow can run offline.
+
+const https = require('https');
+const crypto = require('crypto');
+
+function createPiPaymentProvider({ apiKey, hostname = 'api.minepi.com' }) {
+  // Server calls authorize with the API key; user calls with their token.
+  function request(method, path, body, authorization = apiKey && `Key ${apiKey}`) {
+    return new Promise((resolve, reject) => {
+      if (!authorization) {
+        reject(new Error('PI_SERVER_API_KEY not set'));
+        return;
+      }
+
+      const payload = body ? JSON.stringify(body) : null;
+      const req = https.request(
+        {
+          hostname,
+          path: `/v2${path}`,
+          method,
+          headers: {
+            Authorization: authorization,
+            'Content-Type': 'application/json',
+            'Content-Length': payload ? Buffer.byteLength(payload) : 0
+          }
+        },
+        (res) => {
+          let raw = '';
+          res.on('data', (chunk) => {
+            raw += chunk;
+          });
+          res.on('end', () => {
+            let parsed = null;
+            try {
+              parsed = raw ? JSON.parse(raw) : null;
+            } catch (error) {
+              parsed = raw || null;
+            }
+
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve(parsed);
+              return;
+            }
+
+            const err = new Error(`Pi API ${res.statusCode}`);
+            err.statusCode = res.statusCode;
+            err.body = parsed;
+            reject(err);
+          });
+        }
+      );
+
+      req.on('error', reject);
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  return {
+    name: 'pi',
+    sandbox: false,
+    configured: !!apiKey,
+    getPayment(paymentId) {
+      return request('GET', `/payments/${paymentId}`, null);
+    },
+    approvePayment(paymentId) {
+      return request('POST', `/payments/${paymentId}/approve`, null);
+    },
+    completePayment(paymentId, txid) {
+      return request('POST', `/payments/${paymentId}/complete`, { txid });
+    },
+    cancelPayment(paymentId) {
+      return request('POST', `/payments/${paymentId}/cancel`, null);
+    },
+    getUser(accessToken) {
+      return request('GET', '/me', null, `Bearer ${accessToken}`);
+    }
+  };
+}
+
+// Scenarios a sandbox payment can play out when the user "pays" for it:
+//   ok              - a transaction is submitted and verified
+//   user_cancelled  - the user backs out in the wallet
+//   unpaid          - nothing happens; the payment stays approved
+//   amount_mismatch - paid, but Pi reports a different amount than ordered
+const SANDBOX_SCENARIOS = ['ok', 'user_cancelled', 'unpaid', 'amount_mismatch'];
+
+function sandboxError(statusCode, errorName, message) {
+  const err = new Error(`Pi API ${statusCode}`);
+  err.statusCode = statusCode;
+  err.body = { error: errorName, error_message: message };
+  return err;
+}
+
+function createSandboxPaymentProvider() {
+  const payments = new Map();
+  const accessTokens = new Map();
+
+  function find(paymentId) {
+    const payment = payments.get(paymentId);
+    if (!payment) {
+      throw sandboxError(404, 'payment_not_found', `Payment ${paymentId} not found`);
+    }
+    return payment;
+  }
+
+  // Copies, so callers can't change sandbox state behind its back.
+  function view(payment) {
+    const copy = JSON.parse(JSON.stringify(payment));
+    delete copy.scenario;
+    if (payment.scenario === 'amount_mismatch' && payment.transaction) {
+      copy.amount = payment.amount + 1;
+    }
+    return copy;
+  }
+
+  return {
+    name: 'sandbox',
+    sandbox: true,
+    configured: true,
+    scenarios: SANDBOX_SCENARIOS,
+    async getPayment(paymentId) {
+      return view(find(paymentId));
+    },
+    async approvePayment(paymentId) {
+      const payment = find(paymentId);
+      if (payment.status.cancelled || payment.status.user_cancelled) {
+        throw sandboxError(400, 'payment_cancelled', 'Payment was cancelled');
+      }
+      if (payment.status.developer_approved) {
+        throw sandboxError(400, 'already_approved', 'Payment already approved');
+      }
+      payment.status.developer_approved = true;
+      return view(payment);
+    },
+    async completePayment(paymentId, txid) {
+      const payment = find(paymentId);
+      if (!payment.transaction) {
+        throw sandboxError(400, 'transaction_missing', 'No transaction submitted for this payment');
+      }
+      if (payment.transaction.txid !== txid) {
+        throw sandboxError(400, 'txid_mismatch', 'txid does not match the payment transaction');
+      }
+      if (payment.status.developer_completed) {
+        throw sandboxError(400, 'already_completed', 'Payment already completed');
+      }
+      payment.status.developer_completed = true;
+      return view(payment);
+    },
+    async cancelPayment(paymentId) {
+      const payment = find(paymentId);
+      if (payment.transaction) {
+        throw sandboxError(400, 'already_paid', 'Payment has a transaction and cannot be cancelled');
+      }
+      payment.status.cancelled = true;
+      return view(payment);
+    },
+    async getUser(accessToken) {
+      const user = accessTokens.get(accessToken);
+      if (!user) {
+        throw sandboxError(401, 'invalid_token', 'Access token is invalid or expired');
+      }
+      return { ...user };
+    },
+
+    // Stand-ins for what the Pi client SDK and the user's wallet do.
+    async authenticate({ uid, username }) {
+      const user = { uid: String(uid || 'sandbox-user'), username: String(username || uid || 'sandbox-user') };
+      const accessToken = `sandbox_${crypto.randomBytes(24).toString('hex')}`;
+      accessTokens.set(accessToken, user);
+      return { accessToken, user: { ...user } };
+    },
+    async createPayment({ amount, memo, metadata, uid, scenario = 'ok' }) {
+      if (!SANDBOX_SCENARIOS.includes(scenario)) {
+        throw sandboxError(400, 'invalid_scenario', `Scenario must be one of ${SANDBOX_SCENARIOS.join(', ')}`);
+      }
+      const value = Number(amount);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw sandboxError(400, 'invalid_amount', 'Amount must be a positive number');
+      }
+      const identifier = `sandbox_${crypto.randomUUID()}`;
+      const payment = {
+        identifier,
+        user_uid: uid || 'sandbox-user',
+        amount: value,
+        memo: memo || '',
+        metadata: metadata || {},
+        from_address: 'SANDBOX_USER',
+        to_address: 'SANDBOX_APP',
+        direction: 'user_to_app',
+        network: 'Pi Sandbox',
+        created_at: new Date().toISOString(),
+        status: {
+          developer_approved: false,
+          transaction_verified: false,
+          developer_completed: false,
+          cancelled: false,
+          user_cancelled: false
+        },
+        transaction: null,
+        scenario
+      };
+      payments.set(identifier, payment);
+      return view(payment);
+    },
+    async submitPayment(paymentId) {
+      const payment = find(paymentId);
+      if (!payment.status.developer_approved) {
+        throw sandboxError(400, 'not_approved', 'Payment has not been approved');
+      }
+      if (payment.scenario === 'user_cancelled') {
+        payment.status.user_cancelled = true;
+      } else if (payment.scenario !== 'unpaid' && !payment.transaction) {
+        const txid = crypto.randomBytes(32).toString('hex');
+        payment.transaction = { txid, verified: true, _link: `sandbox://transactions/${txid}` };
+        payment.status.transaction_verified = true;
+      }
+      return view(payment);
+    }
+  };
+}
+
+function createPaymentProvider(name, options = {}) {
+  switch (String(name || 'pi').toLowerCase()) {
+    case 'sandbox':
+      return createSandboxPaymentProvider();
+    case 'pi':
+      return createPiPaymentProvider(options);
+    default:
+      throw new Error(`Unknown payment provider "${name}" (expected pi or sandbox)`);
+  }
+}
+
+module.exports = {
+  SANDBOX_SCENARIOS,
+  createPiPaymentProvider,
+  createSandboxPaymentProvider,
+  createPaymentProvider
+};
@@ -0,0 +1,74 @@
+// Rebuilds board state from a recorded game event log.
+//
+// The log stores the inputs the rules engine saw (the start snapshot, every
+// roll, move, pass and forfeit), so replaying them through applyAction gives
+// back the exact board at any sequence number. Other entries (captures,
+// disconnects, payouts) are informational and skipped here.
+
+const rules = require('./rules');
+
+function createStartState(start = {}) {
+  return {
+    gameStarted: true,
+    playerColors: { ...(start.playerColors || {}) },
+    settings: { ...(start.settings || {}) },
+    currentPlayer: start.currentPlayer || null,
+    diceValue: 0,
+    sixesInRow: 0,
+    cutStatus: rules.createCutStatus(),
+    tokens: rules.createTokens(),
+    finishOrder: [],
+    forfeits: []
+  };
+}
+
+function toAction(event) {
+  const data = event.data || {};
+  switch (event.type) {
+    case 'roll':
+      return { type: 'roll', color: data.color, value: data.value };
+    case 'move':
+      return { type: 'move', color: data.color, tokenIndex: data.tokenIndex, diceValue: data.diceValue };
+    case 'pass':
+      return { type: 'pass', color: data.color };
+    case 'forfeit':
+      return { type: 'forfeit', color: data.color, reason: data.reason };
+    default:
+      return null;
+  }
+}
+
+// State after every event with seq <= step (the whole game by default).
+function rebuildState(events, step = Infinity) {
+  const ordered = (events || []).slice().sort((a, b) => a.seq - b.seq);
+  const start = ordered.find(event => event.type === 'start');
+  if (!start) {
+    return { ok: false, error: 'Replay has no start event' };
+  }
+
+  let state = createStartState(start.data);
+  let lastSeq = start.seq;
+  for (const event of ordered) {
+    if (event.seq > step) break;
+    lastSeq = event.seq;
+    const action = toAction(event);
+    if (!action) continue;
+    const result = rules.applyAction(state, action);
+    if (!result.ok) {
+      return {
+        ok: false,
+        error: `Event ${event.seq} (${event.type}) could not be replayed: ${result.error}`,
+        step: event.seq - 1,
+        state
+      };
+    }
+    state = result.state;
+  }
+  return { ok: true, step: lastSeq, state };
+}
+
+module.exports = {
+  createStartState,
+  toAction,
+  rebuildState
+};
@@ -0,0 +1,112 @@
+// Room store backends.
+//
+// The server keeps the rooms it owns in memory and writes every change
+// through a store. The memory store is for a single process. The Mongo store
+// is shared between instances: each room document carries an owner lease, and
+// only the instance holding the lease applies moves and runs turn timers for
+// that room. Saves are fenced on the lease so a stale owner can't overwrite
+// the room after another instance has taken it over.
+
+function createMemoryRoomStore() {
+  const docs = new Map();
+  return {
+    shared: false,
+    async save(roomId, room) {
+      docs.set(roomId, { _id: roomId, room, savedAt: new Date() });
+      return true;
+    },
+    async load(roomId) {
+      return docs.get(roomId) || null;
+    },
+    async loadAll() {
+      return Array.from(docs.values());
+    },
+    async remove(roomId) {
+      docs.delete(roomId);
+    },
+    async claim() {
+      return true;
+    },
+    async renew(roomIds) {
+      return roomIds;
+    },
+    async release() {},
+    async getOwner() {
+      return null;
+    }
+  };
+}
+
+function createMongoRoomStore(collection) {
+  const leaseExpiry = (ttlMs) => new Date(Date.now() + ttlMs);
+  return {
+    shared: true,
+    async save(roomId, room, ownerId) {
+      const res = await collection.updateOne(
+        { _id: roomId, owner: ownerId },
+        { $set: { room, savedAt: new Date() } }
+      );
+      return res.matchedCount > 0;
+    },
+    async load(roomId) {
+      return collection.findOne({ _id: roomId });
+    },
+    async loadAll() {
+      return collection.find({}).toArray();
+    },
+    async remove(roomId, ownerId) {
+      await collection.deleteOne({ _id: roomId, $or: [{ owner: ownerId }, { owner: null }] });
+    },
+    // Takes the lease if it is free, expired or already ours.
+    async claim(roomId, ownerId, ttlMs) {
+      try {
+        await collection.updateOne(
+          {
+            _id: roomId,
+            $or: [{ owner: ownerId }, { owner: null }, { ownerExpiresAt: { $lte: new Date() } }]
+          },
+          { $set: { owner: ownerId, ownerExpiresAt: leaseExpiry(ttlMs) } },
+          { upsert: true }
+        );
+        return true;
+      } catch (err) {
+        // The upsert collides with the existing document when someone else
+        // holds a live lease.
+        if (err?.code === 11000) return false;
+        throw err;
+      }
+    },
+    // Extends our leases and returns the room ids we still own.
+    async renew(roomIds, ownerId, ttlMs) {
+      if (roomIds.length === 0) return [];
+      await collection.updateMany(
+        { _id: { $in: roomIds }, owner: ownerId },
+        { $set: { ownerExpiresAt: leaseExpiry(ttlMs) } }
+      );
+      const owned = await collection
+        .find({ _id: { $in: roomIds }, owner: ownerId }, { projection: { _id: 1 } })
+        .toArray();
+      return owned.map(doc => doc._id);
+    },
+    async release(roomId, ownerId) {
+      await collection.updateOne(
+        { _id: roomId, owner: ownerId },
+        { $set: { owner: null, ownerExpiresAt: null } }
+      );
+    },
+    // Live owner of a room, or null when nobody holds the lease.
+    async getOwner(roomId) {
+      const doc = await collection.findOne(
+        { _id: roomId },
+        { projection: { owner: 1, ownerExpiresAt: 1 } }
+      );
+      if (!doc?.owner || !doc.ownerExpiresAt || doc.ownerExpiresAt <= new Date()) return null;
+      return doc.owner;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryRoomStore,
+  createMongoRoomStore
+};
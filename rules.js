@@ -0,0 +1,581 @@
+// Pure Ludo rules engine.
+//
+// Every function here takes a game state (the rules-relevant part of
+// room.gameState) and returns a new state plus a list of events. Nothing in
+// this module touches sockets, timers, Mongo or the global rooms map, so the
+// same logic can be unit-tested or reused outside the socket server.
+
+// Game logic constants (same as frontend)
+const COLORS = ['r', 'g', 'y', 'b'];
+const START_INDEX = { r: 0, g: 13, y: 26, b: 39 };
+const SAFE_ZONES = [0, 8, 13, 21, 26, 34, 39, 47];
+const TRACK_LENGTH = 52;
+const LAST_TRACK_STEP = 50;
+const HOME_STEP = 56;
+
+const RULES_STATE_KEYS = [
+  'playerColors',
+  'currentPlayer',
+  'diceValue',
+  'gameStarted',
+  'settings',
+  'cutStatus',
+  'tokens',
+  'sixesInRow',
+  'finishOrder',
+  'forfeits'
+];
+
+// House rules a room can opt into. Defaults reproduce the classic server
+// behaviour, so an empty settings object plays exactly as before.
+const HOUSE_RULES = {
+  cutToHome: {
+    type: 'boolean',
+    default: false,
+    label: 'Capture before entering home'
+  },
+  threeSixesForfeit: {
+    type: 'boolean',
+    default: false,
+    label: 'Three sixes in a row forfeit the turn'
+  },
+  blockades: {
+    type: 'boolean',
+    default: false,
+    label: 'Two tokens of one colour form a blockade'
+  },
+  homeExtraTurn: {
+    type: 'boolean',
+    default: false,
+    label: 'Extra turn when a token reaches home'
+  },
+  exactFinish: {
+    type: 'boolean',
+    default: true,
+    label: 'Exact roll needed to finish'
+  },
+  teamMode: {
+    type: 'boolean',
+    default: false,
+    label: '2v2 teams (partners sit opposite)'
+  },
+  releaseOn: {
+    type: 'enum',
+    values: ['six', 'oneOrSix'],
+    default: 'six',
+    labels: { six: 'Leave the yard on a 6', oneOrSix: 'Leave the yard on a 1 or 6' }
+  }
+};
+
+const RELEASE_VALUES = { six: [6], oneOrSix: [1, 6] };
+
+function getDefaultRules() {
+  return Object.keys(HOUSE_RULES).reduce((acc, key) => {
+    acc[key] = HOUSE_RULES[key].default;
+    return acc;
+  }, {});
+}
+
+// Strict validation for settings coming from clients. Unknown keys are
+// rejected so typos don't silently fall back to a default.
+function validateRules(input) {
+  if (input === undefined || input === null) {
+    return { ok: true, settings: getDefaultRules() };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, error: 'Settings must be an object' };
+  }
+  const settings = getDefaultRules();
+  for (const [key, value] of Object.entries(input)) {
+    const rule = HOUSE_RULES[key];
+    if (!rule) {
+      return { ok: false, error: `Unknown rule: ${key}` };
+    }
+    if (rule.type === 'boolean' && typeof value !== 'boolean') {
+      return { ok: false, error: `Rule ${key} must be true or false` };
+    }
+    if (rule.type === 'enum' && !rule.values.includes(value)) {
+      return { ok: false, error: `Rule ${key} must be one of ${rule.values.join(', ')}` };
+    }
+    settings[key] = value;
+  }
+  return { ok: true, settings };
+}
+
+// Lenient read of the rules stored on a game state; anything invalid falls
+// back to its default.
+function getRules(state) {
+  const settings = getDefaultRules();
+  const stored = state?.settings || {};
+  Object.keys(HOUSE_RULES).forEach(key => {
+    const rule = HOUSE_RULES[key];
+    const value = stored[key];
+    if (rule.type === 'boolean' && typeof value === 'boolean') settings[key] = value;
+    if (rule.type === 'enum' && rule.values.includes(value)) settings[key] = value;
+  });
+  return settings;
+}
+
+function describeRules(settings) {
+  const active = getRules({ settings });
+  return Object.keys(HOUSE_RULES)
+    .filter(key => HOUSE_RULES[key].type === 'enum' || active[key] === true)
+    .map(key => {
+      const rule = HOUSE_RULES[key];
+      return {
+        key,
+        value: active[key],
+        label: rule.type === 'enum' ? rule.labels[active[key]] : rule.label
+      };
+    });
+}
+
+function createTokens() {
+  return COLORS.reduce((acc, color) => {
+    acc[color] = [-1, -1, -1, -1];
+    return acc;
+  }, {});
+}
+
+function createCutStatus() {
+  return { r: false, g: false, y: false, b: false };
+}
+
+// Copy only the fields the rules care about, so callers can pass a live
+// room.gameState (which also holds timers and player metadata) safely.
+function cloneState(state = {}) {
+  const next = {};
+  RULES_STATE_KEYS.forEach(key => {
+    if (state[key] !== undefined) next[key] = state[key];
+  });
+  next.playerColors = { ...(state.playerColors || {}) };
+  next.settings = { ...(state.settings || {}) };
+  next.cutStatus = state.cutStatus ? { ...state.cutStatus } : null;
+  next.tokens = {};
+  Object.keys(state.tokens || {}).forEach(color => {
+    next.tokens[color] = (state.tokens[color] || []).slice();
+  });
+  next.diceValue = state.diceValue || 0;
+  next.currentPlayer = state.currentPlayer || null;
+  next.sixesInRow = state.sixesInRow || 0;
+  next.finishOrder = (state.finishOrder || []).slice();
+  next.forfeits = (state.forfeits || []).map(entry => ({ ...entry }));
+  return next;
+}
+
+function isSafePosition(color, step) {
+  if (step > LAST_TRACK_STEP) return true; // home-stretch lanes are safe
+  if (step < 0) return true;
+  const idx = (START_INDEX[color] + step) % TRACK_LENGTH;
+  return SAFE_ZONES.includes(idx);
+}
+
+function getBoardIndex(color, step) {
+  if (step < 0 || step > LAST_TRACK_STEP) return null;
+  return (START_INDEX[color] + step) % TRACK_LENGTH;
+}
+
+function requiresCutToHome(state) {
+  return getRules(state).cutToHome;
+}
+
+function getPairedColor(color) {
+  const pairs = { r: 'y', y: 'r', g: 'b', b: 'g' };
+  return pairs[color];
+}
+
+function isTeamMode(state) {
+  return getRules(state).teamMode;
+}
+
+function isTeammate(state, color, otherColor) {
+  return isTeamMode(state) && color !== otherColor && getPairedColor(color) === otherColor;
+}
+
+function getTeamColors(state, color) {
+  const partner = getPairedColor(color);
+  if (isTeamMode(state) && state?.playerColors?.[partner]) return [color, partner];
+  return [color];
+}
+
+// In team mode a player whose tokens are all home moves their partner's
+// tokens instead of their own.
+function getMovingColor(state, color) {
+  if (isTeamMode(state) && hasWon(state, color)) {
+    const partner = getPairedColor(color);
+    if (state.playerColors?.[partner]) return partner;
+  }
+  return color;
+}
+
+// Board squares held by two or more tokens of a single opposing colour.
+function getBlockadeSquares(state, color) {
+  const squares = new Set();
+  Object.keys(state.tokens || {}).forEach(otherColor => {
+    if (otherColor === color || !state.playerColors?.[otherColor]) return;
+    if (isTeammate(state, color, otherColor)) return;
+    const counts = {};
+    state.tokens[otherColor].forEach(step => {
+      const idx = getBoardIndex(otherColor, step);
+      if (idx === null) return;
+      counts[idx] = (counts[idx] || 0) + 1;
+      if (counts[idx] === 2) squares.add(idx);
+    });
+  });
+  return squares;
+}
+
+function isPathBlocked(state, color, fromStep, toStep) {
+  const blockades = getBlockadeSquares(state, color);
+  if (blockades.size === 0) return false;
+  const firstStep = fromStep === -1 ? 0 : fromStep + 1;
+  const lastStep = Math.min(toStep, LAST_TRACK_STEP);
+  for (let step = firstStep; step <= lastStep; step++) {
+    if (blockades.has(getBoardIndex(color, step))) return true;
+  }
+  return false;
+}
+
+// Where a token would end up for a given roll, or why it can't move.
+function resolveMove(state, color, tokenIndex, diceValue) {
+  const tokens = state?.tokens?.[color];
+  if (!tokens || tokens[tokenIndex] === undefined) return { ok: false, error: 'Invalid token' };
+  const settings = getRules(state);
+  const currentStep = tokens[tokenIndex];
+  let newStep;
+
+  if (currentStep === -1) {
+    if (!RELEASE_VALUES[settings.releaseOn].includes(diceValue)) {
+      return { ok: false, error: 'Invalid move' };
+    }
+    newStep = 0;
+  } else if (currentStep >= HOME_STEP) {
+    return { ok: false, error: 'Token already home' };
+  } else {
+    newStep = currentStep + diceValue;
+    if (newStep > HOME_STEP) {
+      if (settings.exactFinish) return { ok: false, error: 'Exact roll needed to finish' };
+      newStep = HOME_STEP;
+    }
+    if (settings.cutToHome && currentStep <= LAST_TRACK_STEP && newStep > LAST_TRACK_STEP) {
+      if (!state.cutStatus || !state.cutStatus[color]) {
+        return { ok: false, error: 'Capture an opponent before entering home' };
+      }
+    }
+  }
+
+  if (settings.blockades && isPathBlocked(state, color, currentStep, newStep)) {
+    return { ok: false, error: 'Path blocked by a blockade' };
+  }
+  return { ok: true, currentStep, newStep };
+}
+
+// Turns follow the order colors were picked, except in team mode where they go
+// round the board so the two teams alternate.
+function getActiveColors(state) {
+  const colors = Object.keys(state?.playerColors || {});
+  if (!isTeamMode(state)) return colors;
+  return colors.sort((a, b) => COLORS.indexOf(a) - COLORS.indexOf(b));
+}
+
+function isFinished(state, color) {
+  return (state?.finishOrder || []).includes(color);
+}
+
+function getForfeitedColors(state) {
+  return (state?.forfeits || []).map(entry => entry.color);
+}
+
+function isForfeited(state, color) {
+  return getForfeitedColors(state).includes(color);
+}
+
+function isOut(state, color) {
+  return isFinished(state, color) || isForfeited(state, color);
+}
+
+// Colours still racing, i.e. seated, not yet placed and not forfeited.
+function getRemainingColors(state) {
+  return getActiveColors(state).filter(color => !isOut(state, color));
+}
+
+function getTeams(state) {
+  const teams = [];
+  getActiveColors(state).forEach(color => {
+    if (!teams.some(team => team.includes(color))) teams.push(getTeamColors(state, color));
+  });
+  return teams;
+}
+
+// Final placings once at most one side is still racing, else null. Forfeited
+// colours rank last, the most recent forfeit highest among them.
+function getFinalRanking(state) {
+  const forfeited = getForfeitedColors(state);
+  if (isTeamMode(state)) {
+    // Teams race for a single win; the other side takes second place.
+    const teams = getTeams(state);
+    const home = teams.find(team => team.every(c => hasWon(state, c)));
+    const alive = teams.filter(team => team.some(c => !forfeited.includes(c)));
+    const first = home || (alive.length === 1 ? alive[0] : null);
+    return first ? [first, ...teams.filter(team => team !== first)] : null;
+  }
+  const remaining = getRemainingColors(state);
+  if (remaining.length > 1) return null;
+  return [...(state.finishOrder || []), ...remaining, ...forfeited.slice().reverse()].map(c => [c]);
+}
+
+// Placings for a game nobody is left to play out: whoever is still racing
+// places ahead of those who are out, in the same order as getFinalRanking.
+function getAbandonedRanking(state) {
+  const forfeited = getForfeitedColors(state);
+  if (isTeamMode(state)) {
+    const teams = getTeams(state);
+    const alive = teams.filter(team => team.some(c => !forfeited.includes(c)));
+    return [...alive, ...teams.filter(team => !alive.includes(team))];
+  }
+  const remaining = getRemainingColors(state);
+  return [...(state.finishOrder || []), ...remaining, ...forfeited.slice().reverse()].map(c => [c]);
+}
+
+function endGame(next, ranking, events) {
+  next.finishOrder = ranking.reduce((order, place) => order.concat(place), []);
+  next.diceValue = 0;
+  next.gameStarted = false;
+  events.push({ type: 'game_won', color: ranking[0][0], team: ranking[0], ranking });
+}
+
+function getNextColor(state, color) {
+  const colors = getActiveColors(state);
+  if (colors.length === 0) return null;
+  const currentIndex = colors.indexOf(color);
+  for (let offset = 1; offset <= colors.length; offset++) {
+    const candidate = colors[(currentIndex + offset) % colors.length];
+    if (!isOut(state, candidate)) return candidate;
+  }
+  return null;
+}
+
+function getValidMoves(state, color, diceValue) {
+  if (!state || !state.tokens) return [];
+  const tokenColor = getMovingColor(state, color);
+  const tokens = state.tokens[tokenColor] || [];
+  const moves = [];
+  tokens.forEach((_, idx) => {
+    if (resolveMove(state, tokenColor, idx, diceValue).ok) {
+      moves.push(idx);
+    }
+  });
+  return moves;
+}
+
+function hasWon(state, color) {
+  const tokens = state?.tokens?.[color] || [];
+  return tokens.length > 0 && tokens.every(s => s === HOME_STEP);
+}
+
+function reject(state, error) {
+  return { ok: false, state, events: [], error };
+}
+
+function advanceTurn(next, color, events) {
+  next.currentPlayer = getNextColor(next, color);
+  next.diceValue = 0;
+  next.sixesInRow = 0;
+  events.push({ type: 'turn_changed', color: next.currentPlayer, previous: color, extraTurn: false });
+}
+
+function roll(state, { color, value }) {
+  if (!state?.gameStarted) return reject(state, 'Game not started');
+  if (state.currentPlayer !== color) return reject(state, 'Not your turn!');
+  if (state.diceValue !== 0) return reject(state, 'Dice already rolled this turn');
+  if (!Number.isInteger(value) || value < 1 || value > 6) return reject(state, 'Invalid dice value');
+
+  const next = cloneState(state);
+  next.diceValue = value;
+  next.sixesInRow = value === 6 ? next.sixesInRow + 1 : 0;
+
+  if (value === 6 && next.sixesInRow >= 3 && getRules(next).threeSixesForfeit) {
+    const events = [{ type: 'dice_rolled', color, value, validMoves: [] }];
+    events.push({ type: 'turn_forfeited', color, reason: 'three_sixes' });
+    advanceTurn(next, color, events);
+    return { ok: true, state: next, events };
+  }
+
+  return {
+    ok: true,
+    state: next,
+    events: [{ type: 'dice_rolled', color, value, validMoves: getValidMoves(next, color, value) }]
+  };
+}
+
+function pass(state, { color }) {
+  if (!state?.gameStarted) return reject(state, 'Game not started');
+  if (state.currentPlayer !== color) return reject(state, 'Not your turn');
+
+  const next = cloneState(state);
+  const events = [];
+  next.diceValue = 0;
+  next.sixesInRow = 0;
+  next.currentPlayer = getNextColor(next, color);
+  events.push({ type: 'turn_passed', color, nextPlayer: next.currentPlayer });
+  events.push({ type: 'turn_changed', color: next.currentPlayer, previous: color, extraTurn: false });
+  return { ok: true, state: next, events };
+}
+
+function move(state, { color, tokenIndex, diceValue }) {
+  if (!state?.gameStarted) return reject(state, 'Game not started');
+  if (state.currentPlayer !== color) return reject(state, 'Not your turn');
+  if (!state.diceValue || diceValue !== state.diceValue) return reject(state, 'Invalid dice value');
+  const tokenColor = getMovingColor(state, color);
+  const resolved = resolveMove(state, tokenColor, tokenIndex, diceValue);
+  if (!resolved.ok) return reject(state, resolved.error);
+
+  const { currentStep, newStep } = resolved;
+  let extraTurn = false;
+  const captures = [];
+
+  const next = cloneState(state);
+  const events = [];
+
+  if (newStep <= LAST_TRACK_STEP && currentStep !== -1) {
+    const targetIdx = getBoardIndex(tokenColor, newStep);
+    if (!SAFE_ZONES.includes(targetIdx)) {
+      Object.keys(next.tokens).forEach(otherColor => {
+        if (otherColor === tokenColor || !next.playerColors[otherColor]) return;
+        if (isTeammate(next, tokenColor, otherColor)) return;
+        next.tokens[otherColor].forEach((step, idx) => {
+          if (getBoardIndex(otherColor, step) === targetIdx && !isSafePosition(otherColor, step)) {
+            next.tokens[otherColor][idx] = -1;
+            captures.push({ color: otherColor, tokenIndex: idx, fromStep: step });
+            extraTurn = true;
+          }
+        });
+      });
+    }
+  }
+
+  const killOccurred = captures.length > 0;
+  if (killOccurred) {
+    if (!next.cutStatus) next.cutStatus = createCutStatus();
+    next.cutStatus[tokenColor] = true;
+  }
+
+  next.tokens[tokenColor][tokenIndex] = newStep;
+
+  let finishedNow = false;
+  if (!isTeamMode(next) && hasWon(next, color) && !isFinished(next, color)) {
+    next.finishOrder.push(color);
+    finishedNow = true;
+  }
+  const ranking = getFinalRanking(next);
+
+  events.push({
+    type: 'token_moved',
+    color: tokenColor,
+    moverColor: color,
+    tokenIndex,
+    fromStep: currentStep,
+    newStep,
+    diceValue,
+    captures,
+    killOccurred
+  });
+
+  if (finishedNow) {
+    events.push({ type: 'player_finished', color, place: next.finishOrder.indexOf(color) + 1 });
+  }
+
+  if (ranking) {
+    endGame(next, ranking, events);
+    return { ok: true, state: next, events };
+  }
+
+  if (getRules(next).homeExtraTurn && newStep === HOME_STEP) {
+    extraTurn = true;
+  }
+
+  extraTurn = extraTurn || diceValue === 6;
+  if (!extraTurn || finishedNow) {
+    advanceTurn(next, color, events);
+  } else {
+    next.diceValue = 0;
+    events.push({ type: 'turn_changed', color, previous: color, extraTurn: true });
+  }
+
+  return { ok: true, state: next, events };
+}
+
+// Takes a colour out of the race (AFK strikes, resignation). The entry stays
+// in state.forfeits so the decision can be audited after the game.
+function forfeit(state, { color, reason }) {
+  if (!state?.gameStarted) return reject(state, 'Game not started');
+  if (!state.playerColors?.[color]) return reject(state, 'Player not in game');
+  if (isOut(state, color)) return reject(state, 'Player already out');
+
+  const next = cloneState(state);
+  const events = [];
+  next.forfeits.push({ color, reason: reason || 'forfeit' });
+  // Team partners keep moving a forfeited teammate's tokens; otherwise they
+  // leave the board.
+  if (!isTeamMode(next)) {
+    next.tokens[color] = next.tokens[color].map(() => -1);
+  }
+  events.push({ type: 'player_forfeited', color, reason: reason || 'forfeit' });
+
+  const ranking = getFinalRanking(next);
+  if (ranking) {
+    endGame(next, ranking, events);
+  } else if (next.currentPlayer === color) {
+    advanceTurn(next, color, events);
+  }
+  return { ok: true, state: next, events };
+}
+
+const ACTIONS = { roll, move, pass, forfeit };
+
+// Single entry point: applyAction(state, { type: 'roll' | 'move' | 'pass' | 'forfeit', ... })
+function applyAction(state, action = {}) {
+  const handler = ACTIONS[action.type];
+  if (!handler) return reject(state, `Unknown action ${action.type}`);
+  return handler(state, action);
+}
+
+module.exports = {
+  COLORS,
+  START_INDEX,
+  SAFE_ZONES,
+  TRACK_LENGTH,
+  LAST_TRACK_STEP,
+  HOME_STEP,
+  HOUSE_RULES,
+  getDefaultRules,
+  validateRules,
+  getRules,
+  describeRules,
+  createTokens,
+  createCutStatus,
+  cloneState,
+  isSafePosition,
+  getBoardIndex,
+  requiresCutToHome,
+  getPairedColor,
+  isTeamMode,
+  isTeammate,
+  getTeamColors,
+  getMovingColor,
+  getBlockadeSquares,
+  resolveMove,
+  getActiveColors,
+  isFinished,
+  getForfeitedColors,
+  isForfeited,
+  isOut,
+  getRemainingColors,
+  getTeams,
+  getFinalRanking,
+  getAbandonedRanking,
+  getNextColor,
+  getValidMoves,
+  hasWon,
+  applyAction
+};
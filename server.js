@@ -2,190 +2,519 @@ require('dotenv').config();
 
 const apiKey = process.env.PI_SERVER_API_KEY;
 const mongoUri = process.env.MONGODB_URI;
-
-const express = require('express');
-const http = require('http');
-const https = require('https');
-const crypto = require('crypto');
-const socketIo = require('socket.io');
-const cors = require('cors');
-const { MongoClient } = require('mongodb');
-
-const app = express();
-app.use(cors());
-app.use(express.json());
-
-// Serve static files from current directory
-app.use(express.static(__dirname));
-
-const COIN_ENTRY_FEE = parseInt(process.env.COIN_ENTRY_FEE || '10', 10);
-const COIN_HOUSE_FEE_PERCENT = parseInt(process.env.COIN_HOUSE_FEE_PERCENT || '10', 10);
+
+const express = require('express');
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const socketIo = require('socket.io');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const cors = require('cors');
+const { MongoClient, ObjectId } = require('mongodb');
+const rules = require('./rules');
+const fairness = require('./fairness');
+const bots = require('./bots');
+const replay = require('./replay');
+const roomStores = require('./roomStore');
+const clocks = require('./clock');
+const paymentProviders = require('./paymentProviders');
+const coinPacks = require('./coinPacks');
+const dailyRewards = require('./dailyRewards');
+const missions = require('./missions');
+const economy = require('./economy');
+const tournaments = require('./tournaments');
+
+const app = express();
+app.use(cors());
+app.use(express.json());
+
+// Serve static files from current directory
+app.use(express.static(__dirname));
+
+const COIN_ENTRY_FEE = parseInt(process.env.COIN_ENTRY_FEE || '10', 10);
+const COIN_HOUSE_FEE_PERCENT = parseInt(process.env.COIN_HOUSE_FEE_PERCENT || '10', 10);
 const COIN_STARTING_BALANCE = parseInt(process.env.COIN_STARTING_BALANCE || '500', 10);
 const COIN_NEW_PLAYER_BONUS = parseInt(process.env.COIN_NEW_PLAYER_BONUS || '100', 10);
-const COIN_DAILY_REWARD = parseInt(process.env.COIN_DAILY_REWARD || '50', 10);
-const COIN_ROOM_FEES = (process.env.COIN_ROOM_FEES || '10')
-  .split(',')
-  .map(v => parseInt(v.trim(), 10))
-  .filter(v => Number.isFinite(v) && v > 0);
-
-let mongoClient = null;
-let mongoDb = null;
-let playersCollection = null;
-let purchasesCollection = null;
-
-const COIN_PACKS = [
-  { id: 'pi-1', piAmount: 1, coins: 50 },
-  { id: 'pi-2', piAmount: 2, coins: 100 },
-  { id: 'pi-5', piAmount: 5, coins: 300 },
-  { id: 'pi-10', piAmount: 10, coins: 600 }
-];
-
-function getPackById(packId) {
-  return COIN_PACKS.find(pack => pack.id === packId) || null;
-}
-
-function createOrderId() {
-  if (crypto.randomUUID) return crypto.randomUUID();
-  return `order_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
-}
-
-async function initMongo() {
-  if (mongoDb && playersCollection && purchasesCollection) return;
+const COIN_DAILY_REWARD = parseInt(process.env.COIN_DAILY_REWARD || '50', 10);
+// Daily rewards reset at midnight in DAILY_REWARD_TIMEZONE. The calendar is
+// coins per day with an optional "+bonus", e.g. "100,150,200,250,300,350,400+500";
+// by default day N pays (N + 1) * COIN_DAILY_REWARD for seven days.
+const DAILY_REWARD_CONFIG = {
+  calendar: dailyRewards.parseCalendar(process.env.DAILY_REWARD_CALENDAR, COIN_DAILY_REWARD),
+  timeZone: dailyRewards.resolveTimeZone(process.env.DAILY_REWARD_TIMEZONE || 'UTC'),
+  gracePerWeek: parseInt(process.env.DAILY_STREAK_GRACE_PER_WEEK || '1', 10)
+};
+// Both sides of a referral are paid once the new player finishes a paid match;
+// a referrer is paid for at most REFERRAL_MAX_REWARDED referrals. Only accounts
+// younger than REFERRAL_REDEEM_WINDOW_MS can redeem a code.
+const REFERRAL_REWARD_REFERRER = parseInt(process.env.REFERRAL_REWARD_REFERRER || '100', 10);
+const REFERRAL_REWARD_REFERRED = parseInt(process.env.REFERRAL_REWARD_REFERRED || '100', 10);
+const REFERRAL_MAX_REWARDED = parseInt(process.env.REFERRAL_MAX_REWARDED || '20', 10);
+const REFERRAL_REDEEM_WINDOW_MS = parseInt(process.env.REFERRAL_REDEEM_WINDOW_MS || '604800000', 10);
+// Coin gifts between players. Caps are per calendar day in the daily reward
+// timezone; both accounts must be old enough, and players who shared a paid
+// room within the cooldown can't gift each other.
+const TRANSFER_DAILY_SEND_CAP = parseInt(process.env.TRANSFER_DAILY_SEND_CAP || '500', 10);
+const TRANSFER_DAILY_RECEIVE_CAP = parseInt(process.env.TRANSFER_DAILY_RECEIVE_CAP || '1000', 10);
+const TRANSFER_MIN_ACCOUNT_AGE_MS = parseInt(process.env.TRANSFER_MIN_ACCOUNT_AGE_MS || '604800000', 10);
+const TRANSFER_SHARED_ROOM_COOLDOWN_MS = parseInt(process.env.TRANSFER_SHARED_ROOM_COOLDOWN_MS || '86400000', 10);
+// Players called to a tournament table have TOURNAMENT_NO_SHOW_MS to join it;
+// anyone missing then forfeits the table. Tournaments are checked every
+// TOURNAMENT_TICK_MS by whichever instance holds their lease.
+const TOURNAMENT_NO_SHOW_MS = parseInt(process.env.TOURNAMENT_NO_SHOW_MS || '120000', 10);
+const TOURNAMENT_TICK_MS = parseInt(process.env.TOURNAMENT_TICK_MS || '5000', 10);
+const TOURNAMENT_LEASE_MS = parseInt(process.env.TOURNAMENT_LEASE_MS || '30000', 10);
+const COIN_ROOM_FEES = (process.env.COIN_ROOM_FEES || '10')
+  .split(',')
+  .map(v => parseInt(v.trim(), 10))
+  .filter(v => Number.isFinite(v) && v > 0);
+// Prize split by finishing place, e.g. "*:4=70/30,100:4=60/30/10".
+// "*" matches any entry fee; without a table the winner takes the prize.
+const COIN_PAYOUT_TABLES = parsePayoutTables(process.env.COIN_PAYOUT_TABLES);
+
+let mongoClient = null;
+let mongoDb = null;
+let playersCollection = null;
+let purchasesCollection = null;
+let gamesCollection = null;
+let gameEventsCollection = null;
+let roomsCollection = null;
+let coinTransactionsCollection = null;
+let escrowsCollection = null;
+let coinPacksCollection = null;
+let missionProgressCollection = null;
+let referralsCollection = null;
+let tournamentsCollection = null;
+let roomsRestored = false;
+// "mongo" shares rooms between instances once Mongo is up; "memory" keeps
+// them in this process.
+const ROOM_STORE = (process.env.ROOM_STORE || 'mongo').toLowerCase();
+const ROOM_OWNER_TTL_MS = parseInt(process.env.ROOM_OWNER_TTL_MS || '15000', 10);
+const SOCKET_ADAPTER_COLLECTION = process.env.SOCKET_ADAPTER_COLLECTION || 'socket_io_adapter';
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomUUID();
+const ESCROW_RECONCILE_AFTER_MS = parseInt(process.env.ESCROW_RECONCILE_AFTER_MS || '60000', 10);
+let roomStore = roomStores.createMemoryRoomStore();
+
+// Orders nobody started paying for expire after ORDER_TTL_MS. Payments that
+// were approved but never completed are looked up on Pi once they are
+// PAYMENT_STUCK_AFTER_MS old.
+const ORDER_TTL_MS = parseInt(process.env.ORDER_TTL_MS || '1800000', 10);
+const PAYMENT_STUCK_AFTER_MS = parseInt(process.env.PAYMENT_STUCK_AFTER_MS || '300000', 10);
+const PAYMENT_RECONCILE_INTERVAL_MS = parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MS || '60000', 10);
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+// "pi" talks to the Pi API; "sandbox" simulates it in memory for offline runs.
+const paymentProvider = paymentProviders.createPaymentProvider(process.env.PAYMENT_PROVIDER || 'pi', {
+  apiKey,
+  hostname: process.env.PI_API_HOSTNAME
+});
+if (paymentProvider.sandbox) {
+  console.warn('PAYMENT_PROVIDER=sandbox: Pi payments are simulated and no real Pi moves.');
+}
+
+// Orders that count against pack limits: paid for, or still being paid.
+const PACK_LIMIT_STATUSES = ['created', 'approved', 'completed', 'mismatch'];
+
+// Starts an empty coin_packs collection with the original price list.
+async function seedCoinPacks() {
+  if (await coinPacksCollection.countDocuments({}, { limit: 1 }) > 0) return;
+  const now = new Date();
+  const docs = coinPacks.DEFAULT_COIN_PACKS.map(pack => ({
+    ...coinPacks.validatePack(pack).pack,
+    _id: pack._id,
+    createdAt: now,
+    updatedAt: now
+  }));
+  try {
+    await coinPacksCollection.insertMany(docs, { ordered: false });
+  } catch (err) {
+    // Another instance seeded them first.
+    if (err?.code !== 11000) throw err;
+  }
+}
+
+async function getPackHistory(playerUid, packId) {
+  const [packOrders, anyOrders] = await Promise.all([
+    purchasesCollection.countDocuments({ playerUid, packId, status: { $in: PACK_LIMIT_STATUSES } }),
+    purchasesCollection.countDocuments({ playerUid, status: { $in: PACK_LIMIT_STATUSES } }, { limit: 1 })
+  ]);
+  return { packOrders, anyOrders };
+}
+
+function createOrderId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return `order_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+async function initMongo() {
+  if (mongoDb && playersCollection && purchasesCollection) return;
   if (!mongoUri) {
     console.warn('MONGODB_URI not set; coin system will be disabled.');
     return;
   }
   mongoClient = mongoClient || new MongoClient(mongoUri, { });
-  await mongoClient.connect();
-  mongoDb = mongoClient.db(process.env.MONGODB_DB || 'ludo');
-  playersCollection = mongoDb.collection('players');
-  purchasesCollection = mongoDb.collection('purchases');
-  await playersCollection.createIndex({ updatedAt: 1 });
-  await purchasesCollection.createIndex({ paymentId: 1 }, { unique: true, sparse: true });
-  await purchasesCollection.createIndex({ txid: 1 }, { unique: true, sparse: true });
-  await purchasesCollection.createIndex({ createdAt: 1 });
-  console.log('Connected to MongoDB for coin system.');
-}
-
+  await mongoClient.connect();
+  mongoDb = mongoClient.db(process.env.MONGODB_DB || 'ludo');
+  playersCollection = mongoDb.collection('players');
+  purchasesCollection = mongoDb.collection('purchases');
+  gamesCollection = mongoDb.collection('games');
+  gameEventsCollection = mongoDb.collection('game_events');
+  roomsCollection = mongoDb.collection('rooms');
+  coinTransactionsCollection = mongoDb.collection('coin_transactions');
+  escrowsCollection = mongoDb.collection('coin_escrows');
+  coinPacksCollection = mongoDb.collection('coin_packs');
+  missionProgressCollection = mongoDb.collection('mission_progress');
+  referralsCollection = mongoDb.collection('referrals');
+  tournamentsCollection = mongoDb.collection('tournaments');
+  await playersCollection.createIndex({ updatedAt: 1 });
+  await purchasesCollection.createIndex({ paymentId: 1 }, { unique: true, sparse: true });
+  await purchasesCollection.createIndex({ txid: 1 }, { unique: true, sparse: true });
+  await purchasesCollection.createIndex({ createdAt: 1 });
+  await purchasesCollection.createIndex({ status: 1, updatedAt: 1 });
+  await purchasesCollection.createIndex({ playerUid: 1, packId: 1, status: 1 });
+  await gamesCollection.createIndex({ roomId: 1, startedAt: -1 });
+  await gameEventsCollection.createIndex({ gameId: 1, seq: 1 }, { unique: true });
+  await coinTransactionsCollection.createIndex({ idempotencyKey: 1 }, { unique: true });
+  await coinTransactionsCollection.createIndex({ playerUid: 1, _id: -1 });
+  await escrowsCollection.createIndex({ status: 1, updatedAt: 1 });
+  await escrowsCollection.createIndex({ playerUids: 1, updatedAt: -1 });
+  await coinTransactionsCollection.createIndex({ playerUid: 1, type: 1, createdAt: -1 });
+  await coinTransactionsCollection.createIndex({ createdAt: 1 });
+  await seedCoinPacks();
+  await missionProgressCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await playersCollection.createIndex({ referralCode: 1 }, { unique: true, sparse: true });
+  await referralsCollection.createIndex({ referrerUid: 1, createdAt: -1 });
+  await tournamentsCollection.createIndex({ status: 1, startsAt: 1 });
+  await tournamentsCollection.createIndex({ 'tables.seats': 1 });
+  console.log('Connected to MongoDB for coin system.');
+  if (!roomsRestored) {
+    roomsRestored = true;
+    if (ROOM_STORE === 'mongo') {
+      roomStore = roomStores.createMongoRoomStore(roomsCollection);
+      await setupSocketAdapter();
+    }
+    await restoreRooms();
+    await reconcileEscrows();
+    setTimeout(() => {
+      reconcileEscrows().catch((err) => {
+        console.error('Escrow reconcile error:', err);
+      });
+    }, ESCROW_RECONCILE_AFTER_MS);
+    setInterval(() => {
+      reconcilePurchases().catch((err) => {
+        console.error('Payment reconcile error:', err);
+      });
+    }, PAYMENT_RECONCILE_INTERVAL_MS);
+    setInterval(() => {
+      tickTournaments().catch((err) => {
+        console.error('Tournament tick error:', err);
+      });
+    }, TOURNAMENT_TICK_MS);
+  }
+}
+
+// With a shared room store every instance joins the Mongo adapter, so room
+// broadcasts reach sockets on any instance and events can be forwarded to
+// the instance that owns a room.
+async function setupSocketAdapter() {
+  try {
+    await mongoDb.createCollection(SOCKET_ADAPTER_COLLECTION, { capped: true, size: 1e6 });
+  } catch (err) {
+    if (err?.codeName !== 'NamespaceExists') throw err;
+  }
+  io.adapter(createAdapter(mongoDb.collection(SOCKET_ADAPTER_COLLECTION)));
+  io.on('room_event', (packet) => {
+    if (packet?.to !== INSTANCE_ID) return;
+    handleRemoteRoomEvent(packet).catch((err) => {
+      console.error('Remote room event error:', err);
+    });
+  });
+  io.on('remote_disconnect', handleRemoteDisconnect);
+  io.on('public_rooms', (packet) => {
+    remotePublicRooms[packet.from] = { rooms: packet.rooms || [], at: Date.now() };
+  });
+  setInterval(() => {
+    renewRoomOwnership().catch((err) => {
+      console.error('Room lease error:', err);
+    });
+  }, Math.floor(ROOM_OWNER_TTL_MS / 3));
+  console.log(`Room store shared via MongoDB (instance ${INSTANCE_ID})`);
+}
+
+// New players are created with their starting coins, and the grant is written
+// to the ledger in the same transaction so issued coins are all accounted for.
 async function ensurePlayerDoc(playerUid) {
   if (!playersCollection) return null;
-  await playersCollection.updateOne(
+  const existing = await playersCollection.findOneAndUpdate(
     { _id: playerUid },
-    {
-      $setOnInsert: {
-        balance: COIN_STARTING_BALANCE + COIN_NEW_PLAYER_BONUS,
-        createdAt: new Date(),
-        lastDailyClaim: null,
-        dailyStreak: 0,
-        bonusGranted: true
-      },
-      $set: { updatedAt: new Date() }
-    },
-    { upsert: true }
+    { $set: { updatedAt: new Date() } },
+    { returnDocument: 'after', includeResultMetadata: true }
   );
+  if (existing?.value) return existing.value;
+  try {
+    await runCoinTransaction(async (session) => {
+      const now = new Date();
+      const res = await playersCollection.updateOne(
+        { _id: playerUid },
+        {
+          $setOnInsert: {
+            balance: COIN_STARTING_BALANCE + COIN_NEW_PLAYER_BONUS,
+            createdAt: now,
+            lastDailyClaim: null,
+            dailyClaimDay: null,
+            dailyStreak: 0,
+            dailyGraceDays: [],
+            bonusGranted: true
+          },
+          $set: { updatedAt: now }
+        },
+        { upsert: true, session }
+      );
+      if (!res.upsertedCount) return;
+      const grants = [
+        { type: 'starting_balance', amount: COIN_STARTING_BALANCE },
+        { type: 'new_player_bonus', amount: COIN_NEW_PLAYER_BONUS }
+      ];
+      let balance = 0;
+      for (const grant of grants.filter(g => g.amount > 0)) {
+        balance += grant.amount;
+        await insertCoinEntry(session, {
+          ...grant,
+          playerUid,
+          key: `${grant.type}:${playerUid}`,
+          balanceAfter: balance
+        });
+      }
+    });
+  } catch (err) {
+    // Another request created the player first.
+    if (err?.code !== 11000) throw err;
+  }
   return playersCollection.findOne({ _id: playerUid });
 }
-
-async function updatePlayerProfile(playerUid, name) {
-  if (!playersCollection || !playerUid) return;
-  if (!name) return;
-  await playersCollection.updateOne(
-    { _id: playerUid },
-    { $set: { name: String(name).slice(0, 24), updatedAt: new Date() } }
-  );
-}
-
-function getAllowedEntryFee(requested) {
-  const allowed = COIN_ROOM_FEES.length > 0 ? COIN_ROOM_FEES : [COIN_ENTRY_FEE];
-  if (allowed.includes(requested)) return requested;
-  if (allowed.includes(COIN_ENTRY_FEE)) return COIN_ENTRY_FEE;
-  return allowed[0];
-}
-
-async function getBalance(playerUid) {
-  if (!playersCollection) return null;
-  const doc = await ensurePlayerDoc(playerUid);
-  return doc?.balance ?? null;
-}
-
-async function debitBalance(playerUid, amount) {
-  if (!playersCollection) return { ok: false, disabled: true, reason: 'Coin system unavailable' };
-  await ensurePlayerDoc(playerUid);
-  const res = await playersCollection.findOneAndUpdate(
-    { _id: playerUid, balance: { $gte: amount } },
-    { $inc: { balance: -amount }, $set: { updatedAt: new Date() } },
-    { returnDocument: 'after' }
-  );
-  if (!res?.value) return { ok: false };
-  return { ok: true, balance: res.value.balance };
-}
-
-async function creditBalance(playerUid, amount) {
-  if (!playersCollection) return { ok: false, balance: null, disabled: true };
-  await ensurePlayerDoc(playerUid);
-  const res = await playersCollection.findOneAndUpdate(
-    { _id: playerUid },
-    { $inc: { balance: amount }, $set: { updatedAt: new Date() } },
-    { returnDocument: 'after' }
-  );
-  return { ok: true, balance: res?.value?.balance ?? null };
-}
-
-function getDailyInfo(doc) {
-  const last = doc?.lastDailyClaim ? new Date(doc.lastDailyClaim).getTime() : 0;
-  const now = Date.now();
-  const next = last ? last + 24 * 60 * 60 * 1000 : 0;
-  const canClaimDaily = !last || now >= next;
-  const streak = Math.max(0, parseInt(doc?.dailyStreak || 0, 10) || 0);
-  const nextStreak = canClaimDaily
-    ? (last && now - last <= 48 * 60 * 60 * 1000 ? streak + 1 : 1)
-    : streak;
-  const nextDay = ((nextStreak - 1) % 7) + 1;
-  const nextRewardAmount = 100 + (nextDay - 1) * 50;
+
+async function updatePlayerProfile(playerUid, name) {
+  if (!playersCollection || !playerUid) return;
+  if (!name) return;
+  await playersCollection.updateOne(
+    { _id: playerUid },
+    { $set: { name: String(name).slice(0, 24), updatedAt: new Date() } }
+  );
+}
+
+function getAllowedEntryFee(requested) {
+  const allowed = COIN_ROOM_FEES.length > 0 ? COIN_ROOM_FEES : [COIN_ENTRY_FEE];
+  if (allowed.includes(requested)) return requested;
+  if (allowed.includes(COIN_ENTRY_FEE)) return COIN_ENTRY_FEE;
+  return allowed[0];
+}
+
+async function getBalance(playerUid) {
+  if (!playersCollection) return null;
+  const doc = await ensurePlayerDoc(playerUid);
+  return doc?.balance ?? null;
+}
+
+// Every change to a player's balance is written to the append-only
+// coin_transactions ledger in the same Mongo transaction as the balance
+// update. Idempotency keys are unique, so a retried credit or debit with the
+// same key is applied at most once. Transactions need MongoDB running as a
+// replica set (Atlas always is).
+function runCoinTransaction(fn) {
+  return mongoClient.withSession(async (session) => {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  });
+}
+
+function coinRejection(message, playerUid) {
+  const err = new Error(message);
+  err.coinRejected = true;
+  err.playerUid = playerUid;
+  return err;
+}
+
+async function insertCoinEntry(session, tx) {
+  const entry = {
+    playerUid: tx.playerUid || null,
+    type: tx.type,
+    amount: tx.amount,
+    roomId: tx.roomId || null,
+    gameId: tx.gameId || null,
+    orderId: tx.orderId || null,
+    escrowId: tx.escrowId || null,
+    entryFee: tx.entryFee ?? null,
+    idempotencyKey: tx.key,
+    status: 'applied',
+    balanceAfter: tx.balanceAfter ?? null,
+    createdAt: new Date()
+  };
+  if (tx.meta) entry.meta = tx.meta;
+  await coinTransactionsCollection.insertOne(entry, { session });
+  return entry;
+}
+
+// Moves coins for one player inside a transaction and logs the move. Throws
+// when the balance is too low, which aborts the whole transaction.
+async function moveCoins(session, playerUid, amount, tx) {
+  const filter = amount < 0 ? { _id: playerUid, balance: { $gte: -amount } } : { _id: playerUid };
+  const res = await playersCollection.findOneAndUpdate(
+    filter,
+    { $inc: { balance: amount }, $set: { ...(tx.set || {}), updatedAt: new Date() } },
+    { returnDocument: 'after', includeResultMetadata: true, session }
+  );
+  if (!res?.value) {
+    throw coinRejection('Insufficient coins', playerUid);
+  }
+  await insertCoinEntry(session, { ...tx, playerUid, amount, balanceAfter: res.value.balance });
+  return res.value;
+}
+
+async function applyCoinTransaction(playerUid, amount, tx) {
+  if (!playersCollection) return { ok: false, disabled: true, reason: 'Coin system unavailable' };
+  await ensurePlayerDoc(playerUid);
+  try {
+    const player = await runCoinTransaction(session => moveCoins(session, playerUid, amount, tx));
+    return { ok: true, balance: player.balance, player };
+  } catch (err) {
+    if (err?.code === 11000) {
+      // Already applied under this idempotency key.
+      return { ok: true, duplicate: true, balance: await getBalance(playerUid) };
+    }
+    if (err?.coinRejected) return { ok: false, reason: err.message };
+    throw err;
+  }
+}
+
+// tx: { type, key, roomId?, gameId?, orderId?, meta?, set? } where set holds
+// extra player fields to update together with the balance.
+async function creditBalance(playerUid, amount, tx) {
+  const res = await applyCoinTransaction(playerUid, amount, tx);
+  if (res.disabled) return { ok: false, balance: null, disabled: true };
+  return { ...res, balance: res.balance ?? null };
+}
+
+function getDailyInfo(doc, now = new Date()) {
+  const state = dailyRewards.getDailyState(doc, DAILY_REWARD_CONFIG, now);
   return {
-    canClaimDaily,
-    nextDailyClaimAt: canClaimDaily ? null : new Date(next).toISOString(),
-    dailyStreak: streak,
-    nextRewardDay: nextDay,
-    nextRewardAmount
+    state,
+    canClaimDaily: state.canClaim,
+    nextDailyClaimAt: state.canClaim ? null : state.nextResetAt.toISOString(),
+    dailyStreak: state.streak,
+    nextRewardDay: state.rewardDay,
+    nextRewardAmount: state.rewardCoins,
+    dailyResetAt: state.nextResetAt.toISOString(),
+    dailyTimeZone: DAILY_REWARD_CONFIG.timeZone,
+    streakGraceLeft: state.graceLeft,
+    dailyCalendar: state.calendar
   };
 }
-
-function initRoomCoins(room) {
-  if (!room) return;
-  if (!room.coin) {
-    room.coin = {
-      entryFee: COIN_ENTRY_FEE,
-      houseFeePercent: COIN_HOUSE_FEE_PERCENT,
-      pool: 0,
-      participants: {}
-    };
-  }
-}
-
-async function chargeEntryFee(room, socket, playerUid) {
+
+function initRoomCoins(room) {
+  if (!room) return;
+  if (!room.coin) {
+    room.coin = {
+      entryFee: COIN_ENTRY_FEE,
+      houseFeePercent: COIN_HOUSE_FEE_PERCENT,
+      pool: 0,
+      participants: {}
+    };
+  }
+}
+
+// Each paid seat gets a charge id; it keys the entry_fee ledger entry and the
+// refund for that seat, and is what room.coin.participants maps a player to.
+function createChargeId(roomId, playerUid) {
+  return `${roomId}:${playerUid}:${createOrderId()}`;
+}
+
+// Entry fees are held in a coin_escrows document until the game ends. Fees go
+// in, and come out to the winners, the house or back to the players, in the
+// same transaction as the balance updates. room.coin.pool and participants
+// mirror the escrow in memory.
+function getEscrowId(roomId, room) {
+  initRoomCoins(room);
+  if (!room.coin.escrowId) {
+    room.coin.escrowId = `${roomId}:${createOrderId()}`;
+  }
+  return room.coin.escrowId;
+}
+
+// Charges the room's entry fee to every player, or to none of them if one
+// can't pay. Returns the new balance of each player.
+async function escrowEntryFees(roomId, room, playerUids) {
+  initRoomCoins(room);
+  if (!playersCollection) return { ok: false, disabled: true, reason: 'Coin system unavailable' };
+  const fee = room.coin.entryFee;
+  const escrowId = getEscrowId(roomId, room);
+  const charges = playerUids.map(playerUid => ({ playerUid, chargeId: createChargeId(roomId, playerUid) }));
+  for (const charge of charges) {
+    await ensurePlayerDoc(charge.playerUid);
+  }
+  let balances;
+  try {
+    balances = await runCoinTransaction(async (session) => {
+      const result = {};
+      for (const { playerUid, chargeId } of charges) {
+        const player = await moveCoins(session, playerUid, -fee, {
+          type: 'entry_fee',
+          key: `entry_fee:${chargeId}`,
+          roomId,
+          escrowId,
+          entryFee: fee
+        });
+        result[playerUid] = player.balance;
+      }
+      const now = new Date();
+      await escrowsCollection.updateOne(
+        { _id: escrowId, status: 'open' },
+        {
+          $setOnInsert: { roomId, entryFee: fee, createdAt: now },
+          $inc: { pool: fee * charges.length },
+          $push: { holdings: { $each: charges.map(c => ({ ...c, amount: fee })) } },
+          // Everyone who ever paid in, kept after refunds and payout.
+          $addToSet: { playerUids: { $each: playerUids } },
+          $set: { updatedAt: now }
+        },
+        { upsert: true, session }
+      );
+      return result;
+    });
+  } catch (err) {
+    if (err?.coinRejected) return { ok: false, playerUid: err.playerUid, reason: err.message };
+    throw err;
+  }
+  charges.forEach(({ playerUid, chargeId }) => {
+    room.coin.participants[playerUid] = chargeId;
+  });
+  room.coin.pool += fee * charges.length;
+  return { ok: true, balances };
+}
+
+async function chargeEntryFee(roomId, room, socket, playerUid) {
   initRoomCoins(room);
   if (!playerUid) return { ok: false, reason: 'Missing player identity' };
   if (room.coin.participants[playerUid]) {
     return { ok: true, balance: await getBalance(playerUid) };
   }
-  const res = await debitBalance(playerUid, room.coin.entryFee);
-  if (!res.ok) {
-    return { ok: false, reason: res.reason || 'Insufficient coins' };
-  }
-  room.coin.participants[playerUid] = true;
-  room.coin.pool += room.coin.entryFee;
-  if (socket) {
-    socket.emit('coins_updated', {
-      balance: res.balance,
-      entryFee: room.coin.entryFee,
-      houseFeePercent: room.coin.houseFeePercent
-    });
-  }
-  return { ok: true, balance: res.balance };
-}
-
-async function chargeEntryFeesForMatch(room, socketsById) {
+  const res = await escrowEntryFees(roomId, room, [playerUid]);
+  if (!res.ok) {
+    return { ok: false, reason: res.reason || 'Insufficient coins' };
+  }
+  const balance = res.balances[playerUid];
+  if (socket) {
+    socket.emit('coins_updated', {
+      balance,
+      entryFee: room.coin.entryFee,
+      houseFeePercent: room.coin.houseFeePercent
+    });
+  }
+  return { ok: true, balance };
+}
+
+async function chargeEntryFeesForMatch(roomId, room, socketsById) {
   initRoomCoins(room);
   if (!room?.isPublic) {
     return { ok: true };
@@ -208,63 +537,261 @@ async function chargeEntryFeesForMatch(room, socketsById) {
     }
   }
 
-  const debited = [];
-  for (const p of playerEntries) {
-    const socket = socketsById.get(p.id) || null;
-    const res = await chargeEntryFee(room, socket, p.playerUid);
-    if (!res.ok) {
-      for (const uid of debited) {
-        await creditBalance(uid, room.coin.entryFee);
-      }
-      return { ok: false, reason: res.reason || 'Failed to deduct entry fee' };
-    }
-    debited.push(p.playerUid);
+  const unpaid = playerEntries.filter(p => !room.coin.participants[p.playerUid]);
+  if (unpaid.length === 0) {
+    return { ok: true };
+  }
+  const res = await escrowEntryFees(roomId, room, unpaid.map(p => p.playerUid));
+  if (!res.ok) {
+    const short = unpaid.find(p => p.playerUid === res.playerUid);
+    return {
+      ok: false,
+      reason: short
+        ? `${short.name} no longer has enough coins; entry fee is ${room.coin.entryFee}.`
+        : (res.reason || 'Failed to deduct entry fee')
+    };
+  }
+  for (const p of unpaid) {
+    const socket = socketsById.get(p.id) || io.to(p.id);
+    socket.emit('coins_updated', {
+      balance: res.balances[p.playerUid],
+      entryFee: room.coin.entryFee,
+      houseFeePercent: room.coin.houseFeePercent
+    });
   }
 
   return { ok: true };
 }
-
-async function refundEntryFee(room, playerUid) {
-  if (!room?.coin || !room.coin.participants?.[playerUid]) return;
-  const amount = room.coin.entryFee;
-  delete room.coin.participants[playerUid];
-  room.coin.pool = Math.max(0, room.coin.pool - amount);
-  await creditBalance(playerUid, amount);
-}
-
-async function payOutWinner(room, winnerUid) {
-  if (!room?.coin || !winnerUid) return;
-  const pool = room.coin.pool || 0;
-  const feePct = room.coin.houseFeePercent || 0;
-  const fee = Math.max(0, Math.round(pool * (feePct / 100)));
-  const prize = Math.max(0, pool - fee);
-  if (prize > 0) {
-    await creditBalance(winnerUid, prize);
-  }
-  room.coin.pool = 0;
-  return { prize, fee };
-}
-
-async function emitCoinsUpdate(socketId, playerUid, room = null) {
-  if (!socketId || !playerUid) return;
-  const balance = await getBalance(playerUid);
-  io.to(socketId).emit('coins_updated', {
-    balance: balance ?? 0,
-    entryFee: room?.coin?.entryFee ?? COIN_ENTRY_FEE,
-    houseFeePercent: room?.coin?.houseFeePercent ?? COIN_HOUSE_FEE_PERCENT
-  });
-}
-
+
+async function refundEntryFee(roomId, room, playerUid) {
+  if (!room?.coin || !room.coin.participants?.[playerUid]) return;
+  const amount = room.coin.entryFee;
+  const chargeId = room.coin.participants[playerUid];
+  const escrowId = room.coin.escrowId;
+  delete room.coin.participants[playerUid];
+  room.coin.pool = Math.max(0, room.coin.pool - amount);
+  if (!escrowsCollection || !escrowId) return;
+  await runCoinTransaction(async (session) => {
+    const res = await escrowsCollection.updateOne(
+      { _id: escrowId, status: 'open', 'holdings.chargeId': chargeId },
+      {
+        $inc: { pool: -amount },
+        $pull: { holdings: { chargeId } },
+        $set: { updatedAt: new Date() }
+      },
+      { session }
+    );
+    // Already paid out or refunded.
+    if (res.matchedCount === 0) return;
+    await moveCoins(session, playerUid, amount, {
+      type: 'refund',
+      key: `refund:${chargeId}`,
+      roomId,
+      gameId: room.gameState?.gameId,
+      escrowId,
+      entryFee: room.coin.entryFee
+    });
+  });
+}
+
+// Returns every fee still held by an open escrow to its player and closes it.
+async function refundEscrow(escrowId, reason) {
+  if (!escrowsCollection || !escrowId) return [];
+  return runCoinTransaction(session => refundEscrowInSession(session, escrowId, reason));
+}
+
+async function refundEscrowInSession(session, escrowId, reason) {
+  const escrow = await escrowsCollection.findOne({ _id: escrowId, status: 'open' }, { session });
+  if (!escrow) return [];
+  const holdings = escrow.holdings || [];
+  for (const holding of holdings) {
+    await moveCoins(session, holding.playerUid, holding.amount, {
+      type: 'refund',
+      key: `refund:${holding.chargeId}`,
+      roomId: escrow.roomId,
+      escrowId,
+      entryFee: escrow.entryFee,
+      meta: { reason }
+    });
+  }
+  const now = new Date();
+  await escrowsCollection.updateOne(
+    { _id: escrowId },
+    {
+      $set: {
+        status: 'refunded',
+        pool: 0,
+        holdings: [],
+        refundReason: reason,
+        settledAt: now,
+        updatedAt: now
+      }
+    },
+    { session }
+  );
+  return holdings;
+}
+
+// Refunds open escrows whose room no longer exists on any instance, e.g. after
+// a crash between charging the fees and saving the room. Escrows touched in the
+// last ESCROW_RECONCILE_AFTER_MS are left alone since their room may not have
+// been checkpointed yet. Tournament buy-ins have no room and are settled by
+// the tournament.
+async function reconcileEscrows() {
+  if (!escrowsCollection) return;
+  const cutoff = new Date(Date.now() - ESCROW_RECONCILE_AFTER_MS);
+  const stale = await escrowsCollection
+    .find({ status: 'open', updatedAt: { $lte: cutoff }, tournamentId: { $exists: false } })
+    .toArray();
+  for (const escrow of stale) {
+    if (rooms[escrow.roomId]?.coin?.escrowId === escrow._id) continue;
+    const doc = await roomStore.load(escrow.roomId);
+    if (doc?.room?.coin?.escrowId === escrow._id) continue;
+    const refunded = await refundEscrow(escrow._id, 'reconciled');
+    console.warn(`Escrow ${escrow._id} had no room; refunded ${refunded.length} entry fee(s)`);
+  }
+}
+
+function parsePayoutTables(raw) {
+  return String(raw || '')
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean)
+    .reduce((tables, entry) => {
+      const match = entry.match(/^(\*|\d+):(\d+)=(\d+(?:\/\d+)*)$/);
+      const split = match ? match[3].split('/').map(v => parseInt(v, 10)) : [];
+      if (!match || split.reduce((sum, v) => sum + v, 0) !== 100) {
+        console.warn(`Ignoring invalid payout table "${entry}" (expected fee:places=pct/pct summing to 100)`);
+        return tables;
+      }
+      tables[`${match[1]}:${match[2]}`] = split;
+      return tables;
+    }, {});
+}
+
+function getPayoutTable(entryFee, placeCount) {
+  return COIN_PAYOUT_TABLES[`${entryFee}:${placeCount}`]
+    || COIN_PAYOUT_TABLES[`*:${placeCount}`]
+    || [100];
+}
+
+// ranking is a list of places, each a list of playerUids (teammates share a
+// place). The prize after the house fee is split by the payout table for the
+// room's entry fee. Seats without a playerUid (bots) keep their place in the
+// table, but the house keeps their share, so a game against bots can't pay a
+// player more than they would win against people.
+function splitPrizePool(pool, coin, places) {
+  const feePct = coin.houseFeePercent || 0;
+  const fee = Math.max(0, Math.round(pool * (feePct / 100)));
+  const prize = Math.max(0, pool - fee);
+  const table = getPayoutTable(coin.entryFee, places.length);
+  const placeAmounts = places.map((_, idx) => (
+    idx > 0 ? Math.floor(prize * ((table[idx] || 0) / 100)) : 0
+  ));
+  placeAmounts[0] = prize - placeAmounts.reduce((sum, v) => sum + v, 0);
+
+  const shares = [];
+  let unclaimed = 0;
+  places.forEach((seats, idx) => {
+    // Seats at a place split it evenly; an odd coin goes to the first one.
+    const share = Math.floor(placeAmounts[idx] / seats.length);
+    seats.forEach((playerUid, i) => {
+      const amount = i === 0 ? placeAmounts[idx] - share * (seats.length - 1) : share;
+      if (!playerUid) {
+        unclaimed += amount;
+        return;
+      }
+      shares.push({ playerUid, place: idx + 1, amount });
+    });
+  });
+  return { prize: prize - unclaimed, fee, unclaimed, table, shares };
+}
+
+// Releases the room's escrow to the winners and the house in one transaction.
+async function payOutWinner(roomId, room, ranking) {
+  // Bot seats stay in as null so splitPrizePool can give their share to the house.
+  const places = (ranking || []).map(place => (Array.isArray(place) ? place : [place]).map(uid => uid || null));
+  if (!room?.coin || places.length === 0) return;
+  const gameId = room.gameState?.gameId || null;
+  const escrowId = room.coin.escrowId;
+  let payout = null;
+  if (escrowsCollection && escrowId) {
+    payout = await runCoinTransaction(async (session) => {
+      const escrow = await escrowsCollection.findOne({ _id: escrowId, status: 'open' }, { session });
+      if (!escrow) return null;
+      const split = splitPrizePool(escrow.pool || 0, room.coin, places);
+      for (const entry of split.shares) {
+        if (entry.amount > 0) {
+          await moveCoins(session, entry.playerUid, entry.amount, {
+            type: 'prize',
+            key: `prize:${escrowId}:${entry.playerUid}`,
+            roomId,
+            gameId,
+            escrowId,
+            entryFee: room.coin.entryFee,
+            meta: { place: entry.place }
+          });
+        }
+      }
+      if (split.fee + split.unclaimed > 0) {
+        // The house has no balance; its entry only records what it kept.
+        await insertCoinEntry(session, {
+          type: 'house_fee',
+          key: `house_fee:${escrowId}`,
+          amount: split.fee + split.unclaimed,
+          roomId,
+          gameId,
+          escrowId,
+          entryFee: room.coin.entryFee,
+          meta: { fee: split.fee, unclaimed: split.unclaimed }
+        });
+      }
+      const now = new Date();
+      await escrowsCollection.updateOne(
+        { _id: escrowId },
+        {
+          $set: {
+            status: 'released',
+            pool: 0,
+            holdings: [],
+            gameId,
+            payout: { prize: split.prize, fee: split.fee, unclaimed: split.unclaimed, shares: split.shares },
+            settledAt: now,
+            updatedAt: now
+          }
+        },
+        { session }
+      );
+      return split;
+    });
+  }
+  room.coin.pool = 0;
+  room.coin.participants = {};
+  room.coin.escrowId = null;
+  // Nothing was held (coins disabled or already settled), so nothing is paid.
+  return payout || splitPrizePool(0, room.coin, places);
+}
+
+async function emitCoinsUpdate(socketId, playerUid, room = null) {
+  if (!socketId || !playerUid) return;
+  const balance = await getBalance(playerUid);
+  io.to(socketId).emit('coins_updated', {
+    balance: balance ?? 0,
+    entryFee: room?.coin?.entryFee ?? COIN_ENTRY_FEE,
+    houseFeePercent: room?.coin?.houseFeePercent ?? COIN_HOUSE_FEE_PERCENT
+  });
+}
+
 app.get('/api/coins/balance', async (req, res) => {
   try {
     await initMongo();
-    const playerUid = String(req.query.playerUid || '').trim();
-    if (!playerUid) {
-      res.status(400).json({ error: 'Missing playerUid' });
-      return;
-    }
-    const doc = await ensurePlayerDoc(playerUid);
-    const balance = doc?.balance ?? 0;
+    const playerUid = String(req.query.playerUid || '').trim();
+    if (!playerUid) {
+      res.status(400).json({ error: 'Missing playerUid' });
+      return;
+    }
+    const doc = await ensurePlayerDoc(playerUid);
+    const balance = doc?.balance ?? 0;
     const daily = getDailyInfo(doc);
     res.json({
       balance: balance ?? 0,
@@ -274,24 +801,29 @@ app.get('/api/coins/balance', async (req, res) => {
       nextDailyClaimAt: daily.nextDailyClaimAt,
       dailyStreak: daily.dailyStreak,
       nextRewardDay: daily.nextRewardDay,
-      nextRewardAmount: daily.nextRewardAmount
+      nextRewardAmount: daily.nextRewardAmount,
+      dailyResetAt: daily.dailyResetAt,
+      dailyTimeZone: daily.dailyTimeZone,
+      streakGraceLeft: daily.streakGraceLeft,
+      dailyCalendar: daily.dailyCalendar
     });
   } catch (error) {
-    console.error('Balance error:', error);
-    res.status(500).json({ error: 'Failed to fetch balance' });
-  }
-});
-
+    console.error('Balance error:', error);
+    res.status(500).json({ error: 'Failed to fetch balance' });
+  }
+});
+
 app.post('/api/coins/claim-daily', async (req, res) => {
   try {
     await initMongo();
-    const playerUid = String(req.body?.playerUid || '').trim();
-    if (!playerUid) {
-      res.status(400).json({ error: 'Missing playerUid' });
-      return;
-    }
+    const playerUid = String(req.body?.playerUid || '').trim();
+    if (!playerUid) {
+      res.status(400).json({ error: 'Missing playerUid' });
+      return;
+    }
     const doc = await ensurePlayerDoc(playerUid);
-    const daily = getDailyInfo(doc);
+    const now = new Date();
+    const daily = getDailyInfo(doc, now);
     if (!daily.canClaimDaily) {
       res.json({
         balance: doc?.balance ?? 0,
@@ -299,1808 +831,5101 @@ app.post('/api/coins/claim-daily', async (req, res) => {
         nextDailyClaimAt: daily.nextDailyClaimAt,
         dailyStreak: daily.dailyStreak,
         nextRewardDay: daily.nextRewardDay,
-        nextRewardAmount: daily.nextRewardAmount
+        nextRewardAmount: daily.nextRewardAmount,
+        dailyResetAt: daily.dailyResetAt,
+        streakGraceLeft: daily.streakGraceLeft,
+        dailyCalendar: daily.dailyCalendar
       });
       return;
     }
-    const now = new Date();
-    const last = doc?.lastDailyClaim ? new Date(doc.lastDailyClaim).getTime() : 0;
-    const streak = Math.max(0, parseInt(doc?.dailyStreak || 0, 10) || 0);
-    const continueStreak = last && (now.getTime() - last) <= 48 * 60 * 60 * 1000;
-    const nextStreak = continueStreak ? streak + 1 : 1;
-    const rewardDay = ((nextStreak - 1) % 7) + 1;
-    const rewardAmount = 100 + (rewardDay - 1) * 50;
-    const updated = await playersCollection.findOneAndUpdate(
-      { _id: playerUid },
-      {
-        $inc: { balance: rewardAmount },
-        $set: { lastDailyClaim: now, dailyStreak: nextStreak, updatedAt: now }
+    const { state } = daily;
+    // One claim per calendar day, however many requests race for it.
+    const updated = await creditBalance(playerUid, state.rewardCoins, {
+      type: 'daily',
+      key: `daily:${playerUid}:${state.today}`,
+      set: {
+        lastDailyClaim: now,
+        dailyClaimDay: state.today,
+        dailyStreak: state.nextStreak,
+        dailyGraceDays: state.graceDays
       },
-      { returnDocument: 'after' }
-    );
-    const nextDaily = getDailyInfo(updated?.value);
+      meta: {
+        rewardDay: state.rewardDay,
+        streak: state.nextStreak,
+        bonus: state.reward.bonus,
+        forgivenDays: state.forgiven
+      }
+    });
+    if (updated.duplicate) {
+      res.status(409).json({ error: 'Daily reward already claimed' });
+      return;
+    }
+    const nextDaily = getDailyInfo(updated.player, now);
     res.json({
-      balance: updated?.value?.balance ?? 0,
+      balance: updated.balance ?? 0,
       canClaimDaily: nextDaily.canClaimDaily,
       nextDailyClaimAt: nextDaily.nextDailyClaimAt,
       dailyStreak: nextDaily.dailyStreak,
       nextRewardDay: nextDaily.nextRewardDay,
       nextRewardAmount: nextDaily.nextRewardAmount,
-      rewardGranted: rewardAmount,
-      rewardDay
+      dailyResetAt: nextDaily.dailyResetAt,
+      streakGraceLeft: nextDaily.streakGraceLeft,
+      dailyCalendar: nextDaily.dailyCalendar,
+      rewardGranted: state.rewardCoins,
+      rewardBonus: state.reward.bonus,
+      rewardDay: state.rewardDay,
+      forgivenDays: state.forgiven
     });
   } catch (error) {
-    console.error('Claim daily error:', error);
-    res.status(500).json({ error: 'Failed to claim daily reward' });
-  }
-});
-
-app.get('/api/coins/leaderboard', async (req, res) => {
-  try {
-    await initMongo();
-    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '10', 10), 50));
-    const rows = await playersCollection
-      .find({}, { projection: { name: 1, balance: 1 } })
-      .sort({ balance: -1 })
-      .limit(limit)
-      .toArray();
-    res.json({
-      rows: rows.map(r => ({
-        name: r.name || 'Player',
-        balance: r.balance || 0
-      }))
-    });
-  } catch (error) {
-    console.error('Leaderboard error:', error);
-    res.status(500).json({ error: 'Failed to fetch leaderboard' });
-  }
-});
-
-app.post('/api/players/profile', async (req, res) => {
-  try {
-    await initMongo();
-    const playerUid = String(req.body?.playerUid || '').trim();
-    const name = String(req.body?.name || '').trim();
-    if (!playerUid || !name) {
-      res.status(400).json({ error: 'Missing playerUid or name' });
-      return;
-    }
-    await updatePlayerProfile(playerUid, name);
-    res.json({ ok: true });
-  } catch (error) {
-    console.error('Profile update error:', error);
-    res.status(500).json({ error: 'Failed to update profile' });
-  }
-});
-
-app.post('/api/coins/create-order', async (req, res) => {
-  try {
-    await initMongo();
-    if (!purchasesCollection) {
-      res.status(503).json({ error: 'Coin system unavailable' });
-      return;
-    }
-    const playerUid = String(req.body?.playerUid || '').trim();
-    const packId = String(req.body?.packId || '').trim();
-    if (!playerUid || !packId) {
-      res.status(400).json({ error: 'Missing playerUid or packId' });
-      return;
-    }
-    const pack = getPackById(packId);
-    if (!pack) {
-      res.status(400).json({ error: 'Invalid packId' });
-      return;
-    }
-    await ensurePlayerDoc(playerUid);
-    const orderId = createOrderId();
-    const now = new Date();
-    await purchasesCollection.insertOne({
-      _id: orderId,
-      playerUid,
-      packId: pack.id,
-      coins: pack.coins,
-      piAmount: pack.piAmount,
-      status: 'created',
-      createdAt: now,
-      updatedAt: now
-    });
-    res.json({
-      orderId,
-      packId: pack.id,
-      coins: pack.coins,
-      piAmount: pack.piAmount,
-      memo: `Ludo Coins +${pack.coins}`,
-      metadata: {
-        orderId,
-        packId: pack.id,
-        coins: pack.coins,
-        playerUid
-      }
-    });
-  } catch (error) {
-    console.error('Create order error:', error);
-    res.status(500).json({ error: 'Failed to create order' });
-  }
-});
-
-function piApiRequest(method, path, body) {
-  return new Promise((resolve, reject) => {
-    if (!apiKey) {
-      reject(new Error('PI_SERVER_API_KEY not set'));
-      return;
-    }
-
-    const payload = body ? JSON.stringify(body) : null;
-    const req = https.request(
-      {
-        hostname: 'api.minepi.com',
-        path: `/v2${path}`,
-        method,
-        headers: {
-          Authorization: `Key ${apiKey}`,
-          'Content-Type': 'application/json',
-          'Content-Length': payload ? Buffer.byteLength(payload) : 0
-        }
-      },
-      (res) => {
-        let raw = '';
-        res.on('data', (chunk) => {
-          raw += chunk;
-        });
-        res.on('end', () => {
-          let parsed = null;
-          try {
-            parsed = raw ? JSON.parse(raw) : null;
-          } catch (error) {
-            parsed = raw || null;
-          }
-
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(parsed);
-            return;
-          }
-
-          const err = new Error(`Pi API ${res.statusCode}`);
-          err.statusCode = res.statusCode;
-          err.body = parsed;
-          reject(err);
-        });
-      }
-    );
-
-    req.on('error', reject);
-    if (payload) {
-      req.write(payload);
-    }
-    req.end();
-  });
-}
-
-function extractPaymentField(payment, key) {
-  if (!payment || typeof payment !== 'object') return undefined;
-  if (payment[key] !== undefined) return payment[key];
-  if (payment.payment && payment.payment[key] !== undefined) return payment.payment[key];
-  if (payment.data && payment.data[key] !== undefined) return payment.data[key];
-  return undefined;
-}
-
-function parseMetadata(raw) {
-  if (!raw) return null;
-  if (typeof raw === 'object') return raw;
-  try {
-    return JSON.parse(raw);
-  } catch (e) {
-    return null;
-  }
-}
-
-// Health route for backend-only deployments (e.g., frontend hosted on Netlify)
-app.get('/', (req, res) => {
-  res.status(200).json({
-    ok: true,
-    service: 'ludo-server',
-    socketPath: '/socket.io'
-  });
-});
-
-app.get('/healthz', (req, res) => {
-  res.status(200).json({ ok: true });
-});
-
-async function handlePaymentApprove(req, res) {
-  const { paymentId, orderId } = req.body || {};
-  if (!paymentId || !orderId) {
-    res.status(400).json({ success: false, error: 'Missing paymentId or orderId' });
-    return;
-  }
-  try {
-    await initMongo();
-    if (!purchasesCollection) {
-      res.status(503).json({ success: false, error: 'Coin system unavailable' });
-      return;
-    }
-    const order = await purchasesCollection.findOne({ _id: orderId });
-    if (!order) {
-      res.status(404).json({ success: false, error: 'Order not found' });
-      return;
-    }
-    await piApiRequest('POST', `/payments/${paymentId}/approve`, null);
-    await purchasesCollection.updateOne(
-      { _id: orderId },
-      { $set: { paymentId, status: 'approved', updatedAt: new Date() } }
-    );
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Pi approve error:', error?.body || error?.message || error);
-    res.status(502).json({
-      success: false,
-      error: 'Pi approve failed',
-      details: error?.body || error?.message || 'Unknown error'
-    });
-  }
-}
-
-async function handlePaymentComplete(req, res) {
-  const { paymentId, txid } = req.body || {};
-  if (!paymentId || !txid) {
-    res.status(400).json({ success: false, error: 'Missing paymentId or txid' });
-    return;
-  }
-
-  try {
-    await initMongo();
-    if (!purchasesCollection) {
-      res.status(503).json({ success: false, error: 'Coin system unavailable' });
-      return;
-    }
-    const order = await purchasesCollection.findOne({ paymentId });
-    if (!order) {
-      res.status(404).json({ success: false, error: 'Order not found for payment' });
-      return;
-    }
-    if (order.status === 'completed') {
-      const balance = await getBalance(order.playerUid);
-      res.json({ success: true, balance });
-      return;
-    }
-
-    await piApiRequest('POST', `/payments/${paymentId}/complete`, { txid });
-
-    let paymentInfo = null;
-    try {
-      paymentInfo = await piApiRequest('GET', `/payments/${paymentId}`, null);
-    } catch (error) {
-      paymentInfo = null;
-    }
-
-    const paymentAmount = Number(extractPaymentField(paymentInfo, 'amount'));
-    const paymentMetadata = parseMetadata(extractPaymentField(paymentInfo, 'metadata'));
-    const metadataOk = paymentMetadata
-      && paymentMetadata.orderId === order._id
-      && paymentMetadata.packId === order.packId
-      && paymentMetadata.playerUid === order.playerUid
-      && Number(paymentMetadata.coins) === Number(order.coins);
-
-    if (!metadataOk || (Number.isFinite(paymentAmount) && paymentAmount !== Number(order.piAmount))) {
-      await purchasesCollection.updateOne(
-        { _id: order._id },
-        { $set: { status: 'mismatch', txid, updatedAt: new Date(), paymentInfo } }
-      );
-      res.status(400).json({ success: false, error: 'Payment metadata mismatch' });
-      return;
-    }
-
-    const credit = await creditBalance(order.playerUid, order.coins);
-    await purchasesCollection.updateOne(
-      { _id: order._id },
-      {
-        $set: {
-          status: 'completed',
-          txid,
-          updatedAt: new Date(),
-          paymentInfo
-        }
-      }
-    );
-    res.json({ success: true, balance: credit.balance });
-  } catch (error) {
-    console.error('Pi complete error:', error?.body || error?.message || error);
-    res.status(502).json({
-      success: false,
-      error: 'Pi complete failed',
-      details: error?.body || error?.message || 'Unknown error'
-    });
-  }
-}
-
-app.post('/approve', handlePaymentApprove);
-app.post('/complete', handlePaymentComplete);
-app.post('/api/payments/approve', handlePaymentApprove);
-app.post('/api/payments/complete', handlePaymentComplete);
-
-const server = http.createServer(app);
-const io = socketIo(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
-  }
-});
-
-console.log('Ludo Server starting...');
-
-// Game state storage
-const rooms = {};
-const MAX_PLAYERS = 4;
-const DEFAULT_MAX_PLAYERS = 4;
-const TURN_TIME_MS = 10000;
-const RECONNECT_GRACE_MS = 60000;
-const quickPlayQueues = {};
-const socketToPlayerUid = {};
-
-function replacePlayerIdInRoom(room, oldId, newId) {
-  if (!room || !room.players || !room.players[oldId]) return null;
-  const existing = room.players[oldId];
-  room.players[newId] = {
-    ...existing,
-    id: newId,
-    connected: true,
-    disconnectedAt: null,
-    lastReconnectAt: new Date().toISOString()
-  };
-  delete room.players[oldId];
-
-  if (room.gameState?.players?.[oldId]) {
-    room.gameState.players[newId] = room.gameState.players[oldId];
-    delete room.gameState.players[oldId];
-  }
-
-  if (room.gameState?.playerColors) {
-    Object.keys(room.gameState.playerColors).forEach(color => {
-      if (room.gameState.playerColors[color] === oldId) {
-        room.gameState.playerColors[color] = newId;
-      }
-    });
-  }
-
-  return room.players[newId];
-}
-
-function removePlayerFromRoom(roomId, playerId, reason = "left") {
-  const room = rooms[roomId];
-  if (!room || !room.players[playerId]) return;
-
-  const leavingPlayer = room.players[playerId];
-  const playerName = leavingPlayer?.name || "Player";
-  const leavingWasHost = !!leavingPlayer?.isHost;
-  const playerUid = leavingPlayer?.playerUid || null;
-
-  delete room.players[playerId];
-  room.playerCount--;
-
-  if (room.gameState?.players?.[playerId]) {
-    delete room.gameState.players[playerId];
-  }
-
-  if (room.gameState?.playerColors) {
-    Object.keys(room.gameState.playerColors).forEach(color => {
-      if (room.gameState.playerColors[color] === playerId) {
-        delete room.gameState.playerColors[color];
-      }
-    });
-  }
-
-  if (leavingWasHost && room.playerCount > 0) {
-    Object.values(room.players).forEach(p => {
-      p.isHost = false;
-    });
-    const connectedHost = Object.keys(room.players).find(id => room.players[id]?.connected !== false);
-    const newHostId = connectedHost || Object.keys(room.players)[0];
-    if (newHostId) {
-      room.players[newHostId].isHost = true;
-    }
-  }
-
-  if (room.playerCount === 0) {
-    delete rooms[roomId];
-    console.log(`Room ${roomId} deleted (empty)`);
-  } else {
-    io.to(roomId).emit("player_left", {
-      leftPlayerId: playerId,
-      leftPlayerName: playerName,
-      players: room.players,
-      playerCount: room.playerCount,
-      playerColors: room.gameState?.playerColors || {},
-      maxPlayers: room.maxPlayers || MAX_PLAYERS,
-      newHost: (Object.values(room.players).find(p => p?.isHost) || {}).id,
-      reason
-    });
-    console.log(`${playerName} removed from room ${roomId} (${room.playerCount} players remaining)`);
-  }
-
-  if (!room?.gameState?.gameStarted && playerUid) {
-    refundEntryFee(room, playerUid).catch((err) => {
-      console.error('Refund error:', err);
-    });
-  }
-}
-
-function removeFromQuickPlayQueue(socketId) {
-  Object.keys(quickPlayQueues).forEach(key => {
-    const queue = quickPlayQueues[key];
-    if (!Array.isArray(queue)) return;
-    const idx = queue.indexOf(socketId);
-    if (idx !== -1) {
-      queue.splice(idx, 1);
-    }
-  });
-}
-
-function getSocketPlayerUid(socket, data = {}) {
-  return (
-    data.playerUid ||
-    socket?.handshake?.auth?.playerUid ||
-    socket?.data?.playerUid ||
-    null
-  );
-}
-
-function findRoomPlayerByUid(playerUid, preferredRoomId = null) {
-  if (!playerUid) return null;
-  const roomIds = preferredRoomId ? [preferredRoomId] : Object.keys(rooms);
-  for (const roomId of roomIds) {
-    const room = rooms[roomId];
-    if (!room?.players) continue;
-    for (const [sid, p] of Object.entries(room.players)) {
-      if (p?.playerUid === playerUid) {
-        return { roomId, socketId: sid, player: p, room };
-      }
-    }
-  }
-  return null;
-}
-
-function emitQuickPlayQueueUpdate(queueSize, entryFee) {
-  const key = `${queueSize}_${entryFee}`;
-  const queue = quickPlayQueues[key] || [];
-  const payload = { count: queue.length, maxPlayers: queueSize, entryFee };
-  console.log(`[QP] Queue ${queueSize} fee ${entryFee}: ${queue.length} waiting`);
-  queue.forEach(id => {
-    const s = io.sockets.sockets.get(id);
-    if (s) {
-      s.emit('quick_play_queue_update', payload);
-    }
-  });
-}
-
-async function createQuickPlayRoom(queueSize, entryFee) {
-  const size = [2, 4].includes(queueSize) ? queueSize : DEFAULT_MAX_PLAYERS;
-  const fee = getAllowedEntryFee(entryFee);
-  const key = `${size}_${fee}`;
-  const queue = quickPlayQueues[key] || [];
-  console.log(`[QP] Attempting match for ${size} fee ${fee}. Queue size: ${queue.length}`);
-  const playersToMatch = [];
-  while (playersToMatch.length < size && queue.length > 0) {
-    const id = queue.shift();
-    const s = io.sockets.sockets.get(id);
-    if (s) {
-      playersToMatch.push(s);
-    }
-  }
-
-  if (playersToMatch.length < size) {
-    // Not enough valid sockets, put them back and update queue
-    playersToMatch.forEach(s => queue.unshift(s.id));
-    emitQuickPlayQueueUpdate(size, fee);
-    return;
-  }
-
-  await initMongo();
-  if (!playersCollection) {
-    const roomId = generateRoomCode();
-    console.log(`[QP] Coin system disabled; creating room ${roomId} without entry fee`);
-    rooms[roomId] = {
-      players: {},
-      playerCount: 0,
-      maxPlayers: size,
-      isPublic: false,
-      coin: {
-        entryFee: 0,
-        houseFeePercent: COIN_HOUSE_FEE_PERCENT,
-        pool: 0,
-        participants: {}
-      },
-      gameState: {
-        players: {},
-        playerColors: {},
-        currentPlayer: null,
-        diceValue: 0,
-        gameStarted: false,
-        settings: {},
-        tokens: {
-          r: [-1, -1, -1, -1],
-          g: [-1, -1, -1, -1],
-          y: [-1, -1, -1, -1],
-          b: [-1, -1, -1, -1]
-        }
-      },
-      createdAt: new Date().toISOString()
-    };
-
-    const payload = {
-      roomId,
-      players: rooms[roomId].players,
-      playerCount: rooms[roomId].playerCount,
-      maxPlayers: rooms[roomId].maxPlayers,
-      isPublic: rooms[roomId].isPublic
-    };
-
-    playersToMatch.forEach((s, idx) => {
-      const isHost = idx === 0;
-      const name = s.data?.playerName || `Player${Object.keys(rooms[roomId].players).length + 1}`;
-      const avatar = s.data?.playerAvatar || null;
-      rooms[roomId].players[s.id] = {
-        id: s.id,
-        playerUid: getSocketPlayerUid(s, s.data || {}) || s.data?.playerUid || socketToPlayerUid[s.id] || null,
-        name,
-        avatar,
-        isHost,
-        ready: true,
-        color: null,
-        connected: true,
-        disconnectedAt: null,
-        joinedAt: new Date().toISOString()
-      };
-      rooms[roomId].playerCount++;
-      rooms[roomId].gameState.players[s.id] = { name, ready: true };
-      s.join(roomId);
-    });
-
-    playersToMatch.forEach((s, idx) => {
-      if (idx === 0) {
-        s.emit('room_created', { ...payload, isHost: true });
-      } else {
-        s.emit('room_joined', { ...payload, isHost: false });
-      }
-    });
-
-    emitQuickPlayQueueUpdate(size, fee);
-    return;
+    console.error('Claim daily error:', error);
+    res.status(500).json({ error: 'Failed to claim daily reward' });
   }
-  const paidSockets = [];
-  for (const s of playersToMatch) {
-    const playerUid = getSocketPlayerUid(s, s.data || {});
-    if (!playerUid) {
-      s.emit('error', { message: 'Missing player identity for coins.' });
-      continue;
-    }
-    const debit = await debitBalance(playerUid, fee);
-    if (!debit.ok) {
-      const message = debit.disabled
-        ? 'Coin system unavailable. Try again later.'
-        : `Not enough coins. Entry fee is ${fee}.`;
-      s.emit('error', { message });
-      continue;
-    }
-    s.emit('coins_updated', {
-      balance: debit.balance,
-      entryFee: fee,
-      houseFeePercent: COIN_HOUSE_FEE_PERCENT
-    });
-    paidSockets.push({ socket: s, playerUid });
-  }
-
-  if (paidSockets.length < size) {
-    for (const paid of paidSockets) {
-      await creditBalance(paid.playerUid, fee);
-      paid.socket.emit('coins_updated', {
-        balance: await getBalance(paid.playerUid),
-        entryFee: fee,
-        houseFeePercent: COIN_HOUSE_FEE_PERCENT
-      });
-      queue.unshift(paid.socket.id);
-    }
-    emitQuickPlayQueueUpdate(size, fee);
-    return;
-  }
-
-  const roomId = generateRoomCode();
-  console.log(`[QP] Creating room ${roomId} for ${playersToMatch.length} players (target ${size})`);
-  rooms[roomId] = {
-    players: {},
-    playerCount: 0,
-    maxPlayers: size,
-    isPublic: false,
-    coin: {
-      entryFee: fee,
-      houseFeePercent: COIN_HOUSE_FEE_PERCENT,
-      pool: fee * paidSockets.length,
-      participants: {}
-    },
-    gameState: {
-      players: {},
-      playerColors: {},
-      currentPlayer: null,
-      diceValue: 0,
-      gameStarted: false,
-      settings: {},
-      tokens: {
-        r: [-1, -1, -1, -1],
-        g: [-1, -1, -1, -1],
-        y: [-1, -1, -1, -1],
-        b: [-1, -1, -1, -1]
-      }
-    },
-    createdAt: new Date().toISOString()
-  };
-
-  paidSockets.forEach((entry, idx) => {
-    const s = entry.socket;
-    const isHost = idx === 0;
-    const name = s.data?.playerName || `Player${Object.keys(rooms[roomId].players).length + 1}`;
-    const avatar = s.data?.playerAvatar || null;
-    rooms[roomId].coin.participants[entry.playerUid] = true;
-    rooms[roomId].players[s.id] = {
-      id: s.id,
-      playerUid: entry.playerUid || s.data?.playerUid || socketToPlayerUid[s.id] || null,
-      name,
-      avatar,
-      isHost,
-      ready: true,
-      color: null,
-      connected: true,
-      disconnectedAt: null,
-      joinedAt: new Date().toISOString()
-    };
-    rooms[roomId].playerCount++;
-    rooms[roomId].gameState.players[s.id] = { name, ready: true };
-    s.join(roomId);
-  });
-
-  const payload = {
-    roomId,
-    players: rooms[roomId].players,
-    playerCount: rooms[roomId].playerCount,
-    maxPlayers: rooms[roomId].maxPlayers,
-    isPublic: rooms[roomId].isPublic
-  };
-
-  paidSockets.forEach((entry, idx) => {
-    const s = entry.socket;
-    if (idx === 0) {
-      s.emit('room_created', { ...payload, isHost: true });
-    } else {
-      s.emit('room_joined', { ...payload, isHost: false });
-    }
-  });
-
-  emitQuickPlayQueueUpdate(size, fee);
-}
-
-function clearTurnTimer(room) {
-  if (room && room.gameState && room.gameState.turnTimer) {
-    clearTimeout(room.gameState.turnTimer);
-    room.gameState.turnTimer = null;
-  }
-}
-
-function startTurnTimer(roomId) {
-  const room = rooms[roomId];
-  if (!room || !room.gameState?.gameStarted) return;
-  clearTurnTimer(room);
-  io.to(roomId).emit('turn_timer_start', {
-    duration: TURN_TIME_MS,
-    playerColor: room.gameState.currentPlayer
-  });
-  room.gameState.turnTimer = setTimeout(() => {
-    // Auto-roll if player hasn't rolled yet
-    if (!room || !room.gameState?.gameStarted) return;
-    if (room.gameState.diceValue !== 0) return;
-    const currentColor = room.gameState.currentPlayer;
-    const currentPlayerId = room.gameState.playerColors[currentColor];
-    if (!currentPlayerId) return;
-
-    const diceValue = Math.floor(Math.random() * 6) + 1;
-    room.gameState.diceValue = diceValue;
-    io.to(roomId).emit('dice_rolled', {
-      playerId: currentPlayerId,
-      playerColor: currentColor,
-      playerName: room.players[currentPlayerId]?.name || 'Player',
-      value: diceValue,
-      auto: true
-    });
-    console.log(`Auto-rolled ${diceValue} for ${currentColor} in room ${roomId}`);
-
-    // Auto-move after auto-roll (random valid move)
-    const validMoves = getValidMoves(room, currentColor, diceValue);
-    if (validMoves.length === 0) {
-      passTurn(roomId, currentColor);
-      return;
-    }
-    const tokenIndex = validMoves[Math.floor(Math.random() * validMoves.length)];
-    applyMove(roomId, currentColor, tokenIndex, diceValue, currentPlayerId);
-  }, TURN_TIME_MS);
-}
-
-function getValidMoves(room, color, diceValue) {
-  if (!room || !room.gameState) return [];
-  const tokens = room.gameState.tokens[color] || [];
-  const moves = [];
-  tokens.forEach((step, idx) => {
-    if (step === -1 && diceValue === 6) {
-      moves.push(idx);
-    } else if (step !== -1 && step + diceValue <= 56) {
-      if (requiresCutToHome(room) && step <= 50 && step + diceValue > 50) {
-        if (!room.gameState.cutStatus || !room.gameState.cutStatus[color]) return;
-      }
-      moves.push(idx);
-    }
-  });
-  return moves;
-}
-
-function requiresCutToHome(room) {
-  return room?.gameState?.settings?.cutToHome === true;
-}
-
-function passTurn(roomId, playerColor) {
-  const room = rooms[roomId];
-  if (!room || !room.gameState) return;
-  room.gameState.diceValue = 0;
-  const activeColors = Object.keys(room.gameState.playerColors);
-  const currentIndex = activeColors.indexOf(playerColor);
-  const nextIndex = (currentIndex + 1) % activeColors.length;
-  room.gameState.currentPlayer = activeColors[nextIndex];
-
-  io.to(roomId).emit('no_move_confirmed', {
-    success: true,
-    playerColor: playerColor,
-    nextPlayer: room.gameState.currentPlayer
-  });
-
-  const nextPlayerId = room.gameState.playerColors[room.gameState.currentPlayer];
-  io.to(roomId).emit('player_turn', {
-    color: room.gameState.currentPlayer,
-    playerId: nextPlayerId,
-    playerName: room.players?.[nextPlayerId]?.name || 'Player'
-  });
-  startTurnTimer(roomId);
-}
-
-async function applyMove(roomId, color, tokenIndex, diceValue, actorId) {
-  const room = rooms[roomId];
-  if (!room || !room.gameState?.gameStarted) return;
-
-  const currentStep = room.gameState.tokens[color][tokenIndex];
-  let newStep = currentStep;
-  let extraTurn = false;
-  let killOccurred = false;
-
-  if (currentStep === -1 && diceValue === 6) {
-    newStep = 0;
-  } else if (currentStep !== -1 && currentStep + diceValue <= 56) {
-    newStep = currentStep + diceValue;
-    if (requiresCutToHome(room) && currentStep <= 50 && newStep > 50) {
-      if (!room.gameState.cutStatus || !room.gameState.cutStatus[color]) {
-        return;
-      }
-    }
-    if (newStep <= 50) {
-      const targetIdx = (START_INDEX[color] + newStep) % 52;
-      if (!SAFE_ZONES.includes(targetIdx)) {
-        Object.keys(room.gameState.tokens).forEach(otherColor => {
-          if (otherColor !== color && room.gameState.playerColors[otherColor]) {
-            room.gameState.tokens[otherColor].forEach((step, idx) => {
-              if (step >= 0 && step <= 50) {
-                const enemyIdx = (START_INDEX[otherColor] + step) % 52;
-                if (enemyIdx === targetIdx && !isSafePosition(otherColor, step)) {
-                  room.gameState.tokens[otherColor][idx] = -1;
-                  killOccurred = true;
-                  extraTurn = true;
-                }
-              }
-            });
-          }
-        });
-      }
-    }
-  } else {
-    return;
-  }
-
-  if (killOccurred) {
-    if (!room.gameState.cutStatus) {
-      room.gameState.cutStatus = { r: false, g: false, y: false, b: false };
-    }
-    room.gameState.cutStatus[color] = true;
-  }
-
-  room.gameState.tokens[color][tokenIndex] = newStep;
-
-  let winner = null;
-  if (room.gameState.tokens[color].every(s => s === 56)) {
-    winner = color;
-  }
-
-  io.to(roomId).emit('token_moved', {
-    playerId: actorId,
-    color: color,
-    tokenIndex: tokenIndex,
-    newStep: newStep,
-    diceValue: diceValue,
-    tokens: room.gameState.tokens,
-    killOccurred: killOccurred
-  });
-
-  extraTurn = extraTurn || diceValue === 6;
-  if (!extraTurn || winner) {
-    const colors = Object.keys(room.gameState.playerColors);
-    const currentIndex = colors.indexOf(color);
-    const nextIndex = (currentIndex + 1) % colors.length;
-    room.gameState.currentPlayer = colors[nextIndex];
-    room.gameState.diceValue = 0;
-    const nextPlayerId = room.gameState.playerColors[room.gameState.currentPlayer];
-    io.to(roomId).emit('player_turn', {
-      color: room.gameState.currentPlayer,
-      playerId: nextPlayerId,
-      playerName: room.players[nextPlayerId]?.name || 'Player'
-    });
-    startTurnTimer(roomId);
-  } else {
-    room.gameState.diceValue = 0;
-    io.to(roomId).emit('player_turn', {
-      color: color,
-      playerId: actorId,
-      playerName: room.players[actorId]?.name || 'Player'
-    });
-    startTurnTimer(roomId);
-  }
-
-  if (winner) {
-    clearTurnTimer(room);
-    const winnerPlayerId = room.gameState.playerColors[winner];
-    const winnerUid = room.players[winnerPlayerId]?.playerUid || null;
-    const payout = await payOutWinner(room, winnerUid);
-    if (winnerPlayerId && winnerUid) {
-      await emitCoinsUpdate(winnerPlayerId, winnerUid, room);
-    }
-    setTimeout(() => {
-      io.to(roomId).emit('game_over', {
-        winner: winner,
-        winnerName: room.players[actorId]?.name || 'Player',
-        winnerColor: winner,
-        prize: payout?.prize ?? 0,
-        fee: payout?.fee ?? 0
-      });
-      console.log(`Game over in room ${roomId}. Winner: ${winner}`);
-    }, 1000);
-  }
-}
-
-function buildPublicRoomsList() {
-  return Object.entries(rooms)
-    .filter(([_, room]) => room && room.isPublic && !room.gameState?.gameStarted)
-    .map(([roomId, room]) => {
-      const host = Object.values(room.players || {}).find(p => p.isHost);
-      return {
-        id: roomId,
-        hostName: host?.name || 'Host',
-        playerCount: room.playerCount || 0,
-        maxPlayers: room.maxPlayers || MAX_PLAYERS,
-        gameStarted: !!room.gameState?.gameStarted,
-        entryFee: room.coin?.entryFee || COIN_ENTRY_FEE
-      };
-    });
-}
-
-// Helper function to generate room code
-function generateRoomCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = '';
-  for (let i = 0; i < 6; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return code;
-}
-
-// Game logic constants (same as frontend)
-const START_INDEX = { r: 0, g: 13, y: 26, b: 39 };
-const SAFE_ZONES = [0, 8, 13, 21, 26, 34, 39, 47];
-
-function isSafePosition(color, step) {
-  if (step > 50) return true; // home-stretch lanes are safe
-  if (step < 0) return true;
-  const idx = (START_INDEX[color] + step) % 52;
-  return SAFE_ZONES.includes(idx);
-}
-
-function getPairedColor(color) {
-  const pairs = { r: 'y', y: 'r', g: 'b', b: 'g' };
-  return pairs[color];
-}
-
-io.on('connection', (socket) => {
-  console.log('New client connected:', socket.id);
-  const authPlayerUid = getSocketPlayerUid(socket);
-  if (authPlayerUid) {
-    socket.data = socket.data || {};
-    socket.data.playerUid = authPlayerUid;
-    socketToPlayerUid[socket.id] = authPlayerUid;
-  }
-
-  socket.on('reconnect_player', async (data = {}) => {
-    try {
-      const playerUid = getSocketPlayerUid(socket, data);
-      const roomId = (data.roomId || '').toUpperCase();
-      if (!playerUid || !roomId) {
-        socket.emit('reconnect_failed', { message: 'Missing reconnect identity' });
-        return;
-      }
-
-      await initMongo();
-
-      const found = findRoomPlayerByUid(playerUid, roomId);
-      if (!found) {
-        socket.emit('reconnect_failed', { message: 'No reconnect session found' });
-        return;
-      }
-
-      const room = found.room;
-      const oldSocketId = found.socketId;
-      const player = found.player;
-      const disconnectedAt = player?.disconnectedAt ? new Date(player.disconnectedAt).getTime() : null;
-      const now = Date.now();
-      if (disconnectedAt && now - disconnectedAt > RECONNECT_GRACE_MS) {
-        socket.emit('reconnect_failed', { message: 'Reconnect window expired' });
-        return;
-      }
-
-      // Replace socket id everywhere in room state
-      if (oldSocketId !== socket.id) {
-        replacePlayerIdInRoom(room, oldSocketId, socket.id);
-      } else if (room.players[socket.id]) {
-        room.players[socket.id].connected = true;
-        room.players[socket.id].disconnectedAt = null;
-      }
-
-      socket.data = socket.data || {};
-      socket.data.playerUid = playerUid;
-      socket.data.playerName = room.players[socket.id]?.name || socket.data.playerName;
-      socket.data.playerAvatar = room.players[socket.id]?.avatar || socket.data.playerAvatar;
-      socketToPlayerUid[socket.id] = playerUid;
-
-      removeFromQuickPlayQueue(oldSocketId);
-      removeFromQuickPlayQueue(socket.id);
-      socket.join(roomId);
-
-      socket.emit('reconnect_success', {
-        roomId,
-        playerId: socket.id,
-        players: room.players,
-        playerCount: room.playerCount,
-        playerColors: room.gameState?.playerColors || {},
-        maxPlayers: room.maxPlayers || MAX_PLAYERS,
-        isPublic: !!room.isPublic,
-        isHost: !!room.players[socket.id]?.isHost,
-        gameState: {
-          gameStarted: !!room.gameState?.gameStarted,
-          currentPlayer: room.gameState?.currentPlayer || null,
-          diceValue: room.gameState?.diceValue || 0,
-          settings: room.gameState?.settings || {},
-          cutStatus: room.gameState?.cutStatus || { r: false, g: false, y: false, b: false },
-          tokens: room.gameState?.tokens || {
-            r: [-1, -1, -1, -1],
-            g: [-1, -1, -1, -1],
-            y: [-1, -1, -1, -1],
-            b: [-1, -1, -1, -1]
-          }
-        }
-      });
-
-      emitCoinsUpdate(socket.id, playerUid, room).catch((err) => {
-        console.error('Coins update error:', err);
-      });
-
-      socket.to(roomId).emit('player_reconnected', {
-        playerId: socket.id,
-        players: room.players,
-        playerCount: room.playerCount,
-        playerColors: room.gameState?.playerColors || {}
-      });
-
-      console.log(`Player ${room.players[socket.id]?.name || playerUid} reconnected in room ${roomId}`);
-    } catch (error) {
-      console.error('Error reconnecting player:', error);
-      socket.emit('reconnect_failed', { message: 'Failed to reconnect player' });
-    }
-  });
-
-  socket.on('quick_play_join', async (data = {}) => {
-    const playerName = data.playerName || `Player${Math.floor(Math.random() * 1000)}`;
-    const maxPlayers = [2, 4].includes(parseInt(data.maxPlayers, 10)) ? parseInt(data.maxPlayers, 10) : DEFAULT_MAX_PLAYERS;
-    const avatar = data.avatar || null;
-    const playerUid = getSocketPlayerUid(socket, data);
-    const requestedFee = parseInt(data.entryFee, 10);
-    const entryFee = getAllowedEntryFee(Number.isFinite(requestedFee) ? requestedFee : COIN_ENTRY_FEE);
-    socket.data = socket.data || {};
-    socket.data.playerName = playerName;
-    socket.data.playerAvatar = avatar;
-    if (playerUid) {
-      socket.data.playerUid = playerUid;
-      socketToPlayerUid[socket.id] = playerUid;
-    }
-
-    removeFromQuickPlayQueue(socket.id);
-    await initMongo();
-    await updatePlayerProfile(playerUid, playerName);
+});
 
+// Newest first. Pass the returned nextBefore as ?before= to get the next page.
+app.get('/api/coins/history', async (req, res) => {
+  try {
+    await initMongo();
+    if (!coinTransactionsCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const playerUid = String(req.query.playerUid || '').trim();
     if (!playerUid) {
-      socket.emit('error', { message: 'Missing player identity for coins.' });
+      res.status(400).json({ error: 'Missing playerUid' });
       return;
     }
-
-    if (playersCollection) {
-      const balance = await getBalance(playerUid);
-      if (balance === null || balance < entryFee) {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '20', 10) || 20, 100));
+    const query = { playerUid, status: 'applied' };
+    if (req.query.type) {
+      query.type = String(req.query.type);
+    }
+    if (req.query.before) {
+      if (!ObjectId.isValid(String(req.query.before))) {
+        res.status(400).json({ error: 'Invalid before cursor' });
+        return;
+      }
+      query._id = { $lt: new ObjectId(String(req.query.before)) };
+    }
+    const rows = await coinTransactionsCollection
+      .find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .toArray();
+    const page = rows.slice(0, limit);
+    res.json({
+      rows: page.map(tx => ({
+        id: String(tx._id),
+        type: tx.type,
+        amount: tx.amount,
+        balanceAfter: tx.balanceAfter,
+        roomId: tx.roomId,
+        gameId: tx.gameId,
+        orderId: tx.orderId,
+        meta: tx.meta || null,
+        createdAt: tx.createdAt
+      })),
+      nextBefore: rows.length > limit ? String(page[page.length - 1]._id) : null
+    });
+  } catch (error) {
+    console.error('Coin history error:', error);
+    res.status(500).json({ error: 'Failed to fetch coin history' });
+  }
+});
+
+app.get('/api/coins/leaderboard', async (req, res) => {
+  try {
+    await initMongo();
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '10', 10), 50));
+    const rows = await playersCollection
+      .find({}, { projection: { name: 1, balance: 1 } })
+      .sort({ balance: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({
+      rows: rows.map(r => ({
+        name: r.name || 'Player',
+        balance: r.balance || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Leaderboard error:', error);
+    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+  }
+});
+
+// Finished periods are kept a week past their reset for late lookups.
+const MISSION_PROGRESS_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+function getMissionProgressId(playerUid, period, periodKey) {
+  return `${playerUid}:${period}:${periodKey}`;
+}
+
+// Adds to the player's mission counters for the current day and week and to
+// their lifetime stats, then unlocks any achievements that reached their
+// target. increments: { capture: 1, ... }
+async function recordMissionStats(playerUid, increments, socketId = null) {
+  if (!missionProgressCollection || !playerUid) return;
+  const now = new Date();
+  const timeZone = DAILY_REWARD_CONFIG.timeZone;
+  const counts = {};
+  const stats = {};
+  Object.entries(increments).forEach(([stat, amount]) => {
+    counts[`counts.${stat}`] = amount;
+    stats[`stats.${stat}`] = amount;
+  });
+  for (const period of missions.PERIODS) {
+    const periodKey = missions.getPeriodKey(period, now, timeZone);
+    const resetAt = missions.getPeriodReset(period, now, timeZone);
+    await missionProgressCollection.updateOne(
+      { _id: getMissionProgressId(playerUid, period, periodKey) },
+      {
+        $inc: counts,
+        $setOnInsert: {
+          playerUid,
+          period,
+          periodKey,
+          claimed: {},
+          createdAt: now,
+          expiresAt: new Date(resetAt.getTime() + MISSION_PROGRESS_RETENTION_MS)
+        },
+        $set: { updatedAt: now }
+      },
+      { upsert: true }
+    );
+  }
+  const res = await playersCollection.findOneAndUpdate(
+    { _id: playerUid },
+    { $inc: stats, $set: { updatedAt: now } },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+  const player = res?.value;
+  for (const achievement of missions.getNewAchievements(player?.stats, player?.achievements)) {
+    const unlocked = await playersCollection.updateOne(
+      { _id: playerUid, [`achievements.${achievement.id}`]: { $exists: false } },
+      { $set: { [`achievements.${achievement.id}`]: now } }
+    );
+    if (unlocked.modifiedCount > 0 && socketId) {
+      io.to(socketId).emit('achievement_unlocked', missions.describeAchievement(achievement, now));
+    }
+  }
+}
+
+app.get('/api/missions', async (req, res) => {
+  try {
+    await initMongo();
+    if (!missionProgressCollection) {
+      res.status(503).json({ error: 'Missions unavailable' });
+      return;
+    }
+    const playerUid = String(req.query.playerUid || '').trim();
+    if (!playerUid) {
+      res.status(400).json({ error: 'Missing playerUid' });
+      return;
+    }
+    const now = new Date();
+    const timeZone = DAILY_REWARD_CONFIG.timeZone;
+    const result = {};
+    for (const period of missions.PERIODS) {
+      const periodKey = missions.getPeriodKey(period, now, timeZone);
+      const progress = await missionProgressCollection.findOne({
+        _id: getMissionProgressId(playerUid, period, periodKey)
+      });
+      result[period] = {
+        periodKey,
+        resetsAt: missions.getPeriodReset(period, now, timeZone).toISOString(),
+        missions: missions.describeMissions(period, progress)
+      };
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Missions error:', error);
+    res.status(500).json({ error: 'Failed to fetch missions' });
+  }
+});
+
+app.post('/api/missions/claim', async (req, res) => {
+  try {
+    await initMongo();
+    if (!missionProgressCollection) {
+      res.status(503).json({ error: 'Missions unavailable' });
+      return;
+    }
+    const playerUid = String(req.body?.playerUid || '').trim();
+    const missionId = String(req.body?.missionId || '').trim();
+    if (!playerUid || !missionId) {
+      res.status(400).json({ error: 'Missing playerUid or missionId' });
+      return;
+    }
+    const mission = missions.getMission(missionId);
+    if (!mission) {
+      res.status(400).json({ error: 'Invalid missionId' });
+      return;
+    }
+    const periodKey = missions.getPeriodKey(mission.period, new Date(), DAILY_REWARD_CONFIG.timeZone);
+    const progressId = getMissionProgressId(playerUid, mission.period, periodKey);
+    const progress = await missionProgressCollection.findOne({ _id: progressId });
+    if ((progress?.counts?.[mission.stat] || 0) < mission.target) {
+      res.status(409).json({ error: 'Mission not completed yet' });
+      return;
+    }
+    if (progress.claimed?.[mission.id]) {
+      res.status(409).json({ error: 'Mission reward already claimed' });
+      return;
+    }
+    // The ledger key pays each mission once per period, even if two claims race.
+    const credit = await creditBalance(playerUid, mission.reward, {
+      type: 'mission',
+      key: `mission:${playerUid}:${periodKey}:${mission.id}`,
+      meta: { missionId: mission.id, period: mission.period, periodKey }
+    });
+    if (credit.duplicate) {
+      res.status(409).json({ error: 'Mission reward already claimed' });
+      return;
+    }
+    if (!credit.ok) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    await missionProgressCollection.updateOne(
+      { _id: progressId },
+      { $set: { [`claimed.${mission.id}`]: new Date() } }
+    );
+    res.json({ balance: credit.balance, missionId: mission.id, rewardGranted: mission.reward });
+  } catch (error) {
+    console.error('Mission claim error:', error);
+    res.status(500).json({ error: 'Failed to claim mission reward' });
+  }
+});
+
+const REFERRAL_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Gives the player a referral code the first time one is asked for.
+async function getReferralCode(playerUid) {
+  const player = await playersCollection.findOne({ _id: playerUid }, { projection: { referralCode: 1 } });
+  if (!player) return null;
+  if (player.referralCode) return player.referralCode;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = Array.from({ length: 8 }, () => REFERRAL_CODE_CHARS[crypto.randomInt(REFERRAL_CODE_CHARS.length)]).join('');
+    try {
+      await playersCollection.updateOne(
+        { _id: playerUid, referralCode: { $exists: false } },
+        { $set: { referralCode: code } }
+      );
+    } catch (err) {
+      // Someone else has this code; try another.
+      if (err?.code === 11000) continue;
+      throw err;
+    }
+    const updated = await playersCollection.findOne({ _id: playerUid }, { projection: { referralCode: 1 } });
+    return updated?.referralCode || null;
+  }
+  throw new Error('Could not allocate a referral code');
+}
+
+// Pays out a pending referral. Called for every paid match a referred player
+// finishes; only the first call finds the referral pending.
+async function rewardReferral(referredUid, gameId) {
+  if (!referralsCollection) return null;
+  return runCoinTransaction(async (session) => {
+    const referral = await referralsCollection.findOne({ _id: referredUid, status: 'pending' }, { session });
+    if (!referral) return null;
+    const referrer = await playersCollection.findOne(
+      { _id: referral.referrerUid },
+      { session, projection: { referralStats: 1 } }
+    );
+    const capped = (referrer?.referralStats?.rewarded || 0) >= REFERRAL_MAX_REWARDED;
+    await moveCoins(session, referredUid, REFERRAL_REWARD_REFERRED, {
+      type: 'referral',
+      key: `referral:${referredUid}:referred`,
+      gameId,
+      meta: { referrerUid: referral.referrerUid }
+    });
+    if (!capped) {
+      await moveCoins(session, referral.referrerUid, REFERRAL_REWARD_REFERRER, {
+        type: 'referral',
+        key: `referral:${referredUid}:referrer`,
+        gameId,
+        meta: { referredUid }
+      });
+    }
+    await playersCollection.updateOne(
+      { _id: referral.referrerUid },
+      {
+        $inc: {
+          'referralStats.qualified': 1,
+          ...(capped ? {} : {
+            'referralStats.rewarded': 1,
+            'referralStats.coinsEarned': REFERRAL_REWARD_REFERRER
+          })
+        }
+      },
+      { session }
+    );
+    await referralsCollection.updateOne(
+      { _id: referredUid },
+      { $set: { status: 'rewarded', referrerRewarded: !capped, gameId, rewardedAt: new Date() } },
+      { session }
+    );
+    return { referrerUid: referral.referrerUid, referrerRewarded: !capped };
+  });
+}
+
+async function recordPaidMatchFinished(playerUid, gameId, socketId) {
+  const res = await playersCollection.findOneAndUpdate(
+    { _id: playerUid },
+    { $inc: { paidMatchesFinished: 1 }, $set: { updatedAt: new Date() } },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+  if (!res?.value?.referredBy) return;
+  const rewarded = await rewardReferral(playerUid, gameId);
+  if (rewarded && socketId) {
+    io.to(socketId).emit('referral_rewarded', { reward: REFERRAL_REWARD_REFERRED });
+    await emitCoinsUpdate(socketId, playerUid);
+  }
+}
+
+app.post('/api/players/redeem-referral', async (req, res) => {
+  try {
+    await initMongo();
+    if (!referralsCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const playerUid = String(req.body?.playerUid || '').trim();
+    const code = String(req.body?.code || '').trim().toUpperCase();
+    if (!playerUid || !code) {
+      res.status(400).json({ error: 'Missing playerUid or code' });
+      return;
+    }
+    const player = await ensurePlayerDoc(playerUid);
+    const referrer = await playersCollection.findOne({ referralCode: code }, { projection: { _id: 1, name: 1 } });
+    if (!referrer) {
+      res.status(404).json({ error: 'Referral code not found' });
+      return;
+    }
+    if (referrer._id === playerUid) {
+      res.status(400).json({ error: 'You cannot redeem your own referral code' });
+      return;
+    }
+    if (player?.referredBy) {
+      res.status(409).json({ error: 'A referral code was already redeemed' });
+      return;
+    }
+    // Only recent accounts that haven't played for coins yet count as new.
+    const now = new Date();
+    const accountAge = now.getTime() - new Date(player?.createdAt || 0).getTime();
+    if ((player?.paidMatchesFinished || 0) > 0 || !(accountAge <= REFERRAL_REDEEM_WINDOW_MS)) {
+      res.status(409).json({ error: 'Referral codes are only for new players' });
+      return;
+    }
+    // Attaching the referrer and recording the referral succeed or fail together.
+    const attached = await runCoinTransaction(async (session) => {
+      const update = await playersCollection.updateOne(
+        { _id: playerUid, referredBy: { $exists: false } },
+        { $set: { referredBy: { playerUid: referrer._id, code, at: now }, updatedAt: now } },
+        { session }
+      );
+      if (update.modifiedCount === 0) return false;
+      await referralsCollection.insertOne({
+        _id: playerUid,
+        referrerUid: referrer._id,
+        code,
+        status: 'pending',
+        createdAt: now
+      }, { session });
+      await playersCollection.updateOne(
+        { _id: referrer._id },
+        { $inc: { 'referralStats.invited': 1 } },
+        { session }
+      );
+      return true;
+    });
+    if (!attached) {
+      res.status(409).json({ error: 'A referral code was already redeemed' });
+      return;
+    }
+    res.json({
+      ok: true,
+      referrerName: referrer.name || 'Player',
+      reward: REFERRAL_REWARD_REFERRED,
+      status: 'pending'
+    });
+  } catch (error) {
+    console.error('Redeem referral error:', error);
+    res.status(500).json({ error: 'Failed to redeem referral code' });
+  }
+});
+
+app.get('/api/players/profile', async (req, res) => {
+  try {
+    await initMongo();
+    if (!playersCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const playerUid = String(req.query.playerUid || '').trim();
+    if (!playerUid) {
+      res.status(400).json({ error: 'Missing playerUid' });
+      return;
+    }
+    const player = await playersCollection.findOne(
+      { _id: playerUid },
+      { projection: { name: 1, stats: 1, achievements: 1, createdAt: 1, referredBy: 1, referralStats: 1 } }
+    );
+    if (!player) {
+      res.status(404).json({ error: 'Player not found' });
+      return;
+    }
+    const referralStatus = player.referredBy
+      ? (await referralsCollection.findOne({ _id: playerUid }, { projection: { status: 1 } }))?.status || null
+      : null;
+    const achievements = missions.describeAchievements(player.stats, player.achievements);
+    res.json({
+      playerUid,
+      name: player.name || 'Player',
+      stats: missions.MISSION_STATS.reduce((acc, stat) => {
+        acc[stat] = player.stats?.[stat] || 0;
+        return acc;
+      }, {}),
+      badges: achievements.filter(a => a.unlockedAt).map(({ id, badge, title, unlockedAt }) => ({ id, badge, title, unlockedAt })),
+      achievements,
+      referral: {
+        code: await getReferralCode(playerUid),
+        referred: !!player.referredBy,
+        status: referralStatus,
+        invited: player.referralStats?.invited || 0,
+        qualified: player.referralStats?.qualified || 0,
+        rewarded: player.referralStats?.rewarded || 0,
+        coinsEarned: player.referralStats?.coinsEarned || 0,
+        maxRewarded: REFERRAL_MAX_REWARDED,
+        rewardReferrer: REFERRAL_REWARD_REFERRER,
+        rewardReferred: REFERRAL_REWARD_REFERRED
+      },
+      memberSince: player.createdAt || null
+    });
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+app.post('/api/players/profile', async (req, res) => {
+  try {
+    await initMongo();
+    const playerUid = String(req.body?.playerUid || '').trim();
+    const name = String(req.body?.name || '').trim();
+    if (!playerUid || !name) {
+      res.status(400).json({ error: 'Missing playerUid or name' });
+      return;
+    }
+    await updatePlayerProfile(playerUid, name);
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Coins a player sent or received today, from the ledger.
+async function getTransferredToday(session, playerUid, type, since) {
+  const [row] = await coinTransactionsCollection.aggregate([
+    { $match: { playerUid, type, status: 'applied', createdAt: { $gte: since } } },
+    { $group: { _id: null, total: { $sum: { $abs: '$amount' } } } }
+  ], { session }).toArray();
+  return row?.total || 0;
+}
+
+// Moves coins from one player to another in one transaction. Both balance
+// updates touch the player documents, so concurrent transfers for the same
+// player conflict and retry, and the daily totals they read stay accurate.
+async function transferCoins(fromUid, toUid, amount, transferId) {
+  const now = new Date();
+  const since = dailyRewards.getTodayStart(now, DAILY_REWARD_CONFIG.timeZone);
+  const key = `transfer:${fromUid}:${transferId}`;
+  try {
+    return await runCoinTransaction(async (session) => {
+      const done = await coinTransactionsCollection.findOne({ idempotencyKey: `${key}:out` }, { session });
+      if (done) {
+        const sender = await playersCollection.findOne({ _id: fromUid }, { session, projection: { balance: 1 } });
+        return { ok: true, duplicate: true, balance: sender?.balance ?? null };
+      }
+      const sent = await getTransferredToday(session, fromUid, 'transfer_out', since);
+      if (sent + amount > TRANSFER_DAILY_SEND_CAP) {
+        throw coinRejection(`Daily send limit is ${TRANSFER_DAILY_SEND_CAP} coins; ${Math.max(0, TRANSFER_DAILY_SEND_CAP - sent)} left today`, fromUid);
+      }
+      const received = await getTransferredToday(session, toUid, 'transfer_in', since);
+      if (received + amount > TRANSFER_DAILY_RECEIVE_CAP) {
+        throw coinRejection('Recipient has reached their daily receive limit', toUid);
+      }
+      const sender = await moveCoins(session, fromUid, -amount, {
+        type: 'transfer_out',
+        key: `${key}:out`,
+        meta: { toUid, transferId }
+      });
+      const recipient = await moveCoins(session, toUid, amount, {
+        type: 'transfer_in',
+        key: `${key}:in`,
+        meta: { fromUid, transferId }
+      });
+      return { ok: true, balance: sender.balance, recipientBalance: recipient.balance };
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return { ok: true, duplicate: true, balance: await getBalance(fromUid) };
+    }
+    if (err?.coinRejected) return { ok: false, reason: err.message };
+    throw err;
+  }
+}
+
+// Coins only leave an account whose owner proved it: the Pi access token from
+// "Authorization: Bearer <token>" must belong to playerUid.
+async function requirePlayerToken(req, res, playerUid) {
+  const match = /^Bearer\s+(\S+)$/i.exec(String(req.get('authorization') || ''));
+  if (!match) {
+    res.status(401).json({ error: 'Missing access token' });
+    return false;
+  }
+  let user;
+  try {
+    user = await paymentProvider.getUser(match[1]);
+  } catch (error) {
+    if (error?.statusCode === 401 || error?.statusCode === 403) {
+      res.status(401).json({ error: 'Invalid access token' });
+      return false;
+    }
+    throw error;
+  }
+  if (!user?.uid || user.uid !== playerUid) {
+    res.status(403).json({ error: 'Access token does not match playerUid' });
+    return false;
+  }
+  return true;
+}
+
+app.post('/api/coins/transfer', async (req, res) => {
+  try {
+    await initMongo();
+    if (!playersCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const fromUid = String(req.body?.playerUid || '').trim();
+    const toUid = String(req.body?.toPlayerUid || '').trim();
+    const amount = Number(req.body?.amount);
+    if (!fromUid || !toUid) {
+      res.status(400).json({ error: 'Missing playerUid or toPlayerUid' });
+      return;
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      res.status(400).json({ error: 'amount must be a positive whole number' });
+      return;
+    }
+    if (fromUid === toUid) {
+      res.status(400).json({ error: 'You cannot send coins to yourself' });
+      return;
+    }
+    if (!await requirePlayerToken(req, res, fromUid)) return;
+    // Retrying with the same transferId never moves the coins twice.
+    const transferId = String(req.body?.transferId || createOrderId()).slice(0, 64);
+    const [sender, recipient] = await Promise.all([
+      playersCollection.findOne({ _id: fromUid }, { projection: { createdAt: 1 } }),
+      playersCollection.findOne({ _id: toUid }, { projection: { createdAt: 1, name: 1 } })
+    ]);
+    if (!sender || !recipient) {
+      res.status(404).json({ error: 'Player not found' });
+      return;
+    }
+    const oldEnough = (player) => (
+      player.createdAt && Date.now() - new Date(player.createdAt).getTime() >= TRANSFER_MIN_ACCOUNT_AGE_MS
+    );
+    if (!oldEnough(sender) || !oldEnough(recipient)) {
+      res.status(403).json({
+        error: `Both accounts must be at least ${Math.ceil(TRANSFER_MIN_ACCOUNT_AGE_MS / 86400000)} days old to send coins`
+      });
+      return;
+    }
+    // Tournament buy-ins share one escrow, so only tablemates count there.
+    const since = new Date(Date.now() - TRANSFER_SHARED_ROOM_COOLDOWN_MS);
+    const sharedRoom = TRANSFER_SHARED_ROOM_COOLDOWN_MS > 0 && (
+      await escrowsCollection.findOne(
+        { playerUids: { $all: [fromUid, toUid] }, updatedAt: { $gte: since } },
+        { projection: { _id: 1 } }
+      )
+      || await tournamentsCollection.findOne(
+        {
+          buyIn: { $gt: 0 },
+          tables: { $elemMatch: { seats: { $all: [fromUid, toUid] }, calledAt: { $gte: since } } }
+        },
+        { projection: { _id: 1 } }
+      )
+    );
+    if (sharedRoom) {
+      res.status(403).json({ error: 'You played a paid match with this player recently; try again later' });
+      return;
+    }
+    const result = await transferCoins(fromUid, toUid, amount, transferId);
+    if (!result.ok) {
+      res.status(409).json({ error: result.reason });
+      return;
+    }
+    if (!result.duplicate) {
+      const update = { entryFee: COIN_ENTRY_FEE, houseFeePercent: COIN_HOUSE_FEE_PERCENT };
+      io.to(getPlayerChannel(toUid)).emit('coins_updated', {
+        ...update,
+        balance: result.recipientBalance,
+        transfer: { fromUid, amount, transferId }
+      });
+      io.to(getPlayerChannel(fromUid)).emit('coins_updated', { ...update, balance: result.balance });
+    }
+    res.json({
+      ok: true,
+      duplicate: !!result.duplicate,
+      transferId,
+      amount,
+      toPlayerUid: toUid,
+      toName: recipient.name || 'Player',
+      balance: result.balance
+    });
+  } catch (error) {
+    console.error('Coin transfer error:', error);
+    res.status(500).json({ error: 'Failed to transfer coins' });
+  }
+});
+
+function getTournamentChannel(tournamentId) {
+  return `tournament:${tournamentId}`;
+}
+
+function emitTournamentUpdate(tournament) {
+  io.to(getTournamentChannel(tournament._id))
+    .emit('tournament_bracket_updated', tournaments.describeTournament(tournament));
+}
+
+// Takes the buy-in into the tournament's escrow and adds the player, in one
+// transaction. Returns { ok, balance } or { ok: false, status, error }.
+async function registerForTournament(tournamentId, playerUid) {
+  await ensurePlayerDoc(playerUid);
+  try {
+    return await runCoinTransaction(async (session) => {
+      const now = new Date();
+      const tournament = await tournamentsCollection.findOne({ _id: tournamentId }, { session });
+      if (!tournament) return { ok: false, status: 404, error: 'Tournament not found' };
+      if (!tournaments.isRegistrationOpen(tournament, now)) {
+        return { ok: false, status: 409, error: 'Registration is closed' };
+      }
+      const entrants = tournament.entrants || [];
+      if (entrants.some(entrant => entrant.playerUid === playerUid)) {
+        return { ok: false, status: 409, error: 'You are already registered' };
+      }
+      if (entrants.length >= tournament.maxPlayers) {
+        return { ok: false, status: 409, error: 'Tournament is full' };
+      }
+      const chargeId = createChargeId(`T${tournamentId}`, playerUid);
+      let balance = null;
+      if (tournament.buyIn > 0) {
+        // A settled escrow can't take more buy-ins (and the upsert below would
+        // collide with it).
+        const escrow = await escrowsCollection.findOne(
+          { _id: tournament.escrowId },
+          { session, projection: { status: 1 } }
+        );
+        if (escrow && escrow.status !== 'open') {
+          return { ok: false, status: 409, error: 'Registration is closed' };
+        }
+        const player = await moveCoins(session, playerUid, -tournament.buyIn, {
+          type: 'entry_fee',
+          key: `entry_fee:${chargeId}`,
+          escrowId: tournament.escrowId,
+          entryFee: tournament.buyIn,
+          meta: { tournamentId }
+        });
+        balance = player.balance;
+        await escrowsCollection.updateOne(
+          { _id: tournament.escrowId, status: 'open' },
+          {
+            $setOnInsert: { tournamentId, entryFee: tournament.buyIn, createdAt: now },
+            $inc: { pool: tournament.buyIn },
+            $push: { holdings: { playerUid, chargeId, amount: tournament.buyIn } },
+            $set: { updatedAt: now }
+          },
+          { upsert: true, session }
+        );
+      }
+      const player = await playersCollection.findOne({ _id: playerUid }, { session, projection: { name: 1 } });
+      const res = await tournamentsCollection.updateOne(
+        { _id: tournamentId, status: 'registration' },
+        {
+          $push: { entrants: { playerUid, name: player?.name || 'Player', chargeId, registeredAt: now } },
+          $set: { updatedAt: now }
+        },
+        { session }
+      );
+      // The tournament started while we were charging; abort the charge.
+      if (res.matchedCount === 0) throw coinRejection('Registration is closed', playerUid);
+      return { ok: true, balance };
+    });
+  } catch (err) {
+    if (err?.coinRejected) return { ok: false, status: 409, error: err.message };
+    // The escrow was settled between the check above and the upsert.
+    if (err?.code === 11000) return { ok: false, status: 409, error: 'Registration is closed' };
+    throw err;
+  }
+}
+
+async function unregisterFromTournament(tournamentId, playerUid) {
+  try {
+    return await runCoinTransaction(async (session) => {
+      const now = new Date();
+      const tournament = await tournamentsCollection.findOne({ _id: tournamentId }, { session });
+      if (!tournament) return { ok: false, status: 404, error: 'Tournament not found' };
+      const entrant = (tournament.entrants || []).find(e => e.playerUid === playerUid);
+      if (!entrant) return { ok: false, status: 404, error: 'You are not registered' };
+      if (tournament.status !== 'registration' || new Date(tournament.startsAt) <= now) {
+        return { ok: false, status: 409, error: 'Tournament has already started' };
+      }
+      await tournamentsCollection.updateOne(
+        { _id: tournamentId },
+        { $pull: { entrants: { playerUid } }, $set: { updatedAt: now } },
+        { session }
+      );
+      let balance = null;
+      if (tournament.buyIn > 0) {
+        const released = await escrowsCollection.updateOne(
+          { _id: tournament.escrowId, status: 'open', 'holdings.chargeId': entrant.chargeId },
+          {
+            $inc: { pool: -tournament.buyIn },
+            $pull: { holdings: { chargeId: entrant.chargeId } },
+            $set: { updatedAt: now }
+          },
+          { session }
+        );
+        // Only refund a buy-in the escrow actually gave back.
+        if (released.matchedCount === 0) throw coinRejection('Your buy-in is no longer held', playerUid);
+        const player = await moveCoins(session, playerUid, tournament.buyIn, {
+          type: 'refund',
+          key: `refund:${entrant.chargeId}`,
+          escrowId: tournament.escrowId,
+          entryFee: tournament.buyIn,
+          meta: { tournamentId, reason: 'unregistered' }
+        });
+        balance = player.balance;
+      }
+      return { ok: true, balance };
+    });
+  } catch (err) {
+    if (err?.coinRejected) return { ok: false, status: 409, error: err.message };
+    throw err;
+  }
+}
+
+// Refunds every buy-in and closes the tournament, in one transaction.
+async function cancelTournament(tournament, reason) {
+  const refunded = await runCoinTransaction(async (session) => {
+    const now = new Date();
+    const res = await tournamentsCollection.updateOne(
+      { _id: tournament._id, status: { $in: ['registration', 'running'] } },
+      { $set: { status: 'cancelled', cancelReason: reason, finishedAt: now, updatedAt: now } },
+      { session }
+    );
+    if (res.matchedCount === 0) return null;
+    return refundEscrowInSession(session, tournament.escrowId, reason);
+  });
+  if (!refunded) return false;
+  for (const holding of refunded) {
+    await emitPlayerCoins(holding.playerUid);
+  }
+  emitTournamentUpdate(await tournamentsCollection.findOne({ _id: tournament._id }));
+  console.log(`Tournament ${tournament._id} cancelled (${reason}); refunded ${refunded.length} buy-in(s)`);
+  return true;
+}
+
+async function emitPlayerCoins(playerUid) {
+  const balance = await getBalance(playerUid);
+  io.to(getPlayerChannel(playerUid)).emit('coins_updated', {
+    balance: balance ?? 0,
+    entryFee: COIN_ENTRY_FEE,
+    houseFeePercent: COIN_HOUSE_FEE_PERCENT
+  });
+}
+
+// Seats a table in a new room on this instance and calls its players to it.
+async function callTournamentTable(tournament, table, recall = false) {
+  const now = new Date();
+  const joinBy = new Date(now.getTime() + TOURNAMENT_NO_SHOW_MS);
+  const final = tournaments.getRoundTables(tournament, table.round).length === 1;
+  const roomId = createTournamentTableRoom(tournament, table, joinBy);
+  await tournamentsCollection.updateOne(
+    { _id: tournament._id, 'tables.id': table.id },
+    {
+      $set: {
+        'tables.$.status': 'called',
+        'tables.$.roomId': roomId,
+        'tables.$.calledAt': now,
+        'tables.$.joinBy': joinBy,
+        'tables.$.recalls': (table.recalls || 0) + (recall ? 1 : 0),
+        updatedAt: now
+      }
+    }
+  );
+  const names = (tournament.entrants || []).reduce((acc, e) => ({ ...acc, [e.playerUid]: e.name }), {});
+  for (const playerUid of table.seats) {
+    io.in(getPlayerChannel(playerUid)).socketsJoin(getTournamentChannel(tournament._id));
+    io.to(getPlayerChannel(playerUid)).emit('tournament_table_called', {
+      tournamentId: tournament._id,
+      name: tournament.name,
+      round: table.round,
+      final,
+      tableId: table.id,
+      roomId,
+      joinBy: joinBy.toISOString(),
+      seats: table.seats.map(uid => ({ playerUid: uid, name: names[uid] || 'Player' }))
+    });
+  }
+}
+
+async function startTournamentRound(tournament, round) {
+  for (const table of tournaments.getRoundTables(tournament, round)) {
+    if (table.status === 'pending') {
+      await callTournamentTable(tournament, table);
+    }
+  }
+}
+
+async function recordTournamentTableResult(tournamentId, tableId, ranking, noShows) {
+  if (!tournamentsCollection) return;
+  const now = new Date();
+  const res = await tournamentsCollection.updateOne(
+    {
+      _id: tournamentId,
+      status: 'running',
+      tables: { $elemMatch: { id: tableId, status: { $in: ['called', 'playing'] } } }
+    },
+    {
+      $set: {
+        'tables.$.status': 'finished',
+        'tables.$.ranking': ranking,
+        'tables.$.noShows': noShows,
+        'tables.$.winnerUid': ranking[0]?.[0] || null,
+        'tables.$.finishedAt': now,
+        updatedAt: now
+      }
+    }
+  );
+  if (res.modifiedCount === 0) return;
+  emitTournamentUpdate(await tournamentsCollection.findOne({ _id: tournamentId }));
+  await withTournamentLease(tournamentId, processTournament);
+}
+
+async function markTournamentTableStarted(tournamentId, tableId) {
+  await tournamentsCollection.updateOne(
+    { _id: tournamentId, tables: { $elemMatch: { id: tableId, status: 'called' } } },
+    { $set: { 'tables.$.status': 'playing', 'tables.$.startedAt': new Date(), updatedAt: new Date() } }
+  );
+}
+
+// Pays the pool out by final standing and closes the tournament, in one
+// transaction with the escrow release.
+async function finishTournament(tournament) {
+  const standings = tournaments.getStandings(tournament);
+  const names = (tournament.entrants || []).reduce((acc, e) => ({ ...acc, [e.playerUid]: e.name }), {});
+  const finished = await runCoinTransaction(async (session) => {
+    const now = new Date();
+    const escrow = tournament.buyIn > 0
+      ? await escrowsCollection.findOne({ _id: tournament.escrowId, status: 'open' }, { session })
+      : null;
+    const split = tournaments.splitTournamentPool(standings, escrow?.pool || 0, tournament.houseFeePercent, tournament.payout);
+    for (const share of split.shares) {
+      if (share.amount > 0) {
+        await moveCoins(session, share.playerUid, share.amount, {
+          type: 'prize',
+          key: `prize:${tournament.escrowId}:${share.playerUid}`,
+          escrowId: tournament.escrowId,
+          entryFee: tournament.buyIn,
+          meta: { tournamentId: tournament._id, place: share.place }
+        });
+      }
+    }
+    if (escrow && split.fee + split.unclaimed > 0) {
+      await insertCoinEntry(session, {
+        type: 'house_fee',
+        key: `house_fee:${tournament.escrowId}`,
+        amount: split.fee + split.unclaimed,
+        escrowId: tournament.escrowId,
+        entryFee: tournament.buyIn,
+        meta: { tournamentId: tournament._id, fee: split.fee, unclaimed: split.unclaimed }
+      });
+    }
+    if (escrow) {
+      await escrowsCollection.updateOne(
+        { _id: tournament.escrowId },
+        {
+          $set: {
+            status: 'released',
+            pool: 0,
+            holdings: [],
+            payout: { prize: split.prize, fee: split.fee, unclaimed: split.unclaimed, shares: split.shares },
+            settledAt: now,
+            updatedAt: now
+          }
+        },
+        { session }
+      );
+    }
+    const results = standings.map(row => ({
+      playerUid: row.playerUid,
+      name: names[row.playerUid] || 'Player',
+      place: row.place,
+      prize: split.shares.find(share => share.playerUid === row.playerUid)?.amount || 0
+    }));
+    const res = await tournamentsCollection.updateOne(
+      { _id: tournament._id, status: 'running' },
+      {
+        $set: {
+          status: 'finished',
+          results,
+          prize: split.prize,
+          fee: split.fee,
+          finishedAt: now,
+          updatedAt: now
+        }
+      },
+      { session }
+    );
+    if (res.matchedCount === 0) throw new Error(`Tournament ${tournament._id} is no longer running`);
+    return results;
+  });
+  for (const result of finished) {
+    if (result.prize > 0) await emitPlayerCoins(result.playerUid);
+  }
+  emitTournamentUpdate(await tournamentsCollection.findOne({ _id: tournament._id }));
+  console.log(`Tournament ${tournament._id} finished; winner ${finished[0]?.playerUid || 'none'}`);
+}
+
+// Tables whose room vanished (an instance crashed, or everyone left before it
+// started) are called again once; after that their players count as no-shows.
+async function recoverTournamentTables(tournament) {
+  const now = Date.now();
+  for (const table of tournaments.getRoundTables(tournament)) {
+    if (table.status === 'pending') {
+      await callTournamentTable(tournament, table);
+      continue;
+    }
+    if (!['called', 'playing'].includes(table.status)) continue;
+    if (new Date(table.joinBy).getTime() + TOURNAMENT_TICK_MS > now) continue;
+    if (rooms[table.roomId] || await roomStore.load(table.roomId)) continue;
+    if ((table.recalls || 0) < 1) {
+      await callTournamentTable(tournament, table, true);
+    } else {
+      await recordTournamentTableResult(tournament._id, table.id, [], table.seats);
+    }
+  }
+}
+
+// Moves a tournament on: starts it when registration closes, and seats the
+// next round (or pays out) once every table of the current round is done.
+async function processTournament(tournament) {
+  const now = new Date();
+  if (tournament.status === 'registration') {
+    if (new Date(tournament.startsAt) > now) return;
+    const entrants = (tournament.entrants || []).map(e => e.playerUid);
+    if (entrants.length < tournament.minPlayers) {
+      await cancelTournament(tournament, 'not_enough_players');
+      return;
+    }
+    const seeded = tournaments.shuffle(entrants, n => crypto.randomInt(n));
+    const res = await tournamentsCollection.updateOne(
+      { _id: tournament._id, status: 'registration', entrants: { $size: entrants.length } },
+      {
+        $set: { status: 'running', round: 1, startedAt: now, updatedAt: now },
+        $push: { tables: { $each: tournaments.seedRound(seeded, tournament.tableSize, 1) } }
+      }
+    );
+    if (res.modifiedCount === 0) return;
+    const started = await tournamentsCollection.findOne({ _id: tournament._id });
+    await startTournamentRound(started, 1);
+    emitTournamentUpdate(await tournamentsCollection.findOne({ _id: tournament._id }));
+    console.log(`Tournament ${tournament._id} started with ${entrants.length} players`);
+    return;
+  }
+  if (tournament.status !== 'running') return;
+  if (!tournaments.isRoundComplete(tournament)) {
+    await recoverTournamentTables(tournament);
+    return;
+  }
+  const winners = tournaments.getRoundWinners(tournament);
+  if (winners.length <= 1) {
+    await finishTournament(tournament);
+    return;
+  }
+  const round = tournament.round + 1;
+  const res = await tournamentsCollection.updateOne(
+    { _id: tournament._id, status: 'running', round: tournament.round },
+    {
+      $set: { round, updatedAt: now },
+      $push: { tables: { $each: tournaments.seedRound(winners, tournament.tableSize, round) } }
+    }
+  );
+  if (res.modifiedCount === 0) return;
+  await startTournamentRound(await tournamentsCollection.findOne({ _id: tournament._id }), round);
+  emitTournamentUpdate(await tournamentsCollection.findOne({ _id: tournament._id }));
+}
+
+// Only one instance moves a tournament on at a time.
+async function withTournamentLease(tournamentId, fn) {
+  const now = new Date();
+  const claimed = await tournamentsCollection.findOneAndUpdate(
+    {
+      _id: tournamentId,
+      status: { $in: ['registration', 'running'] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + TOURNAMENT_LEASE_MS) } },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+  if (!claimed?.value) return;
+  try {
+    await fn(claimed.value);
+  } finally {
+    await tournamentsCollection.updateOne(
+      { _id: tournamentId, lockedBy: INSTANCE_ID },
+      { $set: { lockedUntil: null } }
+    );
+  }
+}
+
+async function tickTournaments() {
+  if (!tournamentsCollection) return;
+  sweepTournamentTables();
+  const due = await tournamentsCollection
+    .find(
+      { $or: [{ status: 'registration', startsAt: { $lte: new Date() } }, { status: 'running' }] },
+      { projection: { _id: 1 } }
+    )
+    .toArray();
+  for (const { _id } of due) {
+    await withTournamentLease(_id, processTournament);
+  }
+}
+
+app.get('/api/tournaments', async (req, res) => {
+  try {
+    await initMongo();
+    if (!tournamentsCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !tournaments.TOURNAMENT_STATUSES.includes(status)) {
+      res.status(400).json({ error: 'Invalid status' });
+      return;
+    }
+    const rows = await tournamentsCollection
+      .find({ status: status || { $in: ['registration', 'running'] } })
+      .sort({ startsAt: status === 'finished' || status === 'cancelled' ? -1 : 1 })
+      .limit(50)
+      .toArray();
+    res.json({ tournaments: rows.map(row => tournaments.describeTournament(row)) });
+  } catch (error) {
+    console.error('Tournaments list error:', error);
+    res.status(500).json({ error: 'Failed to fetch tournaments' });
+  }
+});
+
+app.get('/api/tournaments/:tournamentId', async (req, res) => {
+  try {
+    await initMongo();
+    if (!tournamentsCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const tournament = await tournamentsCollection.findOne({ _id: String(req.params.tournamentId) });
+    if (!tournament) {
+      res.status(404).json({ error: 'Tournament not found' });
+      return;
+    }
+    res.json(tournaments.describeTournament(tournament));
+  } catch (error) {
+    console.error('Tournament fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch tournament' });
+  }
+});
+
+app.post('/api/tournaments/:tournamentId/register', async (req, res) => {
+  try {
+    await initMongo();
+    if (!tournamentsCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const tournamentId = String(req.params.tournamentId);
+    const playerUid = String(req.body?.playerUid || '').trim();
+    if (!playerUid) {
+      res.status(400).json({ error: 'Missing playerUid' });
+      return;
+    }
+    if (!await requirePlayerToken(req, res, playerUid)) return;
+    const result = await registerForTournament(tournamentId, playerUid);
+    if (!result.ok) {
+      res.status(result.status).json({ error: result.error });
+      return;
+    }
+    // Registered players follow the bracket without asking for it.
+    io.in(getPlayerChannel(playerUid)).socketsJoin(getTournamentChannel(tournamentId));
+    if (result.balance !== null) await emitPlayerCoins(playerUid);
+    const tournament = await tournamentsCollection.findOne({ _id: tournamentId });
+    emitTournamentUpdate(tournament);
+    res.json({ ok: true, balance: result.balance, tournament: tournaments.describeTournament(tournament) });
+  } catch (error) {
+    console.error('Tournament register error:', error);
+    res.status(500).json({ error: 'Failed to register for tournament' });
+  }
+});
+
+app.post('/api/tournaments/:tournamentId/unregister', async (req, res) => {
+  try {
+    await initMongo();
+    if (!tournamentsCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const tournamentId = String(req.params.tournamentId);
+    const playerUid = String(req.body?.playerUid || '').trim();
+    if (!playerUid) {
+      res.status(400).json({ error: 'Missing playerUid' });
+      return;
+    }
+    if (!await requirePlayerToken(req, res, playerUid)) return;
+    const result = await unregisterFromTournament(tournamentId, playerUid);
+    if (!result.ok) {
+      res.status(result.status).json({ error: result.error });
+      return;
+    }
+    if (result.balance !== null) await emitPlayerCoins(playerUid);
+    const tournament = await tournamentsCollection.findOne({ _id: tournamentId });
+    emitTournamentUpdate(tournament);
+    res.json({ ok: true, balance: result.balance, tournament: tournaments.describeTournament(tournament) });
+  } catch (error) {
+    console.error('Tournament unregister error:', error);
+    res.status(500).json({ error: 'Failed to unregister from tournament' });
+  }
+});
+
+app.get('/api/coins/packs', async (req, res) => {
+  try {
+    await initMongo();
+    if (!coinPacksCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const playerUid = String(req.query.playerUid || '').trim();
+    if (!playerUid) {
+      res.status(400).json({ error: 'Missing playerUid' });
+      return;
+    }
+    const now = new Date();
+    const packs = await coinPacksCollection.find({ active: { $ne: false } }).sort({ sort: 1, piAmount: 1 }).toArray();
+    const rows = [];
+    for (const pack of packs.filter(p => coinPacks.isPackLive(p, now))) {
+      const history = await getPackHistory(playerUid, pack._id);
+      if (coinPacks.checkPackForPlayer(pack, history, now).ok) {
+        rows.push(coinPacks.describePack(pack, history));
+      }
+    }
+    res.json({ packs: rows, serverTime: now.toISOString() });
+  } catch (error) {
+    console.error('Coin packs error:', error);
+    res.status(500).json({ error: 'Failed to fetch coin packs' });
+  }
+});
+
+app.post('/api/coins/create-order', async (req, res) => {
+  try {
+    await initMongo();
+    if (!purchasesCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const playerUid = String(req.body?.playerUid || '').trim();
+    const packId = String(req.body?.packId || '').trim();
+    if (!playerUid || !packId) {
+      res.status(400).json({ error: 'Missing playerUid or packId' });
+      return;
+    }
+    const pack = await coinPacksCollection.findOne({ _id: packId });
+    if (!pack) {
+      res.status(400).json({ error: 'Invalid packId' });
+      return;
+    }
+    const check = coinPacks.checkPackForPlayer(pack, await getPackHistory(playerUid, packId));
+    if (!check.ok) {
+      res.status(409).json({ error: check.error });
+      return;
+    }
+    await ensurePlayerDoc(playerUid);
+    const orderId = createOrderId();
+    const now = new Date();
+    const price = coinPacks.snapshotPack(pack);
+    await purchasesCollection.insertOne({
+      _id: orderId,
+      playerUid,
+      packId: pack._id,
+      coins: price.coins,
+      piAmount: price.piAmount,
+      price,
+      status: 'created',
+      createdAt: now,
+      updatedAt: now
+    });
+    // Two orders placed at once can both pass the check above; look again now
+    // that ours is counted and back out if it went over.
+    if (pack.perPlayerLimit || pack.firstPurchaseOnly) {
+      const history = await getPackHistory(playerUid, packId);
+      const over = (pack.perPlayerLimit && history.packOrders > pack.perPlayerLimit)
+        || (pack.firstPurchaseOnly && await purchasesCollection.countDocuments({
+          playerUid,
+          status: { $in: PACK_LIMIT_STATUSES }
+        }) > 1);
+      if (over) {
+        await purchasesCollection.updateOne(
+          { _id: orderId },
+          { $set: { status: 'cancelled', cancelReason: 'pack_limit', updatedAt: new Date() } }
+        );
+        res.status(409).json({ error: 'Purchase limit reached for this pack' });
+        return;
+      }
+    }
+    res.json({
+      orderId,
+      packId: pack._id,
+      coins: price.coins,
+      baseCoins: price.baseCoins,
+      bonusCoins: price.bonusCoins,
+      piAmount: price.piAmount,
+      memo: `Ludo Coins +${price.coins}`,
+      metadata: {
+        orderId,
+        packId: pack._id,
+        coins: price.coins,
+        playerUid
+      }
+    });
+  } catch (error) {
+    console.error('Create order error:', error);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
+
+function extractPaymentField(payment, key) {
+  if (!payment || typeof payment !== 'object') return undefined;
+  if (payment[key] !== undefined) return payment[key];
+  if (payment.payment && payment.payment[key] !== undefined) return payment.payment[key];
+  if (payment.data && payment.data[key] !== undefined) return payment.data[key];
+  return undefined;
+}
+
+function parseMetadata(raw) {
+  if (!raw) return null;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Checks a paid order against what Pi reports and credits its coins. The
+// ledger key makes the credit happen once, whichever path gets here first.
+async function finishPurchase(order, paymentInfo, txid) {
+  const paymentAmount = Number(extractPaymentField(paymentInfo, 'amount'));
+  const paymentMetadata = parseMetadata(extractPaymentField(paymentInfo, 'metadata'));
+  const metadataOk = paymentMetadata
+    && paymentMetadata.orderId === order._id
+    && paymentMetadata.packId === order.packId
+    && paymentMetadata.playerUid === order.playerUid
+    && Number(paymentMetadata.coins) === Number(order.coins);
+
+  if (!metadataOk || (Number.isFinite(paymentAmount) && paymentAmount !== Number(order.piAmount))) {
+    await purchasesCollection.updateOne(
+      { _id: order._id, status: { $ne: 'completed' } },
+      { $set: { status: 'mismatch', txid, updatedAt: new Date(), paymentInfo } }
+    );
+    return { ok: false };
+  }
+
+  const credit = await creditBalance(order.playerUid, order.coins, {
+    type: 'purchase',
+    key: `purchase:${order._id}`,
+    orderId: order._id,
+    meta: { packId: order.packId, piAmount: order.piAmount, paymentId: order.paymentId }
+  });
+  await purchasesCollection.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        status: 'completed',
+        txid,
+        updatedAt: new Date(),
+        paymentInfo
+      }
+    }
+  );
+  return { ok: true, balance: credit.balance };
+}
+
+async function findOrderForPayment(paymentId, paymentInfo) {
+  const byPayment = await purchasesCollection.findOne({ paymentId });
+  if (byPayment) return byPayment;
+  // Approve never reached us, so the order doesn't know its payment yet.
+  const metadata = parseMetadata(extractPaymentField(paymentInfo, 'metadata'));
+  if (!metadata?.orderId) return null;
+  const order = await purchasesCollection.findOne({ _id: String(metadata.orderId), paymentId: { $exists: false } });
+  if (!order) return null;
+  // An order with a payment is approved, so the reconciler keeps watching it.
+  const status = order.status === 'created' ? 'approved' : order.status;
+  await purchasesCollection.updateOne(
+    { _id: order._id, paymentId: { $exists: false } },
+    { $set: { paymentId, status, updatedAt: new Date() } }
+  );
+  return { ...order, paymentId, status };
+}
+
+async function cancelPurchase(order, reason) {
+  await purchasesCollection.updateOne(
+    { _id: order._id, status: { $in: ['created', 'approved', 'expired'] } },
+    { $set: { status: 'cancelled', cancelReason: reason, updatedAt: new Date() } }
+  );
+  return { status: 'cancelled' };
+}
+
+// Settles an order from Pi's view of its payment: completes it if the user
+// paid, cancels it if the payment was cancelled, and cancels a payment that was
+// approved but still unpaid after unpaidAfterMs.
+async function reconcilePurchase(order, paymentInfo, unpaidAfterMs) {
+  if (['completed', 'mismatch', 'cancelled'].includes(order.status)) {
+    return { status: order.status, balance: await getBalance(order.playerUid) };
+  }
+  const paymentStatus = extractPaymentField(paymentInfo, 'status') || {};
+  const txid = extractPaymentField(paymentInfo, 'transaction')?.txid || null;
+  if (paymentStatus.cancelled || paymentStatus.user_cancelled) {
+    return cancelPurchase(order, 'payment_cancelled');
+  }
+  if (txid) {
+    if (!paymentStatus.developer_completed) {
+      await paymentProvider.completePayment(order.paymentId, txid);
+    }
+    const result = await finishPurchase(order, paymentInfo, txid);
+    return { status: result.ok ? 'completed' : 'mismatch', balance: result.balance };
+  }
+  const updatedAt = new Date(order.updatedAt || order.createdAt).getTime();
+  if (Date.now() - updatedAt < unpaidAfterMs) {
+    return { status: order.status };
+  }
+  await paymentProvider.cancelPayment(order.paymentId);
+  return cancelPurchase(order, 'not_paid');
+}
+
+// Expires stale orders and settles approved payments that never completed.
+// Every step is conditional on the order's status, so instances running this
+// side by side don't double up.
+async function reconcilePurchases() {
+  if (!purchasesCollection) return;
+  const now = Date.now();
+  await purchasesCollection.updateMany(
+    {
+      status: 'created',
+      paymentId: { $exists: false },
+      createdAt: { $lte: new Date(now - ORDER_TTL_MS) }
+    },
+    { $set: { status: 'expired', updatedAt: new Date() } }
+  );
+  if (!paymentProvider.configured) return;
+  const stuck = await purchasesCollection
+    .find({ status: 'approved', updatedAt: { $lte: new Date(now - PAYMENT_STUCK_AFTER_MS) } })
+    .limit(50)
+    .toArray();
+  for (const order of stuck) {
+    try {
+      const paymentInfo = await paymentProvider.getPayment(order.paymentId);
+      const result = await reconcilePurchase(order, paymentInfo, PAYMENT_STUCK_AFTER_MS);
+      console.log(`Reconciled order ${order._id}: ${result.status}`);
+    } catch (error) {
+      console.error(`Reconcile order ${order._id} error:`, error?.body || error?.message || error);
+    }
+  }
+}
+
+// Health route for backend-only deployments (e.g., frontend hosted on Netlify)
+app.get('/', (req, res) => {
+  res.status(200).json({
+    ok: true,
+    service: 'ludo-server',
+    socketPath: '/socket.io'
+  });
+});
+
+app.get('/healthz', (req, res) => {
+  res.status(200).json({ ok: true });
+});
+
+async function handlePaymentApprove(req, res) {
+  const { paymentId, orderId } = req.body || {};
+  if (!paymentId || !orderId) {
+    res.status(400).json({ success: false, error: 'Missing paymentId or orderId' });
+    return;
+  }
+  try {
+    await initMongo();
+    if (!purchasesCollection) {
+      res.status(503).json({ success: false, error: 'Coin system unavailable' });
+      return;
+    }
+    const order = await purchasesCollection.findOne({ _id: orderId });
+    if (!order) {
+      res.status(404).json({ success: false, error: 'Order not found' });
+      return;
+    }
+    if (order.status !== 'created' && !(order.status === 'approved' && order.paymentId === paymentId)) {
+      res.status(409).json({ success: false, error: `Order is ${order.status}` });
+      return;
+    }
+    await paymentProvider.approvePayment(paymentId);
+    await purchasesCollection.updateOne(
+      { _id: orderId },
+      { $set: { paymentId, status: 'approved', updatedAt: new Date() } }
+    );
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Pi approve error:', error?.body || error?.message || error);
+    res.status(502).json({
+      success: false,
+      error: 'Pi approve failed',
+      details: error?.body || error?.message || 'Unknown error'
+    });
+  }
+}
+
+async function handlePaymentComplete(req, res) {
+  const { paymentId, txid } = req.body || {};
+  if (!paymentId || !txid) {
+    res.status(400).json({ success: false, error: 'Missing paymentId or txid' });
+    return;
+  }
+
+  try {
+    await initMongo();
+    if (!purchasesCollection) {
+      res.status(503).json({ success: false, error: 'Coin system unavailable' });
+      return;
+    }
+    const order = await purchasesCollection.findOne({ paymentId });
+    if (!order) {
+      res.status(404).json({ success: false, error: 'Order not found for payment' });
+      return;
+    }
+    if (order.status === 'completed') {
+      const balance = await getBalance(order.playerUid);
+      res.json({ success: true, balance });
+      return;
+    }
+
+    await paymentProvider.completePayment(paymentId, txid);
+
+    let paymentInfo = null;
+    try {
+      paymentInfo = await paymentProvider.getPayment(paymentId);
+    } catch (error) {
+      paymentInfo = null;
+    }
+
+    const result = await finishPurchase(order, paymentInfo, txid);
+    if (!result.ok) {
+      res.status(400).json({ success: false, error: 'Payment metadata mismatch' });
+      return;
+    }
+    res.json({ success: true, balance: result.balance });
+  } catch (error) {
+    console.error('Pi complete error:', error?.body || error?.message || error);
+    res.status(502).json({
+      success: false,
+      error: 'Pi complete failed',
+      details: error?.body || error?.message || 'Unknown error'
+    });
+  }
+}
+
+// Pi reports payments left unfinished by a previous session to the client
+// (onIncompletePaymentFound), which hands them to us here. Only the paymentId
+// is trusted; the payment itself is fetched from Pi.
+async function handleIncompletePayment(req, res) {
+  const paymentId = String(req.body?.paymentId || req.body?.payment?.identifier || '').trim();
+  if (!paymentId) {
+    res.status(400).json({ success: false, error: 'Missing paymentId' });
+    return;
+  }
+  try {
+    await initMongo();
+    if (!purchasesCollection) {
+      res.status(503).json({ success: false, error: 'Coin system unavailable' });
+      return;
+    }
+    const paymentInfo = await paymentProvider.getPayment(paymentId);
+    const order = await findOrderForPayment(paymentId, paymentInfo);
+    if (!order) {
+      console.warn(`Incomplete payment ${paymentId} matches no order`);
+      res.status(404).json({ success: false, error: 'Order not found for payment' });
+      return;
+    }
+    // The user is blocked until this payment is settled, so don't wait for
+    // an unpaid one to go stale.
+    const result = await reconcilePurchase(order, paymentInfo, 0);
+    res.json({ success: result.status === 'completed', status: result.status, balance: result.balance ?? null });
+  } catch (error) {
+    console.error('Pi incomplete error:', error?.body || error?.message || error);
+    res.status(502).json({
+      success: false,
+      error: 'Pi incomplete payment failed',
+      details: error?.body || error?.message || 'Unknown error'
+    });
+  }
+}
+
+app.post('/approve', handlePaymentApprove);
+app.post('/complete', handlePaymentComplete);
+app.post('/api/payments/approve', handlePaymentApprove);
+app.post('/api/payments/complete', handlePaymentComplete);
+app.post('/api/payments/incomplete', handleIncompletePayment);
+
+// With the sandbox provider these stand in for the Pi SDK on the client:
+// sign in for an access token, create a payment for an order, then "pay" it
+// in the wallet.
+if (paymentProvider.sandbox) {
+  const sendSandboxError = (res, error) => {
+    res.status(error?.statusCode || 500).json(error?.body || { error: error?.message || 'Sandbox error' });
+  };
+
+  app.post('/api/sandbox/auth', async (req, res) => {
+    try {
+      res.json(await paymentProvider.authenticate({ uid: req.body?.uid, username: req.body?.username }));
+    } catch (error) {
+      sendSandboxError(res, error);
+    }
+  });
+
+  app.post('/api/sandbox/payments', async (req, res) => {
+    try {
+      const payment = await paymentProvider.createPayment({
+        amount: req.body?.amount,
+        memo: req.body?.memo,
+        metadata: req.body?.metadata,
+        uid: req.body?.uid,
+        scenario: req.body?.scenario
+      });
+      res.json(payment);
+    } catch (error) {
+      sendSandboxError(res, error);
+    }
+  });
+
+  app.post('/api/sandbox/payments/:paymentId/submit', async (req, res) => {
+    try {
+      res.json(await paymentProvider.submitPayment(String(req.params.paymentId)));
+    } catch (error) {
+      sendSandboxError(res, error);
+    }
+  });
+
+  app.get('/api/sandbox/payments/:paymentId', async (req, res) => {
+    try {
+      res.json(await paymentProvider.getPayment(String(req.params.paymentId)));
+    } catch (error) {
+      sendSandboxError(res, error);
+    }
+  });
+}
+
+function requireAdmin(req, res) {
+  if (!ADMIN_API_KEY) {
+    res.status(503).json({ error: 'Admin API disabled' });
+    return false;
+  }
+  const given = Buffer.from(String(req.get('x-admin-key') || ''));
+  const expected = Buffer.from(ADMIN_API_KEY);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return false;
+  }
+  return true;
+}
+
+const PURCHASE_STATUSES = ['created', 'approved', 'completed', 'mismatch', 'cancelled', 'expired'];
+
+// Defaults to the orders needing a human: paid, but not matching their order.
+app.get('/api/admin/purchases', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    await initMongo();
+    if (!purchasesCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const status = String(req.query.status || 'mismatch');
+    if (!PURCHASE_STATUSES.includes(status)) {
+      res.status(400).json({ error: 'Invalid status' });
+      return;
+    }
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '50', 10) || 50, 200));
+    const rows = await purchasesCollection
+      .find({ status })
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({
+      status,
+      rows: rows.map(order => ({
+        orderId: order._id,
+        playerUid: order.playerUid,
+        packId: order.packId,
+        coins: order.coins,
+        piAmount: order.piAmount,
+        paymentId: order.paymentId || null,
+        txid: order.txid || null,
+        status: order.status,
+        cancelReason: order.cancelReason || null,
+        paymentAmount: extractPaymentField(order.paymentInfo, 'amount') ?? null,
+        paymentMetadata: parseMetadata(extractPaymentField(order.paymentInfo, 'metadata')),
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Admin purchases error:', error);
+    res.status(500).json({ error: 'Failed to fetch purchases' });
+  }
+});
+
+// Coins issued, taken by the house and moved between players, per day in the
+// daily reward timezone and per entry-fee tier. from and to are YYYY-MM-DD,
+// inclusive; the default is the last 30 days.
+app.get('/api/admin/economy', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    await initMongo();
+    if (!coinTransactionsCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const timeZone = DAILY_REWARD_CONFIG.timeZone;
+    const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+    const today = dailyRewards.getDayKey(new Date(), timeZone);
+    const to = String(req.query.to || today);
+    const from = String(req.query.from || dailyRewards.addDays(to, -29));
+    if (!dayPattern.test(from) || !dayPattern.test(to)) {
+      res.status(400).json({ error: 'from and to must be dates as YYYY-MM-DD' });
+      return;
+    }
+    const span = dailyRewards.daysBetween(from, to);
+    if (!Number.isFinite(span) || span < 0 || span >= economy.MAX_REPORT_DAYS) {
+      res.status(400).json({ error: `Range must be 1 to ${economy.MAX_REPORT_DAYS} days` });
+      return;
+    }
+    const rows = await coinTransactionsCollection.aggregate([
+      {
+        $match: {
+          status: 'applied',
+          createdAt: {
+            $gte: dailyRewards.getDayStart(from, timeZone),
+            $lt: dailyRewards.getDayStart(dailyRewards.addDays(to, 1), timeZone)
+          }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: timeZone } },
+            type: '$type',
+            entryFee: '$entryFee'
+          },
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' },
+          piAmount: { $sum: { $ifNull: ['$meta.piAmount', 0] } }
+        }
+      }
+    ]).toArray();
+    const report = economy.buildReport(rows.map(row => ({
+      day: row._id.day,
+      type: row._id.type,
+      entryFee: row._id.entryFee ?? null,
+      count: row.count,
+      amount: row.amount,
+      piAmount: row.piAmount
+    })));
+    res.json({ from, to, timeZone, ...report });
+  } catch (error) {
+    console.error('Admin economy error:', error);
+    res.status(500).json({ error: 'Failed to build economy report' });
+  }
+});
+
+app.post('/api/admin/tournaments', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    await initMongo();
+    if (!tournamentsCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const check = tournaments.validateTournament(req.body, { houseFeePercent: COIN_HOUSE_FEE_PERCENT });
+    if (!check.ok) {
+      res.status(400).json({ error: check.error });
+      return;
+    }
+    const now = new Date();
+    const tournamentId = createOrderId();
+    const tournament = {
+      _id: tournamentId,
+      ...check.tournament,
+      status: 'registration',
+      escrowId: `tournament:${tournamentId}`,
+      entrants: [],
+      round: 0,
+      tables: [],
+      lockedUntil: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    await tournamentsCollection.insertOne(tournament);
+    res.json(tournaments.describeTournament(tournament));
+  } catch (error) {
+    console.error('Admin tournament create error:', error);
+    res.status(500).json({ error: 'Failed to create tournament' });
+  }
+});
+
+app.post('/api/admin/tournaments/:tournamentId/cancel', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    await initMongo();
+    if (!tournamentsCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const tournament = await tournamentsCollection.findOne({ _id: String(req.params.tournamentId) });
+    if (!tournament) {
+      res.status(404).json({ error: 'Tournament not found' });
+      return;
+    }
+    if (!(await cancelTournament(tournament, 'cancelled_by_admin'))) {
+      res.status(409).json({ error: `Tournament is already ${tournament.status}` });
+      return;
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Admin tournament cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel tournament' });
+  }
+});
+
+app.get('/api/admin/coin-packs', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    await initMongo();
+    if (!coinPacksCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const packs = await coinPacksCollection.find({}).sort({ sort: 1, piAmount: 1 }).toArray();
+    res.json({ packs });
+  } catch (error) {
+    console.error('Admin coin packs error:', error);
+    res.status(500).json({ error: 'Failed to fetch coin packs' });
+  }
+});
+
+// Creates or replaces a pack. Orders already placed keep their snapshot.
+app.put('/api/admin/coin-packs/:packId', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    await initMongo();
+    if (!coinPacksCollection) {
+      res.status(503).json({ error: 'Coin system unavailable' });
+      return;
+    }
+    const packId = String(req.params.packId || '').trim();
+    if (!/^[\w-]{1,32}$/.test(packId)) {
+      res.status(400).json({ error: 'Invalid packId' });
+      return;
+    }
+    const check = coinPacks.validatePack(req.body);
+    if (!check.ok) {
+      res.status(400).json({ error: check.error });
+      return;
+    }
+    const now = new Date();
+    await coinPacksCollection.updateOne(
+      { _id: packId },
+      { $set: { ...check.pack, updatedAt: now }, $setOnInsert: { createdAt: now } },
+      { upsert: true }
+    );
+    res.json({ pack: await coinPacksCollection.findOne({ _id: packId }) });
+  } catch (error) {
+    console.error('Admin coin pack update error:', error);
+    res.status(500).json({ error: 'Failed to save coin pack' });
+  }
+});
+
+app.get('/api/games/:gameId/verify', async (req, res) => {
+  try {
+    await initMongo();
+    if (!gamesCollection) {
+      res.status(503).json({ error: 'Game records unavailable' });
+      return;
+    }
+    const gameId = String(req.params.gameId || '').trim();
+    const game = await gamesCollection.findOne({ _id: gameId });
+    if (!game) {
+      res.status(404).json({ error: 'Game not found' });
+      return;
+    }
+    if (!game.serverSeed) {
+      res.status(409).json({ error: 'Game still in progress; server seed not revealed yet' });
+      return;
+    }
+    const result = fairness.verifyRolls(game);
+    res.json({
+      gameId,
+      roomId: game.roomId,
+      serverSeed: game.serverSeed,
+      serverSeedHash: game.serverSeedHash,
+      clientSeed: game.clientSeed,
+      ...result
+    });
+  } catch (error) {
+    console.error('Verify game error:', error);
+    res.status(500).json({ error: 'Failed to verify game' });
+  }
+});
+
+app.get('/api/games/:gameId/replay', async (req, res) => {
+  try {
+    await initMongo();
+    if (!gameEventsCollection) {
+      res.status(503).json({ error: 'Game records unavailable' });
+      return;
+    }
+    const gameId = String(req.params.gameId || '').trim();
+    const events = await gameEventsCollection
+      .find({ gameId }, { projection: { _id: 0 } })
+      .sort({ seq: 1 })
+      .toArray();
+    if (events.length === 0) {
+      res.status(404).json({ error: 'Replay not found' });
+      return;
+    }
+    const response = { gameId, events };
+    if (req.query.step !== undefined) {
+      const step = parseInt(req.query.step, 10);
+      if (!Number.isFinite(step) || step < 0) {
+        res.status(400).json({ error: 'Invalid step' });
+        return;
+      }
+      response.board = replay.rebuildState(events, step);
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('Replay error:', error);
+    res.status(500).json({ error: 'Failed to load replay' });
+  }
+});
+
+const server = http.createServer(app);
+const io = socketIo(server, {
+  cors: {
+    origin: "*",
+    methods: ["GET", "POST"]
+  }
+});
+
+console.log('Ludo Server starting...');
+
+// Game state storage
+const rooms = {};
+const MAX_PLAYERS = 4;
+const DEFAULT_MAX_PLAYERS = 4;
+// Turn length and time bank per quick play tier; see clock.js for the format.
+const QUICK_PLAY_CLOCKS = clocks.parseClockPresets(process.env.QUICK_PLAY_CLOCKS);
+const RECONNECT_GRACE_MS = 60000;
+// Checkpoints older than this at boot are settled instead of restored.
+const ROOM_RESTORE_MAX_AGE_MS = parseInt(process.env.ROOM_RESTORE_MAX_AGE_MS || '600000', 10);
+// Consecutive turn timeouts before a player forfeits (0 disables).
+const AFK_MAX_STRIKES = parseInt(process.env.AFK_MAX_STRIKES || '3', 10);
+const AFK_AUTOPILOT_DIFFICULTY = 'hard';
+// Total pause time allowed per private match, and how long a pause or resume
+// vote stays open.
+const MAX_PAUSE_MS = parseInt(process.env.MAX_PAUSE_MS || '180000', 10);
+const PAUSE_VOTE_TIMEOUT_MS = parseInt(process.env.PAUSE_VOTE_TIMEOUT_MS || '30000', 10);
+const pauseVoteTimers = {};
+const quickPlayQueues = {};
+const socketToPlayerUid = {};
+// Seat bots in a quick-play bucket that has waited this long (0 disables).
+const QUICK_PLAY_BOT_FILL_MS = parseInt(process.env.QUICK_PLAY_BOT_FILL_MS || '30000', 10);
+const QUICK_PLAY_BOT_DIFFICULTY = bots.normalizeDifficulty(process.env.QUICK_PLAY_BOT_DIFFICULTY || 'medium');
+const quickPlayBotTimers = {};
+
+function isBotPlayer(room, playerId) {
+  return !!room?.players?.[playerId]?.isBot;
+}
+
+function countHumanPlayers(room) {
+  return Object.values(room?.players || {}).filter(p => !p?.isBot).length;
+}
+
+// Private rooms with a single human against bots don't count toward missions,
+// so they can't be farmed.
+function countsForMissions(room) {
+  return !!(room?.quickPlay || room?.isPublic || countHumanPlayers(room) >= 2);
+}
+
+function addMissionStatsForColor(room, color, increments) {
+  const playerId = room.gameState.playerColors[color];
+  const playerUid = room.players[playerId]?.playerUid;
+  if (!playerUid || room.players[playerId]?.isBot) return;
+  recordMissionStats(playerUid, increments, playerId).catch((err) => {
+    console.error('Mission progress error:', err);
+  });
+}
+
+// Autopilot turns don't earn progress.
+function trackMissionProgress(room, event, meta = {}) {
+  if (meta.auto || !countsForMissions(room)) return;
+  if (event.type === 'dice_rolled' && event.value === 6) {
+    addMissionStatsForColor(room, event.color, { six: 1 });
+  } else if (event.type === 'token_moved') {
+    const increments = {};
+    if (event.captures.length > 0) increments.capture = event.captures.length;
+    if (event.newStep === rules.HOME_STEP && event.fromStep !== rules.HOME_STEP) increments.token_home = 1;
+    if (Object.keys(increments).length > 0) {
+      addMissionStatsForColor(room, event.moverColor, increments);
+    }
+  }
+}
+
+// Bots take a normal seat but have no socket and no playerUid, so the coin
+// helpers (which key everything on playerUid) never charge or pay them.
+function addBotToRoom(room, difficulty) {
+  const botId = `bot_${createOrderId()}`;
+  const takenNames = Object.values(room.players).map(p => p.name);
+  const name = bots.pickBotName(takenNames);
+  room.players[botId] = {
+    id: botId,
+    playerUid: null,
+    name,
+    avatar: null,
+    isHost: false,
+    isBot: true,
+    difficulty: bots.normalizeDifficulty(difficulty),
+    ready: true,
+    color: null,
+    connected: true,
+    disconnectedAt: null,
+    joinedAt: new Date().toISOString()
+  };
+  room.playerCount++;
+  room.gameState.players[botId] = { name, ready: true };
+  return room.players[botId];
+}
+
+function replacePlayerIdInRoom(room, oldId, newId) {
+  if (!room || !room.players || !room.players[oldId]) return null;
+  const existing = room.players[oldId];
+  room.players[newId] = {
+    ...existing,
+    id: newId,
+    connected: true,
+    disconnectedAt: null,
+    lastReconnectAt: new Date().toISOString()
+  };
+  delete room.players[oldId];
+
+  if (room.gameState?.players?.[oldId]) {
+    room.gameState.players[newId] = room.gameState.players[oldId];
+    delete room.gameState.players[oldId];
+  }
+
+  if (room.gameState?.playerColors) {
+    Object.keys(room.gameState.playerColors).forEach(color => {
+      if (room.gameState.playerColors[color] === oldId) {
+        room.gameState.playerColors[color] = newId;
+      }
+    });
+  }
+
+  const vote = room.gameState?.pauseVote;
+  if (vote) {
+    vote.voters = vote.voters.map(id => (id === oldId ? newId : id));
+    vote.accepted = vote.accepted.map(id => (id === oldId ? newId : id));
+    if (vote.requestedBy === oldId) vote.requestedBy = newId;
+  }
+
+  return room.players[newId];
+}
+
+// Spectators sit in their own channel so they never count as players, but
+// live game broadcasts go to both.
+function getSpectatorChannel(roomId) {
+  return `${roomId}:spectators`;
+}
+
+function toRoomAndSpectators(roomId) {
+  return io.to([roomId, getSpectatorChannel(roomId)]);
+}
+
+function countSpectators(room) {
+  return Object.keys(room?.spectators || {}).length;
+}
+
+function removeSpectator(roomId, socketId) {
+  const room = rooms[roomId];
+  if (!room?.spectators?.[socketId]) return false;
+  delete room.spectators[socketId];
+  io.in(socketId).socketsLeave(getSpectatorChannel(roomId));
+  io.to(roomId).emit('spectators_updated', { roomId, spectatorCount: countSpectators(room) });
+  return true;
+}
+
+function endSpectating(roomId, reason) {
+  const room = rooms[roomId];
+  const channel = getSpectatorChannel(roomId);
+  io.to(channel).emit('spectate_ended', { roomId, reason });
+  io.in(channel).socketsLeave(channel);
+  if (room) room.spectators = {};
+}
+
+// Same shape as reconnect_success, so clients can render either one.
+function buildRoomSnapshot(roomId, room, socketId) {
+  return {
+    roomId,
+    playerId: socketId,
+    players: room.players,
+    playerCount: room.playerCount,
+    playerColors: room.gameState?.playerColors || {},
+    maxPlayers: room.maxPlayers || MAX_PLAYERS,
+    isPublic: !!room.isPublic,
+    isHost: !!room.players[socketId]?.isHost,
+    clock: clocks.describeClock(getRoomClock(room)),
+    serverTime: Date.now(),
+    nextServerSeedHash: getNextServerSeedHash(room),
+    gameState: {
+      gameStarted: !!room.gameState?.gameStarted,
+      turnClock: room.gameState?.turnClock || null,
+      timeBanks: room.gameState?.timeBanks || {},
+      pause: room.gameState?.pause || null,
+      pauseVote: room.gameState?.pauseVote || null,
+      pausedMs: room.gameState?.pausedMs || 0,
+      maxPauseMs: MAX_PAUSE_MS,
+      currentPlayer: room.gameState?.currentPlayer || null,
+      diceValue: room.gameState?.diceValue || 0,
+      settings: room.gameState?.settings || {},
+      cutStatus: room.gameState?.cutStatus || { r: false, g: false, y: false, b: false },
+      tokens: room.gameState?.tokens || {
+        r: [-1, -1, -1, -1],
+        g: [-1, -1, -1, -1],
+        y: [-1, -1, -1, -1],
+        b: [-1, -1, -1, -1]
+      }
+    }
+  };
+}
+
+// Room checkpoints. Every state change queues a write of the whole room to
+// the room store; writes for a room run one at a time and collapse while one
+// is pending, so the stored copy always ends at the latest state.
+// Quick play queues are not saved: they only hold live socket ids and no
+// coins, so clients simply re-queue after a restart.
+const roomCheckpoints = {};
+
+function serializeRoom(room) {
+  const { turnTimer, ...gameState } = room.gameState || {};
+  return { ...room, spectators: {}, gameState };
+}
+
+function checkpointRoom(roomId) {
+  if (!roomId) return;
+  const entry = roomCheckpoints[roomId] || (roomCheckpoints[roomId] = { queued: false, store: null, chain: Promise.resolve() });
+  if (entry.queued) return;
+  entry.queued = true;
+  entry.chain = entry.chain.then(async () => {
+    entry.queued = false;
+    const room = rooms[roomId];
+    if (!room) {
+      await roomStore.remove(roomId, INSTANCE_ID);
+      if (roomCheckpoints[roomId] === entry && !entry.queued) delete roomCheckpoints[roomId];
+      return;
+    }
+    if (entry.store !== roomStore) {
+      if (!(await roomStore.claim(roomId, INSTANCE_ID, ROOM_OWNER_TTL_MS))) {
+        console.error(`Room ${roomId} is owned by another instance; dropping local copy`);
+        evictRoom(roomId);
+        return;
+      }
+      entry.store = roomStore;
+    }
+    const saved = await roomStore.save(roomId, serializeRoom(room), INSTANCE_ID);
+    if (!saved) {
+      console.warn(`Lost ownership of room ${roomId}; dropping local copy`);
+      evictRoom(roomId);
+    }
+  }).catch((err) => {
+    console.error('Room checkpoint error:', err);
+  });
+}
+
+// Forget a room locally without touching the stored copy.
+function evictRoom(roomId) {
+  const room = rooms[roomId];
+  if (!room) return;
+  clearTurnTimer(room);
+  delete rooms[roomId];
+  delete roomCheckpoints[roomId];
+}
+
+// Refunds every entry fee still held by a room that can't be resumed.
+async function settleUnresumableRoom(roomId, room, reason) {
+  const gameId = room?.gameState?.gameId || null;
+  // The escrow is only still open if the payout never committed, so this
+  // can't pay the pool out twice.
+  await refundEscrow(room?.coin?.escrowId, reason);
+  if (room?.coin) {
+    room.coin.pool = 0;
+    room.coin.participants = {};
+    room.coin.escrowId = null;
+  }
+  const record = gameId && gamesCollection ? await gamesCollection.findOne({ _id: gameId }) : null;
+  if (gameId && record?.status !== 'finished') {
+    await saveGameRecord(gameId, { status: 'refunded', refundReason: reason, endedAt: new Date() });
+  }
+  if (rooms[roomId] === room) {
+    clearTurnTimer(room);
+    endSpectating(roomId, 'room_closed');
+    delete rooms[roomId];
+    delete roomCheckpoints[roomId];
+  }
+  await roomStore.remove(roomId, INSTANCE_ID);
+  console.log(`Room ${roomId} settled with refunds (${reason})`);
+}
+
+// Loads a claimed room into this instance. Players whose sockets are gone
+// (on any instance) get the usual reconnect grace; the turn clock restarts once
+// someone is connected, and if nobody comes back the match is settled rather
+// than played out by the autopilot.
+async function takeOverRoom(roomId, doc) {
+  const room = doc?.room;
+  const age = Date.now() - new Date(doc?.savedAt).getTime();
+  if (!room?.players || !room.gameState || !(age <= ROOM_RESTORE_MAX_AGE_MS)) {
+    await settleUnresumableRoom(roomId, room, 'not_resumable');
+    return false;
+  }
+
+  const takenAt = new Date().toISOString();
+  for (const p of Object.values(room.players)) {
+    if (p.isBot) continue;
+    const sockets = await io.in(p.id).fetchSockets().catch(() => []);
+    p.connected = sockets.length > 0;
+    p.disconnectedAt = p.connected ? null : takenAt;
+  }
+  if (rooms[roomId]) return true;
+
+  room.spectators = {};
+  room.gameState.turnTimer = null;
+  room.gameState.turnClock = null;
+  room.restoredAt = takenAt;
+  rooms[roomId] = room;
+  roomCheckpoints[roomId] = { queued: false, store: roomStore, chain: Promise.resolve() };
+
+  const anyoneConnected = () => Object.values(room.players).some(p => !p.isBot && p.connected);
+  room.gameState.pauseVote = null;
+  if (room.gameState.pause) {
+    schedulePauseEnd(roomId);
+  } else if (anyoneConnected()) {
+    startTurnTimer(roomId);
+  }
+  setTimeout(() => {
+    if (rooms[roomId] !== room || anyoneConnected()) return;
+    settleUnresumableRoom(roomId, room, 'not_resumed').catch((err) => {
+      console.error('Room settle error:', err);
+    });
+  }, RECONNECT_GRACE_MS);
+
+  console.log(`Took over room ${roomId} (${room.playerCount} players, game ${room.gameState.gameStarted ? 'in progress' : 'not started'})`);
+  return true;
+}
+
+async function restoreRooms(retry = true) {
+  const docs = await roomStore.loadAll();
+  let skipped = 0;
+  for (const doc of docs) {
+    const roomId = doc._id;
+    try {
+      if (rooms[roomId]) continue;
+      // Rooms with a live owner are still running on another instance (or
+      // on this one before a restart, until its lease runs out).
+      if (!(await roomStore.claim(roomId, INSTANCE_ID, ROOM_OWNER_TTL_MS))) {
+        skipped++;
+        continue;
+      }
+      await takeOverRoom(roomId, doc);
+    } catch (err) {
+      console.error(`Failed to restore room ${roomId}:`, err);
+    }
+  }
+  if (skipped > 0 && retry) {
+    setTimeout(() => {
+      restoreRooms(false).catch((err) => {
+        console.error('Room restore error:', err);
+      });
+    }, ROOM_OWNER_TTL_MS + 1000);
+  }
+}
+
+// Takes over a stored room whose owner has gone away, e.g. when its instance
+// crashed while players stayed connected to other instances.
+const roomAdoptions = {};
+
+function adoptRoom(roomId) {
+  if (rooms[roomId]) return Promise.resolve(true);
+  if (!roomAdoptions[roomId]) {
+    roomAdoptions[roomId] = (async () => {
+      if (!(await roomStore.claim(roomId, INSTANCE_ID, ROOM_OWNER_TTL_MS))) return false;
+      const doc = await roomStore.load(roomId);
+      if (!doc?.room) {
+        await roomStore.remove(roomId, INSTANCE_ID);
+        return false;
+      }
+      return takeOverRoom(roomId, doc);
+    })().finally(() => {
+      delete roomAdoptions[roomId];
+    });
+  }
+  return roomAdoptions[roomId];
+}
+
+async function renewRoomOwnership() {
+  const roomIds = Object.keys(rooms);
+  const owned = new Set(await roomStore.renew(roomIds, INSTANCE_ID, ROOM_OWNER_TTL_MS));
+  roomIds.forEach(roomId => {
+    if (!owned.has(roomId) && rooms[roomId]) {
+      console.warn(`Lost ownership of room ${roomId}; dropping local copy`);
+      evictRoom(roomId);
+    }
+  });
+  publishPublicRooms();
+}
+
+// Events for a room owned by another instance are forwarded there and run
+// against a stand-in for this socket, so room state only changes on its
+// owner. Returns true when the event was forwarded.
+async function routeRoomEvent(socket, event, payload) {
+  if (!roomStore.shared) return false;
+  const roomId = String(payload?.roomId || '').toUpperCase();
+  if (!roomId || rooms[roomId]) return false;
+  const owner = await roomStore.getOwner(roomId);
+  if (owner && owner !== INSTANCE_ID) {
+    io.serverSideEmit('room_event', {
+      to: owner,
+      socketId: socket.id,
+      auth: socket.handshake?.auth || {},
+      data: socket.data || {},
+      event,
+      payload
+    });
+    return true;
+  }
+  await adoptRoom(roomId);
+  return false;
+}
+
+const remoteSockets = {};
+
+function getRemoteSocket(packet) {
+  const existing = remoteSockets[packet.socketId];
+  if (existing) {
+    existing.data = { ...existing.data, ...(packet.data || {}) };
+    return existing;
+  }
+  const socketId = packet.socketId;
+  const proxy = new EventEmitter();
+  proxy.id = socketId;
+  proxy.remote = true;
+  proxy.handshake = { auth: packet.auth || {} };
+  proxy.data = { ...(packet.data || {}) };
+  proxy.emit = (event, payload) => io.to(socketId).emit(event, payload);
+  proxy.join = (roomId) => io.in(socketId).socketsJoin(roomId);
+  proxy.leave = (roomId) => io.in(socketId).socketsLeave(roomId);
+  proxy.to = (roomId) => io.to(roomId).except(socketId);
+  proxy.use = () => {};
+  remoteSockets[socketId] = proxy;
+  handleConnection(proxy);
+  return proxy;
+}
+
+async function handleRemoteRoomEvent(packet) {
+  const roomId = String(packet.payload?.roomId || '').toUpperCase();
+  if (!rooms[roomId] && !(await adoptRoom(roomId))) {
+    io.to(packet.socketId).emit('error', { message: 'Room is moving to another server; try again' });
+    return;
+  }
+  const proxy = getRemoteSocket(packet);
+  EventEmitter.prototype.emit.call(proxy, packet.event, packet.payload);
+}
+
+function handleRemoteDisconnect(packet) {
+  const proxy = remoteSockets[packet.socketId];
+  if (!proxy) return;
+  delete remoteSockets[packet.socketId];
+  EventEmitter.prototype.emit.call(proxy, 'disconnect');
+}
+
+// Public rooms from other instances, refreshed whenever they publish theirs.
+const remotePublicRooms = {};
+
+function publishPublicRooms() {
+  if (!roomStore.shared) return;
+  io.serverSideEmit('public_rooms', { from: INSTANCE_ID, rooms: buildLocalPublicRoomsList() });
+}
+
+function broadcastPublicRooms() {
+  publishPublicRooms();
+  io.emit('public_rooms_list', { rooms: buildPublicRoomsList() });
+}
+
+async function removePlayerFromRoom(roomId, playerId, reason = "left") {
+  const room = rooms[roomId];
+  if (!room || !room.players[playerId]) return;
+
+  const leavingPlayer = room.players[playerId];
+  const playerName = leavingPlayer?.name || "Player";
+  const leavingWasHost = !!leavingPlayer?.isHost;
+  const playerUid = leavingPlayer?.playerUid || null;
+  // The forfeit below can end the game before this returns, so remember
+  // whether it had started: fees paid into a started game are never refunded.
+  const wasStarted = !!room.gameState?.gameStarted;
+
+  // Leaving a running game forfeits it first, so the turn moves on and a lone
+  // remaining player wins. The colour keeps its seat until the game ends so
+  // turn order and the final ranking stay consistent.
+  const leavingColor = Object.keys(room.gameState?.playerColors || {})
+    .find(color => room.gameState.playerColors[color] === playerId);
+  let forfeiting = null;
+  if (leavingColor && room.gameState.gameStarted && !rules.isOut(room.gameState, leavingColor)) {
+    room.gameState.leftPlayers = {
+      ...(room.gameState.leftPlayers || {}),
+      [leavingColor]: { playerId, name: playerName, playerUid }
+    };
+    forfeiting = forfeitColor(roomId, leavingColor, reason).catch((err) => {
+      console.error('Forfeit error:', err);
+    });
+  }
+
+  delete room.players[playerId];
+  room.playerCount--;
+
+  if (room.gameState?.players?.[playerId]) {
+    delete room.gameState.players[playerId];
+  }
+
+  if (leavingColor && !wasStarted) {
+    delete room.gameState.playerColors[leavingColor];
+  }
+
+  if (leavingWasHost && room.playerCount > 0) {
+    Object.values(room.players).forEach(p => {
+      p.isHost = false;
+    });
+    const humanIds = Object.keys(room.players).filter(id => !room.players[id]?.isBot);
+    const connectedHost = humanIds.find(id => room.players[id]?.connected !== false);
+    const newHostId = connectedHost || humanIds[0];
+    if (newHostId) {
+      room.players[newHostId].isHost = true;
+    }
+  }
+
+  if (room.playerCount === 0 || countHumanPlayers(room) === 0) {
+    // Settle the escrow before the room goes, or the next reconcile would
+    // refund the fees of players who walked out. If only bots are left the
+    // game ends with them ahead of everyone who left.
+    await forfeiting;
+    if (room.gameState?.gameStarted) {
+      room.gameState.gameStarted = false;
+      await finishGame(roomId, rules.getAbandonedRanking(room.gameState), 'abandoned');
+    }
+    if (rooms[roomId] !== room) return;
+    clearTurnTimer(room);
+    cancelPauseVote(roomId);
+    endSpectating(roomId, 'room_closed');
+    delete rooms[roomId];
+    console.log(`Room ${roomId} deleted (empty)`);
+  } else {
+    io.to(roomId).emit("player_left", {
+      leftPlayerId: playerId,
+      leftPlayerName: playerName,
+      players: room.players,
+      playerCount: room.playerCount,
+      playerColors: room.gameState?.playerColors || {},
+      maxPlayers: room.maxPlayers || MAX_PLAYERS,
+      newHost: (Object.values(room.players).find(p => p?.isHost) || {}).id,
+      reason
+    });
+    console.log(`${playerName} removed from room ${roomId} (${room.playerCount} players remaining)`);
+  }
+
+  if (!wasStarted && playerUid) {
+    refundEntryFee(roomId, room, playerUid).catch((err) => {
+      console.error('Refund error:', err);
+    });
+  }
+  checkpointRoom(roomId);
+}
+
+function removeFromQuickPlayQueue(socketId) {
+  Object.keys(quickPlayQueues).forEach(key => {
+    const queue = quickPlayQueues[key];
+    if (!Array.isArray(queue)) return;
+    const idx = queue.indexOf(socketId);
+    if (idx !== -1) {
+      queue.splice(idx, 1);
+    }
+  });
+}
+
+function getPlayerChannel(playerUid) {
+  return `player:${playerUid}`;
+}
+
+// Remembers who is on the socket and subscribes it to the player's channel,
+// which reaches them on whichever instance they are connected to.
+function setSocketPlayerUid(socket, playerUid) {
+  socket.data = socket.data || {};
+  socket.data.playerUid = playerUid;
+  socketToPlayerUid[socket.id] = playerUid;
+  socket.join(getPlayerChannel(playerUid));
+}
+
+function getSocketPlayerUid(socket, data = {}) {
+  return (
+    data.playerUid ||
+    socket?.handshake?.auth?.playerUid ||
+    socket?.data?.playerUid ||
+    null
+  );
+}
+
+function findRoomPlayerByUid(playerUid, preferredRoomId = null) {
+  if (!playerUid) return null;
+  const roomIds = preferredRoomId ? [preferredRoomId] : Object.keys(rooms);
+  for (const roomId of roomIds) {
+    const room = rooms[roomId];
+    if (!room?.players) continue;
+    for (const [sid, p] of Object.entries(room.players)) {
+      if (p?.playerUid === playerUid) {
+        return { roomId, socketId: sid, player: p, room };
+      }
+    }
+  }
+  return null;
+}
+
+function emitQuickPlayQueueUpdate(queueSize, entryFee) {
+  const key = `${queueSize}_${entryFee}`;
+  const queue = quickPlayQueues[key] || [];
+  const payload = { count: queue.length, maxPlayers: queueSize, entryFee };
+  console.log(`[QP] Queue ${queueSize} fee ${entryFee}: ${queue.length} waiting`);
+  queue.forEach(id => {
+    const s = io.sockets.sockets.get(id);
+    if (s) {
+      s.emit('quick_play_queue_update', payload);
+    }
+  });
+}
+
+function scheduleQuickPlayBotFill(queueSize, entryFee) {
+  const key = `${queueSize}_${entryFee}`;
+  if (QUICK_PLAY_BOT_FILL_MS <= 0 || quickPlayBotTimers[key]) return;
+  if (!(quickPlayQueues[key] || []).length) return;
+  quickPlayBotTimers[key] = setTimeout(() => {
+    delete quickPlayBotTimers[key];
+    if (!(quickPlayQueues[key] || []).length) return;
+    console.log(`[QP] Queue ${queueSize} fee ${entryFee} waited ${QUICK_PLAY_BOT_FILL_MS}ms; filling with bots`);
+    createQuickPlayRoom(queueSize, entryFee, true).catch((err) => {
+      console.error('Quick play bot fill error:', err);
+    });
+  }, QUICK_PLAY_BOT_FILL_MS);
+}
+
+function resetQuickPlayBotFill(queueSize, entryFee) {
+  const key = `${queueSize}_${entryFee}`;
+  if (quickPlayBotTimers[key]) {
+    clearTimeout(quickPlayBotTimers[key]);
+    delete quickPlayBotTimers[key];
+  }
+  scheduleQuickPlayBotFill(queueSize, entryFee);
+}
+
+async function createQuickPlayRoom(queueSize, entryFee, fillWithBots = false) {
+  const size = [2, 4].includes(queueSize) ? queueSize : DEFAULT_MAX_PLAYERS;
+  const fee = getAllowedEntryFee(entryFee);
+  const key = `${size}_${fee}`;
+  const humansNeeded = fillWithBots ? 1 : size;
+  const queue = quickPlayQueues[key] || [];
+  console.log(`[QP] Attempting match for ${size} fee ${fee}. Queue size: ${queue.length}`);
+  const playersToMatch = [];
+  while (playersToMatch.length < size && queue.length > 0) {
+    const id = queue.shift();
+    const s = io.sockets.sockets.get(id);
+    if (s) {
+      playersToMatch.push(s);
+    }
+  }
+
+  if (playersToMatch.length < humansNeeded) {
+    // Not enough valid sockets, put them back and update queue
+    playersToMatch.forEach(s => queue.unshift(s.id));
+    emitQuickPlayQueueUpdate(size, fee);
+    return;
+  }
+
+  await initMongo();
+  if (!playersCollection) {
+    const roomId = generateRoomCode();
+    console.log(`[QP] Coin system disabled; creating room ${roomId} without entry fee`);
+    rooms[roomId] = {
+      players: {},
+      playerCount: 0,
+      maxPlayers: size,
+      isPublic: false,
+      quickPlay: true,
+      clock: clocks.getPresetClock(QUICK_PLAY_CLOCKS, fee, size),
+      coin: {
+        entryFee: 0,
+        houseFeePercent: COIN_HOUSE_FEE_PERCENT,
+        pool: 0,
+        participants: {}
+      },
+      gameState: {
+        players: {},
+        playerColors: {},
+        currentPlayer: null,
+        nextFairSeed: fairness.createCommitment(),
+        diceValue: 0,
+        gameStarted: false,
+        settings: {},
+        tokens: {
+          r: [-1, -1, -1, -1],
+          g: [-1, -1, -1, -1],
+          y: [-1, -1, -1, -1],
+          b: [-1, -1, -1, -1]
+        }
+      },
+      createdAt: new Date().toISOString()
+    };
+
+    const payload = {
+      roomId,
+      players: rooms[roomId].players,
+      playerCount: rooms[roomId].playerCount,
+      maxPlayers: rooms[roomId].maxPlayers,
+      isPublic: rooms[roomId].isPublic,
+      clock: clocks.describeClock(rooms[roomId].clock),
+      nextServerSeedHash: getNextServerSeedHash(rooms[roomId])
+    };
+
+    playersToMatch.forEach((s, idx) => {
+      const isHost = idx === 0;
+      const name = s.data?.playerName || `Player${Object.keys(rooms[roomId].players).length + 1}`;
+      const avatar = s.data?.playerAvatar || null;
+      rooms[roomId].players[s.id] = {
+        id: s.id,
+        playerUid: getSocketPlayerUid(s, s.data || {}) || s.data?.playerUid || socketToPlayerUid[s.id] || null,
+        name,
+        avatar,
+        isHost,
+        ready: true,
+        color: null,
+        connected: true,
+        disconnectedAt: null,
+        joinedAt: new Date().toISOString()
+      };
+      rooms[roomId].playerCount++;
+      rooms[roomId].gameState.players[s.id] = { name, ready: true };
+      s.join(roomId);
+    });
+
+    while (rooms[roomId].playerCount < size) {
+      addBotToRoom(rooms[roomId], QUICK_PLAY_BOT_DIFFICULTY);
+    }
+
+    playersToMatch.forEach((s, idx) => {
+      if (idx === 0) {
+        s.emit('room_created', { ...payload, isHost: true });
+      } else {
+        s.emit('room_joined', { ...payload, isHost: false });
+      }
+    });
+
+    checkpointRoom(roomId);
+    emitQuickPlayQueueUpdate(size, fee);
+    resetQuickPlayBotFill(size, fee);
+    return;
+  }
+  const roomId = generateRoomCode();
+  const payers = [];
+  for (const s of playersToMatch) {
+    const playerUid = getSocketPlayerUid(s, s.data || {});
+    if (!playerUid) {
+      s.emit('error', { message: 'Missing player identity for coins.' });
+      continue;
+    }
+    const balance = await getBalance(playerUid);
+    if (balance === null || balance < fee) {
+      s.emit('error', { message: `Not enough coins. Entry fee is ${fee}.` });
+      continue;
+    }
+    payers.push({ socket: s, playerUid });
+  }
+
+  const coin = {
+    entryFee: fee,
+    houseFeePercent: COIN_HOUSE_FEE_PERCENT,
+    pool: 0,
+    participants: {}
+  };
+  const charge = payers.length >= humansNeeded
+    ? await escrowEntryFees(roomId, { coin }, payers.map(p => p.playerUid))
+    : { ok: false };
+  if (!charge.ok) {
+    // Nobody was charged; anyone who could still pay goes back in the queue.
+    for (const payer of payers) {
+      if (payer.playerUid === charge.playerUid) {
+        payer.socket.emit('error', { message: `Not enough coins. Entry fee is ${fee}.` });
+        continue;
+      }
+      queue.unshift(payer.socket.id);
+    }
+    emitQuickPlayQueueUpdate(size, fee);
+    return;
+  }
+  const paidSockets = payers;
+  paidSockets.forEach(({ socket: s, playerUid }) => {
+    s.emit('coins_updated', {
+      balance: charge.balances[playerUid],
+      entryFee: fee,
+      houseFeePercent: COIN_HOUSE_FEE_PERCENT
+    });
+  });
+
+  console.log(`[QP] Creating room ${roomId} for ${paidSockets.length} players (target ${size})`);
+  rooms[roomId] = {
+    players: {},
+    playerCount: 0,
+    maxPlayers: size,
+    isPublic: false,
+    quickPlay: true,
+    clock: clocks.getPresetClock(QUICK_PLAY_CLOCKS, fee, size),
+    coin,
+    gameState: {
+      players: {},
+      playerColors: {},
+      currentPlayer: null,
+      nextFairSeed: fairness.createCommitment(),
+      diceValue: 0,
+      gameStarted: false,
+      settings: {},
+      tokens: {
+        r: [-1, -1, -1, -1],
+        g: [-1, -1, -1, -1],
+        y: [-1, -1, -1, -1],
+        b: [-1, -1, -1, -1]
+      }
+    },
+    createdAt: new Date().toISOString()
+  };
+
+  paidSockets.forEach((entry, idx) => {
+    const s = entry.socket;
+    const isHost = idx === 0;
+    const name = s.data?.playerName || `Player${Object.keys(rooms[roomId].players).length + 1}`;
+    const avatar = s.data?.playerAvatar || null;
+    rooms[roomId].players[s.id] = {
+      id: s.id,
+      playerUid: entry.playerUid || s.data?.playerUid || socketToPlayerUid[s.id] || null,
+      name,
+      avatar,
+      isHost,
+      ready: true,
+      color: null,
+      connected: true,
+      disconnectedAt: null,
+      joinedAt: new Date().toISOString()
+    };
+    rooms[roomId].playerCount++;
+    rooms[roomId].gameState.players[s.id] = { name, ready: true };
+    s.join(roomId);
+  });
+
+  while (rooms[roomId].playerCount < size) {
+    addBotToRoom(rooms[roomId], QUICK_PLAY_BOT_DIFFICULTY);
+  }
+
+  const payload = {
+    roomId,
+    players: rooms[roomId].players,
+    playerCount: rooms[roomId].playerCount,
+    maxPlayers: rooms[roomId].maxPlayers,
+    isPublic: rooms[roomId].isPublic,
+    clock: clocks.describeClock(rooms[roomId].clock)
+  };
+
+  paidSockets.forEach((entry, idx) => {
+    const s = entry.socket;
+    if (idx === 0) {
+      s.emit('room_created', { ...payload, isHost: true });
+    } else {
+      s.emit('room_joined', { ...payload, isHost: false });
+    }
+  });
+
+  checkpointRoom(roomId);
+  emitQuickPlayQueueUpdate(size, fee);
+  resetQuickPlayBotFill(size, fee);
+}
+
+// Tournament tables are rooms without a host or entry fee (the buy-in is held
+// by the tournament). Only the seated players may join, and the game starts
+// by itself once they all have, or at the no-show deadline.
+function createTournamentTableRoom(tournament, table, joinBy) {
+  const roomId = generateRoomCode();
+  rooms[roomId] = {
+    players: {},
+    playerCount: 0,
+    maxPlayers: table.seats.length,
+    isPublic: false,
+    quickPlay: false,
+    tournament: {
+      id: tournament._id,
+      name: tournament.name,
+      tableId: table.id,
+      round: table.round,
+      seats: table.seats,
+      joinBy: joinBy.toISOString(),
+      noShows: []
+    },
+    clock: clocks.getPresetClock(QUICK_PLAY_CLOCKS, tournament.buyIn, table.seats.length),
+    coin: {
+      entryFee: 0,
+      houseFeePercent: COIN_HOUSE_FEE_PERCENT,
+      pool: 0,
+      participants: {}
+    },
+    gameState: {
+      players: {},
+      playerColors: {},
+      currentPlayer: null,
+      nextFairSeed: fairness.createCommitment(),
+      diceValue: 0,
+      gameStarted: false,
+      settings: {},
+      tokens: {
+        r: [-1, -1, -1, -1],
+        g: [-1, -1, -1, -1],
+        y: [-1, -1, -1, -1],
+        b: [-1, -1, -1, -1]
+      }
+    },
+    createdAt: new Date().toISOString()
+  };
+  checkpointRoom(roomId);
+  console.log(`[T] Table ${table.id} of tournament ${tournament._id} seated in room ${roomId}`);
+  return roomId;
+}
+
+// Starts the table once every seat is filled. At the deadline (force) it
+// starts with whoever is there; missing players forfeit the table, and a lone
+// player advances without playing.
+const startingTables = new Set();
+
+async function startTournamentTable(roomId, force = false) {
+  const room = rooms[roomId];
+  const table = room?.tournament;
+  if (!table || room.gameState.gameStarted || startingTables.has(roomId)) return;
+  const present = Object.values(room.players).filter(p => p.playerUid && p.connected !== false);
+  if (!force && present.length < table.seats.length) return;
+  startingTables.add(roomId);
+  try {
+    for (const p of Object.values(room.players)) {
+      if (!present.includes(p)) await removePlayerFromRoom(roomId, p.id, 'no_show');
+    }
+    const presentUids = present.map(p => p.playerUid);
+    table.noShows = table.seats.filter(uid => !presentUids.includes(uid));
+    if (present.length >= 2) {
+      const started = await startRoomGame(roomId, room);
+      if (started.ok) {
+        checkpointRoom(roomId);
+        await markTournamentTableStarted(table.id, table.tableId);
+        return;
+      }
+      console.error(`[T] Could not start table ${table.tableId} in room ${roomId}: ${started.error}`);
+    }
+    // Nobody to play against: the table ends here.
+    io.in(roomId).socketsLeave(roomId);
+    delete rooms[roomId];
+    checkpointRoom(roomId);
+    await recordTournamentTableResult(table.id, table.tableId, presentUids.slice(0, 1).map(uid => [uid]), table.noShows);
+  } finally {
+    startingTables.delete(roomId);
+  }
+}
+
+function sweepTournamentTables() {
+  const now = Date.now();
+  Object.keys(rooms).forEach(roomId => {
+    const table = rooms[roomId]?.tournament;
+    if (!table || rooms[roomId].gameState.gameStarted) return;
+    if (new Date(table.joinBy).getTime() > now) return;
+    startTournamentTable(roomId, true).catch((err) => {
+      console.error('Tournament table start error:', err);
+    });
+  });
+}
+
+function clearTurnTimer(room) {
+  if (room && room.gameState && room.gameState.turnTimer) {
+    clearTimeout(room.gameState.turnTimer);
+    room.gameState.turnTimer = null;
+  }
+  settleTurnClock(room);
+}
+
+function getRoomClock(room) {
+  return { ...clocks.getDefaultClock(), ...(room?.clock || {}) };
+}
+
+// Time used past the end of the free turn comes out of the player's bank.
+function settleTurnClock(room) {
+  const turnClock = room?.gameState?.turnClock;
+  if (!turnClock) return;
+  room.gameState.turnClock = null;
+  const banks = room.gameState.timeBanks;
+  if (!banks || banks[turnClock.color] === undefined) return;
+  const overtime = Math.min(Date.now(), turnClock.deadline) - turnClock.turnDeadline;
+  if (overtime > 0) {
+    banks[turnClock.color] = Math.max(0, banks[turnClock.color] - overtime);
+  }
+}
+
+async function saveGameRecord(gameId, fields) {
+  if (!gamesCollection || !gameId) return;
+  const now = new Date();
+  await gamesCollection.updateOne(
+    { _id: gameId },
+    { $set: { ...fields, updatedAt: now }, $setOnInsert: { createdAt: now } },
+    { upsert: true }
+  );
+}
+
+// Appends to the game_events log used for replays. The sequence number is
+// taken synchronously so the log order matches the order things happened.
+function recordGameEvent(room, type, data = {}) {
+  const gameId = room?.gameState?.gameId;
+  if (!gameId) return;
+  room.gameState.eventSeq = (room.gameState.eventSeq || 0) + 1;
+  if (!gameEventsCollection) return;
+  gameEventsCollection.insertOne({
+    gameId,
+    seq: room.gameState.eventSeq,
+    type,
+    data,
+    at: new Date()
+  }).catch((err) => {
+    console.error('Game event error:', err);
+  });
+}
+
+function recordRulesEvent(room, event, actorId, meta = {}) {
+  switch (event.type) {
+    case 'dice_rolled':
+      recordGameEvent(room, 'roll', {
+        color: event.color,
+        value: event.value,
+        auto: !!meta.auto,
+        nonce: meta.nonce ?? null,
+        playerId: actorId
+      });
+      break;
+    case 'token_moved':
+      recordGameEvent(room, 'move', {
+        color: event.moverColor,
+        tokenColor: event.color,
+        tokenIndex: event.tokenIndex,
+        fromStep: event.fromStep,
+        newStep: event.newStep,
+        diceValue: event.diceValue,
+        playerId: actorId
+      });
+      event.captures.forEach(capture => {
+        recordGameEvent(room, 'capture', {
+          color: event.color,
+          capturedColor: capture.color,
+          tokenIndex: capture.tokenIndex,
+          fromStep: capture.fromStep
+        });
+      });
+      break;
+    case 'turn_passed':
+      recordGameEvent(room, 'pass', { color: event.color, nextPlayer: event.nextPlayer });
+      break;
+    case 'turn_forfeited':
+      recordGameEvent(room, 'turn_forfeited', { color: event.color, reason: event.reason });
+      break;
+    case 'player_finished':
+      recordGameEvent(room, 'finish', { color: event.color, place: event.place });
+      break;
+    case 'player_forfeited':
+      recordGameEvent(room, 'forfeit', { color: event.color, reason: event.reason, ...(meta.forfeit || {}) });
+      break;
+    case 'game_won':
+      recordGameEvent(room, 'game_over', { ranking: event.ranking });
+      break;
+    default:
+      break;
+  }
+}
+
+// Forfeits are appended to the game record so disputes can be audited.
+async function recordForfeit(room, color, reason, details = {}) {
+  const gameId = room?.gameState?.gameId;
+  if (!gamesCollection || !gameId) return;
+  const playerId = room.gameState.playerColors[color];
+  await gamesCollection.updateOne(
+    { _id: gameId },
+    {
+      $push: {
+        forfeits: {
+          color,
+          playerUid: room.players[playerId]?.playerUid || null,
+          reason,
+          ...details,
+          at: new Date()
+        }
+      },
+      $set: { updatedAt: new Date() }
+    }
+  );
+}
+
+// Hash of the server seed the room's next game will use. It is drawn before
+// anyone can set a client seed for that game, so the server can't pick it to
+// suit them.
+function getNextServerSeedHash(room) {
+  if (!room.gameState.nextFairSeed) {
+    room.gameState.nextFairSeed = fairness.createCommitment();
+  }
+  return room.gameState.nextFairSeed.serverSeedHash;
+}
+
+// Uses the server seed committed to before this game and commits to the one
+// for the game after it. The seed itself is only revealed in game_over. Seats
+// without a client seed (bots included) use their room and color, which the
+// server can't pick after committing.
+function beginFairGame(roomId, room) {
+  const colors = Object.keys(room.gameState.playerColors || {});
+  const clientSeeds = colors.map(color => {
+    const player = room.players[room.gameState.playerColors[color]];
+    return player?.clientSeed || `${roomId}:${color}`;
+  });
+  getNextServerSeedHash(room);
+  const fair = fairness.createFairnessState(clientSeeds, room.gameState.nextFairSeed);
+  room.gameState.nextFairSeed = fairness.createCommitment();
+  room.gameState.gameId = createOrderId();
+  room.gameState.fairness = fair;
+  room.gameState.eventSeq = 0;
+  recordGameEvent(room, 'start', {
+    roomId,
+    playerColors: { ...room.gameState.playerColors },
+    players: colors.map(color => {
+      const playerId = room.gameState.playerColors[color];
+      return {
+        color,
+        playerId,
+        playerUid: room.players[playerId]?.playerUid || null,
+        name: room.players[playerId]?.name || 'Player',
+        isBot: !!room.players[playerId]?.isBot
+      };
+    }),
+    settings: { ...(room.gameState.settings || {}) },
+    currentPlayer: room.gameState.currentPlayer,
+    serverSeedHash: fair.serverSeedHash
+  });
+  saveGameRecord(room.gameState.gameId, {
+    roomId,
+    status: 'in_progress',
+    serverSeedHash: fair.serverSeedHash,
+    clientSeed: fair.clientSeed,
+    players: colors.map(color => ({
+      color,
+      playerUid: room.players[room.gameState.playerColors[color]]?.playerUid || null
+    })),
+    startedAt: new Date()
+  }).catch((err) => {
+    console.error('Game record error:', err);
+  });
+  checkpointRoom(roomId);
+}
+
+async function rollDiceForTurn(roomId, color, actorId, auto = false) {
+  const room = rooms[roomId];
+  if (!room || !room.gameState) return { ok: false, error: 'Room not found', events: [] };
+  if (!room.gameState.fairness) {
+    room.gameState.fairness = fairness.createFairnessState([]);
+  }
+  const roll = fairness.nextRoll(room.gameState.fairness);
+  const result = await applyRulesAction(
+    roomId,
+    { type: 'roll', color, value: roll.value },
+    actorId,
+    { auto, nonce: roll.nonce }
+  );
+  if (result.ok) {
+    fairness.recordRoll(room.gameState.fairness, { ...roll, color, auto });
+  }
+  return result;
+}
+
+// Bots roll and move on a human-like delay; the pending step lives in the
+// turn timer slot so clearTurnTimer cancels it like any other timer.
+function scheduleBotTurn(roomId) {
+  const room = rooms[roomId];
+  if (!room || !room.gameState?.gameStarted) return;
+  const color = room.gameState.currentPlayer;
+  const botId = room.gameState.playerColors[color];
+  room.gameState.turnTimer = setTimeout(() => {
+    if (!room.gameState?.gameStarted || room.gameState.currentPlayer !== color) return;
+    if (room.gameState.diceValue !== 0) return;
+    rollDiceForTurn(roomId, color, botId)
+      .then((rolled) => {
+        if (!rolled.ok) return;
+        if (room.gameState.currentPlayer !== color || room.gameState.diceValue === 0) return;
+        room.gameState.turnTimer = setTimeout(() => {
+          playBotMove(roomId, color, botId).catch((err) => {
+            console.error('Bot move error:', err);
+          });
+        }, bots.getThinkDelay());
+      })
+      .catch((err) => {
+        console.error('Bot roll error:', err);
+      });
+  }, bots.getThinkDelay());
+}
+
+async function playBotMove(roomId, color, botId) {
+  const room = rooms[roomId];
+  if (!room || !room.gameState?.gameStarted || room.gameState.currentPlayer !== color) return;
+  const diceValue = room.gameState.diceValue;
+  if (diceValue === 0) return;
+  const tokenIndex = bots.chooseMove(room.gameState, color, diceValue, room.players[botId]?.difficulty);
+  if (tokenIndex === null) {
+    await passTurn(roomId, color);
+    return;
+  }
+  await applyMove(roomId, color, tokenIndex, diceValue, botId);
+}
+
+// Only the instance that owns a room has it in `rooms`, so each room's turn
+// clock runs in exactly one place.
+function startTurnTimer(roomId) {
+  const room = rooms[roomId];
+  if (!room || !room.gameState?.gameStarted) return;
+  if (room.gameState.pause) return;
+  if (shouldAutoPause(room)) {
+    const playerColor = room.gameState.currentPlayer;
+    pauseGame(roomId, 'disconnect', { playerColor, playerId: room.gameState.playerColors[playerColor] });
+    return;
+  }
+  clearTurnTimer(room);
+  const clock = getRoomClock(room);
+  const color = room.gameState.currentPlayer;
+  const now = Date.now();
+  const bankMs = room.gameState.timeBanks?.[color] || 0;
+  room.gameState.turnClock = {
+    color,
+    startedAt: now,
+    turnDeadline: now + clock.turnMs,
+    deadline: now + clock.turnMs + bankMs
+  };
+  // Deadlines are absolute server times so clients can correct for drift
+  // using server_time.
+  toRoomAndSpectators(roomId).emit('turn_timer_start', {
+    duration: clock.turnMs,
+    playerColor: color,
+    phase: room.gameState.diceValue === 0 ? 'roll' : 'move',
+    serverTime: now,
+    turnDeadline: room.gameState.turnClock.turnDeadline,
+    deadline: room.gameState.turnClock.deadline,
+    bankMs
+  });
+  if (isBotPlayer(room, room.gameState.playerColors[room.gameState.currentPlayer])) {
+    scheduleBotTurn(roomId);
+    return;
+  }
+  room.gameState.turnTimer = setTimeout(() => {
+    if (!room || !room.gameState?.gameStarted) return;
+    const currentColor = room.gameState.currentPlayer;
+    const currentPlayerId = room.gameState.playerColors[currentColor];
+    if (!currentPlayerId) return;
+    runAutopilot(roomId, currentColor, currentPlayerId).catch((err) => {
+      console.error('Auto-play error:', err);
+    });
+  }, clock.turnMs + bankMs);
+}
+
+function addAfkStrike(room, color) {
+  if (!room.gameState.afkStrikes) room.gameState.afkStrikes = {};
+  room.gameState.afkStrikes[color] = (room.gameState.afkStrikes[color] || 0) + 1;
+  return room.gameState.afkStrikes[color];
+}
+
+function clearAfkStrikes(room, color) {
+  if (room?.gameState?.afkStrikes?.[color]) {
+    room.gameState.afkStrikes[color] = 0;
+  }
+}
+
+// Private matches can pause, either automatically while the player to move is
+// disconnected or by a vote everyone else agrees to. All pauses in a match
+// share one budget, and the game resumes by itself when it runs out.
+function getPauseBudgetLeft(room) {
+  const pause = room?.gameState?.pause;
+  const current = pause ? Date.now() - pause.startedAt : 0;
+  return Math.max(0, MAX_PAUSE_MS - (room?.gameState?.pausedMs || 0) - current);
+}
+
+function canPause(room) {
+  return !!room?.gameState?.gameStarted
+    && !!room.pausable
+    && !room.gameState.pause
+    && getPauseBudgetLeft(room) > 0;
+}
+
+// The player to move is away, and nobody has already voted to play on
+// without them.
+function shouldAutoPause(room) {
+  const playerId = room.gameState.playerColors[room.gameState.currentPlayer];
+  const player = room.players[playerId];
+  return !!player
+    && !player.isBot
+    && player.connected === false
+    && room.gameState.pauseWaivedFor !== playerId
+    && canPause(room);
+}
+
+function pauseGame(roomId, reason, details = {}) {
+  const room = rooms[roomId];
+  if (!canPause(room)) return false;
+  cancelPauseVote(roomId);
+  clearTurnTimer(room);
+  const startedAt = Date.now();
+  room.gameState.pause = { reason, startedAt, ...details };
+  schedulePauseEnd(roomId);
+  toRoomAndSpectators(roomId).emit('game_paused', {
+    reason,
+    ...details,
+    serverTime: startedAt,
+    resumeDeadline: startedAt + getPauseBudgetLeft(room),
+    pausedMs: room.gameState.pausedMs || 0,
+    maxPauseMs: MAX_PAUSE_MS
+  });
+  recordGameEvent(room, 'pause', { reason, ...details });
+  checkpointRoom(roomId);
+  return true;
+}
+
+// A paused game has no turn clock, so the pause expiry uses its timer slot.
+function schedulePauseEnd(roomId) {
+  const room = rooms[roomId];
+  if (!room?.gameState?.pause) return;
+  clearTurnTimer(room);
+  room.gameState.turnTimer = setTimeout(() => {
+    resumeGame(roomId, 'pause_limit');
+  }, getPauseBudgetLeft(room));
+}
+
+function resumeGame(roomId, reason) {
+  const room = rooms[roomId];
+  const pause = room?.gameState?.pause;
+  if (!pause) return false;
+  clearTurnTimer(room);
+  cancelPauseVote(roomId);
+  room.gameState.pausedMs = Math.min(MAX_PAUSE_MS, (room.gameState.pausedMs || 0) + Date.now() - pause.startedAt);
+  room.gameState.pause = null;
+  if (pause.reason === 'disconnect' && reason !== 'reconnected') {
+    room.gameState.pauseWaivedFor = pause.playerId;
+  }
+  toRoomAndSpectators(roomId).emit('game_resumed', {
+    reason,
+    pausedMs: room.gameState.pausedMs,
+    remainingPauseMs: getPauseBudgetLeft(room)
+  });
+  recordGameEvent(room, 'resume', { reason });
+  startTurnTimer(roomId);
+  checkpointRoom(roomId);
+  return true;
+}
+
+function cancelPauseVote(roomId) {
+  if (pauseVoteTimers[roomId]) {
+    clearTimeout(pauseVoteTimers[roomId]);
+    delete pauseVoteTimers[roomId];
+  }
+  const room = rooms[roomId];
+  if (room?.gameState) room.gameState.pauseVote = null;
+}
+
+// Everyone else who is connected has to agree; with nobody to ask the
+// request goes through straight away.
+function startPauseVote(roomId, type, requesterId) {
+  const room = rooms[roomId];
+  const voters = Object.values(room.players)
+    .filter(p => !p.isBot && p.connected !== false && p.id !== requesterId)
+    .map(p => p.id);
+  if (voters.length === 0) {
+    applyPauseVote(roomId, type, requesterId);
+    return;
+  }
+  const now = Date.now();
+  room.gameState.pauseVote = {
+    type,
+    requestedBy: requesterId,
+    voters,
+    accepted: [],
+    expiresAt: now + PAUSE_VOTE_TIMEOUT_MS
+  };
+  pauseVoteTimers[roomId] = setTimeout(() => {
+    endPauseVote(roomId, false, 'timeout');
+  }, PAUSE_VOTE_TIMEOUT_MS);
+  toRoomAndSpectators(roomId).emit('pause_vote_started', {
+    type,
+    requestedBy: requesterId,
+    requestedByName: getRoomPlayerName(room, requesterId),
+    voters,
+    serverTime: now,
+    expiresAt: room.gameState.pauseVote.expiresAt
+  });
+}
+
+function endPauseVote(roomId, passed, reason) {
+  const vote = rooms[roomId]?.gameState?.pauseVote;
+  cancelPauseVote(roomId);
+  if (!vote) return;
+  toRoomAndSpectators(roomId).emit('pause_vote_ended', { type: vote.type, passed, reason });
+  if (passed) {
+    applyPauseVote(roomId, vote.type, vote.requestedBy);
+  }
+}
+
+function applyPauseVote(roomId, type, requesterId) {
+  if (type === 'pause') {
+    pauseGame(roomId, 'vote', { requestedBy: requesterId });
+  } else {
+    resumeGame(roomId, 'vote');
+  }
+}
+
+// Plays a timed-out turn (roll and/or move) for the current player. Every
+// consecutive timeout is a strike; on the last strike the player forfeits.
+async function runAutopilot(roomId, color, playerId) {
+  const room = rooms[roomId];
+  if (!room || !room.gameState?.gameStarted) return;
+  const strikes = addAfkStrike(room, color);
+  if (AFK_MAX_STRIKES > 0 && strikes >= AFK_MAX_STRIKES) {
+    await forfeitColor(roomId, color, 'afk', { strikes });
+    return;
+  }
+  toRoomAndSpectators(roomId).emit('afk_warning', {
+    playerColor: color,
+    playerId,
+    playerName: getRoomPlayerName(room, playerId),
+    strikes,
+    maxStrikes: AFK_MAX_STRIKES
+  });
+
+  if (room.gameState.diceValue === 0) {
+    const rolled = await rollDiceForTurn(roomId, color, playerId, true);
+    if (!rolled.ok) return;
+    // A forfeited roll (e.g. three sixes) already handed the turn on.
+    if (room.gameState.currentPlayer !== color || room.gameState.diceValue === 0) return;
+    console.log(`Auto-rolled ${room.gameState.diceValue} for ${color} in room ${roomId}`);
+  }
+
+  const diceValue = room.gameState.diceValue;
+  const tokenIndex = bots.chooseMove(room.gameState, color, diceValue, AFK_AUTOPILOT_DIFFICULTY);
+  if (tokenIndex === null) {
+    await passTurn(roomId, color);
+    return;
+  }
+  await applyMove(roomId, color, tokenIndex, diceValue, playerId, { auto: true });
+}
+
+async function forfeitColor(roomId, color, reason, details = {}) {
+  const room = rooms[roomId];
+  if (!room?.gameState) return { ok: false, error: 'Room not found', events: [] };
+  const playerId = room.gameState.playerColors[color];
+  return applyRulesAction(roomId, { type: 'forfeit', color, reason }, playerId, { forfeit: details });
+}
+
+function getRoomPlayerName(room, playerId) {
+  return room?.players?.[playerId]?.name || 'Player';
+}
+
+// Runs an action through the rules engine, stores the resulting state on the
+// room and turns the engine's events into socket broadcasts.
+async function applyRulesAction(roomId, action, actorId, meta = {}) {
+  const room = rooms[roomId];
+  if (!room || !room.gameState) return { ok: false, error: 'Room not found', events: [] };
+  const result = rules.applyAction(room.gameState, action);
+  if (!result.ok) return result;
+  Object.assign(room.gameState, result.state);
+  await dispatchRulesEvents(roomId, result.events, actorId, meta);
+  return result;
+}
+
+async function dispatchRulesEvents(roomId, events, actorId, meta = {}) {
+  const room = rooms[roomId];
+  if (!room) return;
+  for (const event of events) {
+    recordRulesEvent(room, event, actorId, meta);
+    trackMissionProgress(room, event, meta);
+    switch (event.type) {
+      case 'dice_rolled':
+        clearTurnTimer(room);
+        toRoomAndSpectators(roomId).emit('dice_rolled', {
+          playerId: actorId,
+          playerColor: event.color,
+          playerName: getRoomPlayerName(room, actorId),
+          value: event.value,
+          nonce: meta.nonce,
+          ...(meta.auto ? { auto: true } : {})
+        });
+        break;
+      case 'token_moved':
+        toRoomAndSpectators(roomId).emit('token_moved', {
+          playerId: actorId,
+          color: event.color,
+          playerColor: event.moverColor,
+          tokenIndex: event.tokenIndex,
+          newStep: event.newStep,
+          diceValue: event.diceValue,
+          tokens: room.gameState.tokens,
+          killOccurred: event.killOccurred
+        });
+        break;
+      case 'player_finished': {
+        const finishedPlayerId = room.gameState.playerColors[event.color];
+        toRoomAndSpectators(roomId).emit('player_finished', {
+          color: event.color,
+          place: event.place,
+          playerId: finishedPlayerId,
+          playerName: getRoomPlayerName(room, finishedPlayerId)
+        });
+        break;
+      }
+      case 'player_forfeited': {
+        const forfeitedId = room.gameState.playerColors[event.color];
+        const details = meta.forfeit || {};
+        toRoomAndSpectators(roomId).emit('player_forfeited', {
+          playerColor: event.color,
+          playerId: forfeitedId,
+          playerName: getRoomPlayerName(room, forfeitedId),
+          reason: event.reason,
+          ...details
+        });
+        recordForfeit(room, event.color, event.reason, details).catch((err) => {
+          console.error('Forfeit record error:', err);
+        });
+        if (room.gameState.pause?.reason === 'disconnect' && room.gameState.pause.playerColor === event.color) {
+          resumeGame(roomId, 'forfeit');
+        }
+        console.log(`${getRoomPlayerName(room, forfeitedId)} (${event.color}) forfeited in room ${roomId}: ${event.reason}`);
+        break;
+      }
+      case 'turn_forfeited':
+        toRoomAndSpectators(roomId).emit('turn_forfeited', {
+          playerColor: event.color,
+          reason: event.reason
+        });
+        break;
+      case 'turn_passed':
+        toRoomAndSpectators(roomId).emit('no_move_confirmed', {
+          success: true,
+          playerColor: event.color,
+          nextPlayer: event.nextPlayer
+        });
+        break;
+      case 'turn_changed': {
+        const nextPlayerId = event.extraTurn && actorId
+          ? actorId
+          : room.gameState.playerColors[event.color];
+        toRoomAndSpectators(roomId).emit('player_turn', {
+          color: event.color,
+          playerId: nextPlayerId,
+          playerName: getRoomPlayerName(room, nextPlayerId)
+        });
+        startTurnTimer(roomId);
+        break;
+      }
+      case 'game_won':
+        await finishGame(roomId, event.ranking, meta.forfeit ? 'forfeit' : 'finished');
+        break;
+      default:
+        break;
+    }
+  }
+  checkpointRoom(roomId);
+}
+
+// ranking is a list of places, each a list of colours (two for a team).
+async function finishGame(roomId, ranking, reason = 'finished') {
+  const room = rooms[roomId];
+  if (!room) return;
+  clearTurnTimer(room);
+  cancelPauseVote(roomId);
+  room.gameState.pause = null;
+  const fair = room.gameState.fairness || null;
+  const gameId = room.gameState.gameId || null;
+  const winner = ranking[0][0];
+  if (fair) {
+    saveGameRecord(gameId, {
+      status: 'finished',
+      endReason: reason,
+      winner,
+      winnerTeam: ranking[0],
+      ranking,
+      serverSeed: fair.serverSeed,
+      rolls: fair.rolls,
+      finishedAt: new Date()
+    }).catch((err) => {
+      console.error('Game record error:', err);
+    });
+  }
+  // Players who left mid-game are still ranked (and paid) by their place.
+  const leftPlayers = room.gameState.leftPlayers || {};
+  const places = ranking.map((colors, idx) => ({
+    place: idx + 1,
+    players: colors.map(color => {
+      const playerId = room.gameState.playerColors[color];
+      const left = room.players[playerId] ? null : leftPlayers[color];
+      return {
+        color,
+        playerId,
+        playerUid: room.players[playerId]?.playerUid || left?.playerUid || null,
+        name: left?.name || getRoomPlayerName(room, playerId)
+      };
+    })
+  }));
+  // Free the seats of players who left now that the game is over.
+  Object.keys(room.gameState.playerColors).forEach(color => {
+    if (!room.players[room.gameState.playerColors[color]]) {
+      delete room.gameState.playerColors[color];
+    }
+  });
+  room.gameState.leftPlayers = {};
+  if (countsForMissions(room)) {
+    places.forEach((place, idx) => {
+      place.players.forEach((p) => {
+        // Players who walked out don't get credit for the game.
+        if (!room.players[p.playerId]) return;
+        const increments = { game_played: 1 };
+        if (idx === 0) {
+          increments.game_won = 1;
+          if (room.quickPlay) increments.quick_play_won = 1;
+        }
+        addMissionStatsForColor(room, p.color, increments);
+      });
+    });
+  }
+  // Snapshot who paid in before the payout clears the escrow mirror.
+  const paidUids = room.coin?.entryFee > 0 ? Object.keys(room.coin.participants || {}) : [];
+  const payout = await payOutWinner(roomId, room, places.map(place => place.players.map(p => p.playerUid)));
+  if (payout) {
+    recordGameEvent(room, 'payout', {
+      prize: payout.prize,
+      fee: payout.fee,
+      unclaimed: payout.unclaimed,
+      table: payout.table,
+      shares: payout.shares
+    });
+  }
+  if (room.tournament) {
+    const tableRanking = places
+      .map(place => place.players.map(p => p.playerUid).filter(Boolean))
+      .filter(place => place.length > 0);
+    recordTournamentTableResult(room.tournament.id, room.tournament.tableId, tableRanking, room.tournament.noShows || [])
+      .catch((err) => {
+        console.error('Tournament result error:', err);
+      });
+  }
+  checkpointRoom(roomId);
+  const prizeFor = (p) => payout?.shares?.find(entry => entry.playerUid === p.playerUid)?.amount ?? 0;
+  for (const place of places) {
+    for (const p of place.players) {
+      if (p.playerId && p.playerUid && prizeFor(p) > 0) {
+        await emitCoinsUpdate(p.playerId, p.playerUid, room);
+      }
+    }
+  }
+  // Finishing a paid match is what qualifies a referred player.
+  for (const place of places) {
+    for (const p of place.players) {
+      if (p.playerUid && paidUids.includes(p.playerUid) && room.players[p.playerId]) {
+        recordPaidMatchFinished(p.playerUid, gameId, p.playerId).catch((err) => {
+          console.error('Referral reward error:', err);
+        });
+      }
+    }
+  }
+  const describePlayer = (p) => ({ color: p.color, playerId: p.playerId, name: p.name, prize: prizeFor(p) });
+  const winners = places[0].players;
+  setTimeout(() => {
+    toRoomAndSpectators(roomId).emit('game_over', {
+      reason,
+      winner: winner,
+      winnerName: winners.map(w => w.name).join(' & '),
+      winnerColor: winner,
+      winnerTeam: ranking[0],
+      winners: winners.map(describePlayer),
+      ranking: places.map(place => ({
+        place: place.place,
+        colors: place.players.map(p => p.color),
+        players: place.players.map(describePlayer)
+      })),
+      prize: payout?.prize ?? 0,
+      fee: payout?.fee ?? 0,
+      payoutTable: payout?.table || null,
+      gameId,
+      fairness: fair ? fairness.getReveal(fair) : null,
+      nextServerSeedHash: getNextServerSeedHash(room)
+    });
+    console.log(`Game over in room ${roomId}. Ranking: ${ranking.map(place => place.join('+')).join(' > ')}`);
+  }, 1000);
+}
+
+// Assigns any missing colors and starts the game. Returns { ok, error }.
+async function startRoomGame(roomId, room, settings) {
+  // Ensure at least 2 players
+  if (room.playerCount < 2) {
+    return { ok: false, error: 'Need at least 2 players to start' };
+  }
+
+  // Settings sent with start_game override whatever the host set earlier
+  const ruleCheck = rules.validateRules({ ...(room.gameState.settings || {}), ...(settings || {}) });
+  if (!ruleCheck.ok) {
+    return { ok: false, error: ruleCheck.error };
+  }
+
+  if (ruleCheck.settings.teamMode && room.playerCount !== 4) {
+    return { ok: false, error: 'Team mode needs 4 players' };
+  }
+
+  // Pick colors for players who haven't, but only seat them once the entry
+  // fees are in, so a start that fails charges nobody.
+  const colors = ['r', 'g', 'y', 'b'];
+  const selectedColors = Object.keys(room.gameState.playerColors || {});
+  const usedColors = new Set(selectedColors);
+  const playersWithoutColors = Object.values(room.players).filter(p => !p.color);
+  const assignments = [];
+
+  for (const player of playersWithoutColors) {
+    let freeColor = colors.find(c => !usedColors.has(c));
+
+    if ((room.maxPlayers || MAX_PLAYERS) === 2 && usedColors.size === 1) {
+      const existing = Array.from(usedColors)[0];
+      const paired = rules.getPairedColor(existing);
+      if (paired && !usedColors.has(paired)) {
+        freeColor = paired;
+      }
+    }
+
+    if (!freeColor) {
+      return { ok: false, error: 'No available colors to assign' };
+    }
+    usedColors.add(freeColor);
+    assignments.push({ player, color: freeColor });
+  }
+
+  if (usedColors.size < 2) {
+    return { ok: false, error: 'Need at least 2 players to start' };
+  }
+
+  await initMongo();
+  const matchCharge = await chargeEntryFeesForMatch(roomId, room, io.sockets.sockets);
+  if (!matchCharge.ok) {
+    return { ok: false, error: matchCharge.reason || `Not enough coins. Entry fee is ${COIN_ENTRY_FEE}.` };
+  }
+
+  for (const { player, color } of assignments) {
+    player.color = color;
+    room.gameState.playerColors[color] = player.id;
+  }
+  const finalSelectedColors = Object.keys(room.gameState.playerColors);
+  
+  // Set game state
+  room.gameState.gameStarted = true;
+  room.pausable = !room.isPublic && !room.quickPlay && !room.tournament;
+  room.isPublic = false;
+  room.gameState.settings = ruleCheck.settings;
+  room.gameState.cutStatus = { r: false, g: false, y: false, b: false };
+  room.gameState.sixesInRow = 0;
+  room.gameState.finishOrder = [];
+  room.gameState.forfeits = [];
+  room.gameState.afkStrikes = {};
+  room.gameState.timeBanks = clocks.createTimeBanks(finalSelectedColors, getRoomClock(room));
+  room.gameState.turnClock = null;
+  cancelPauseVote(roomId);
+  room.gameState.pause = null;
+  room.gameState.pausedMs = 0;
+  room.gameState.pauseWaivedFor = null;
+  room.gameState.currentPlayer = rules.getActiveColors(room.gameState)[0];
+  room.gameState.diceValue = 0;
+  
+  // Reset tokens for all playing colors
+  finalSelectedColors.forEach(color => {
+    room.gameState.tokens[color] = [-1, -1, -1, -1];
+  });
+  beginFairGame(roomId, room);
+  
+  // Broadcast game start
+  toRoomAndSpectators(roomId).emit('game_started', {
+    settings: room.gameState.settings,
+    playerColors: room.gameState.playerColors,
+    currentPlayer: room.gameState.currentPlayer,
+    tokens: room.gameState.tokens,
+    gameId: room.gameState.gameId,
+    fairness: fairness.getCommitment(room.gameState.fairness),
+    nextServerSeedHash: getNextServerSeedHash(room),
+    clock: clocks.describeClock(getRoomClock(room)),
+    timeBanks: room.gameState.timeBanks
+  });
+  
+  // Notify first player's turn
+  const firstPlayerId = room.gameState.playerColors[room.gameState.currentPlayer];
+  toRoomAndSpectators(roomId).emit('player_turn', {
+    color: room.gameState.currentPlayer,
+    playerId: firstPlayerId,
+    playerName: room.players[firstPlayerId]?.name || 'Player'
+  });
+  startTurnTimer(roomId);
+  
+  console.log(`Game started in room ${roomId} with ${finalSelectedColors.length} players`);
+  return { ok: true };
+}
+
+function passTurn(roomId, playerColor) {
+  return applyRulesAction(roomId, { type: 'pass', color: playerColor }, null);
+}
+
+async function applyMove(roomId, color, tokenIndex, diceValue, actorId, meta = {}) {
+  const room = rooms[roomId];
+  if (!room || !room.gameState?.gameStarted) return;
+  return applyRulesAction(roomId, { type: 'move', color, tokenIndex, diceValue }, actorId, meta);
+}
+
+function buildPublicRoomsList() {
+  const staleBefore = Date.now() - ROOM_OWNER_TTL_MS * 2;
+  const remote = Object.values(remotePublicRooms)
+    .filter(entry => entry.at > staleBefore)
+    .flatMap(entry => entry.rooms)
+    .filter(room => !rooms[room.id]);
+  return buildLocalPublicRoomsList().concat(remote);
+}
+
+function buildLocalPublicRoomsList() {
+  return Object.entries(rooms)
+    .filter(([_, room]) => room && room.isPublic && !room.gameState?.gameStarted)
+    .map(([roomId, room]) => {
+      const host = Object.values(room.players || {}).find(p => p.isHost);
+      return {
+        id: roomId,
+        hostName: host?.name || 'Host',
+        playerCount: room.playerCount || 0,
+        maxPlayers: room.maxPlayers || MAX_PLAYERS,
+        gameStarted: !!room.gameState?.gameStarted,
+        allowSpectators: room.allowSpectators !== false,
+        clock: clocks.describeClock(getRoomClock(room)),
+        spectatorCount: countSpectators(room),
+        entryFee: room.coin?.entryFee || COIN_ENTRY_FEE,
+        rules: rules.describeRules(room.gameState?.settings),
+        payoutTable: getPayoutTable(
+          room.coin?.entryFee || COIN_ENTRY_FEE,
+          room.gameState?.settings?.teamMode ? 2 : room.maxPlayers || MAX_PLAYERS
+        )
+      };
+    });
+}
+
+// Helper function to generate room code
+function generateRoomCode() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let code = '';
+  for (let i = 0; i < 6; i++) {
+    code += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return code;
+}
+
+function handleConnection(socket) {
+  console.log(socket.remote ? 'Remote client attached:' : 'New client connected:', socket.id);
+  socket.use(([event, payload], next) => {
+    routeRoomEvent(socket, event, payload)
+      .then(forwarded => {
+        if (!forwarded) next();
+      })
+      .catch((err) => {
+        console.error('Room routing error:', err);
+        next();
+      });
+  });
+  const authPlayerUid = getSocketPlayerUid(socket);
+  if (authPlayerUid) {
+    setSocketPlayerUid(socket, authPlayerUid);
+  }
+  if (!socket.remote) {
+    socket.emit('server_time', { serverTime: Date.now() });
+  }
+
+  // Clock sync: clients send their own time and get it back with ours.
+  socket.on('sync_time', (data = {}) => {
+    socket.emit('server_time', {
+      serverTime: Date.now(),
+      clientTime: Number.isFinite(data.clientTime) ? data.clientTime : null
+    });
+  });
+
+  socket.on('reconnect_player', async (data = {}) => {
+    try {
+      const playerUid = getSocketPlayerUid(socket, data);
+      const roomId = (data.roomId || '').toUpperCase();
+      if (!playerUid || !roomId) {
+        socket.emit('reconnect_failed', { message: 'Missing reconnect identity' });
+        return;
+      }
+
+      await initMongo();
+
+      const found = findRoomPlayerByUid(playerUid, roomId);
+      if (!found) {
+        socket.emit('reconnect_failed', { message: 'No reconnect session found' });
+        return;
+      }
+
+      const room = found.room;
+      const oldSocketId = found.socketId;
+      const player = found.player;
+      const disconnectedAt = player?.disconnectedAt ? new Date(player.disconnectedAt).getTime() : null;
+      const now = Date.now();
+      if (disconnectedAt && now - disconnectedAt > RECONNECT_GRACE_MS) {
+        socket.emit('reconnect_failed', { message: 'Reconnect window expired' });
+        return;
+      }
+
+      // Replace socket id everywhere in room state
+      if (oldSocketId !== socket.id) {
+        replacePlayerIdInRoom(room, oldSocketId, socket.id);
+      } else if (room.players[socket.id]) {
+        room.players[socket.id].connected = true;
+        room.players[socket.id].disconnectedAt = null;
+      }
+
+      setSocketPlayerUid(socket, playerUid);
+      socket.data.playerName = room.players[socket.id]?.name || socket.data.playerName;
+      socket.data.playerAvatar = room.players[socket.id]?.avatar || socket.data.playerAvatar;
+
+      removeFromQuickPlayQueue(oldSocketId);
+      removeFromQuickPlayQueue(socket.id);
+      socket.join(roomId);
+      if (room.gameState?.gameStarted) {
+        recordGameEvent(room, 'reconnect', { playerId: socket.id, previousPlayerId: oldSocketId, color: player?.color || null });
+        const myColor = room.players[socket.id]?.color;
+        if (room.gameState.pauseWaivedFor === oldSocketId) {
+          room.gameState.pauseWaivedFor = null;
+        }
+        if (room.gameState.pause?.reason === 'disconnect' && room.gameState.pause.playerColor === myColor) {
+          resumeGame(roomId, 'reconnected');
+        }
+        // A room restored after a restart has no turn clock until someone is back.
+        if (!room.gameState.turnTimer) {
+          startTurnTimer(roomId);
+        }
+      }
+      checkpointRoom(roomId);
+
+      socket.emit('reconnect_success', buildRoomSnapshot(roomId, room, socket.id));
+
+      emitCoinsUpdate(socket.id, playerUid, room).catch((err) => {
+        console.error('Coins update error:', err);
+      });
+
+      socket.to(roomId).emit('player_reconnected', {
+        playerId: socket.id,
+        players: room.players,
+        playerCount: room.playerCount,
+        playerColors: room.gameState?.playerColors || {}
+      });
+
+      console.log(`Player ${room.players[socket.id]?.name || playerUid} reconnected in room ${roomId}`);
+    } catch (error) {
+      console.error('Error reconnecting player:', error);
+      socket.emit('reconnect_failed', { message: 'Failed to reconnect player' });
+    }
+  });
+
+  socket.on('quick_play_join', async (data = {}) => {
+    const playerName = data.playerName || `Player${Math.floor(Math.random() * 1000)}`;
+    const maxPlayers = [2, 4].includes(parseInt(data.maxPlayers, 10)) ? parseInt(data.maxPlayers, 10) : DEFAULT_MAX_PLAYERS;
+    const avatar = data.avatar || null;
+    const playerUid = getSocketPlayerUid(socket, data);
+    const requestedFee = parseInt(data.entryFee, 10);
+    const entryFee = getAllowedEntryFee(Number.isFinite(requestedFee) ? requestedFee : COIN_ENTRY_FEE);
+    socket.data = socket.data || {};
+    socket.data.playerName = playerName;
+    socket.data.playerAvatar = avatar;
+    if (playerUid) {
+      setSocketPlayerUid(socket, playerUid);
+    }
+
+    removeFromQuickPlayQueue(socket.id);
+    await initMongo();
+    await updatePlayerProfile(playerUid, playerName);
+
+    if (!playerUid) {
+      socket.emit('error', { message: 'Missing player identity for coins.' });
+      return;
+    }
+
+    if (playersCollection) {
+      const balance = await getBalance(playerUid);
+      if (balance === null || balance < entryFee) {
         socket.emit('error', { message: `Not enough coins. Entry fee is ${entryFee}.` });
         return;
       }
     }
-
-    const key = `${maxPlayers}_${entryFee}`;
-    const queue = quickPlayQueues[key] || (quickPlayQueues[key] = []);
-    if (!queue.includes(socket.id)) {
-      queue.push(socket.id);
-    }
-
-    console.log(`[QP] ${playerName} (${socket.id}) joined queue ${maxPlayers} fee ${entryFee}. Now ${queue?.length || 0}`);
-    emitQuickPlayQueueUpdate(maxPlayers, entryFee);
-    if (queue.length >= maxPlayers) {
-      createQuickPlayRoom(maxPlayers, entryFee);
-    }
-  });
-
-  socket.on('quick_play_cancel', () => {
-    removeFromQuickPlayQueue(socket.id);
-    COIN_ROOM_FEES.forEach(fee => {
-      emitQuickPlayQueueUpdate(2, fee);
-      emitQuickPlayQueueUpdate(4, fee);
-    });
-  });
-
-  socket.on('no_move_possible', (data) => {
-    const { roomId, playerColor } = data;
-
-    console.log(`[SERVER] Player ${playerColor} has no moves in room ${roomId}`);
-
-    const room = rooms[roomId];
-    if (!room || !room.gameState) {
-      socket.emit('error', { message: 'Room not found' });
-      return;
-    }
-
-    if (!room.gameState.gameStarted) {
-      socket.emit('error', { message: 'Game not started' });
-      return;
-    }
-
-    // Verify it's this player's turn
-    if (room.gameState.currentPlayer !== playerColor) {
-      socket.emit('error', { message: 'Not your turn' });
-      return;
-    }
-
-    console.log(`[SERVER] Turn passed from ${playerColor}`);
-    passTurn(roomId, playerColor);
-  });
-  // Create a new room
-  socket.on('create_room', async (data) => {
-    try {
-      const { playerName, isPublic, avatar } = data;
-      const playerUid = getSocketPlayerUid(socket, data);
-      if (playerUid) {
-        socket.data = socket.data || {};
-        socket.data.playerUid = playerUid;
-        socketToPlayerUid[socket.id] = playerUid;
-      }
-      await initMongo();
-      await updatePlayerProfile(playerUid, playerName);
-      if (!playerUid) {
-        socket.emit('error', { message: 'Missing player identity for coins.' });
-        return;
-      }
-
-      const requestedFee = parseInt(data.entryFee, 10);
-      const entryFee = getAllowedEntryFee(Number.isFinite(requestedFee) ? requestedFee : COIN_ENTRY_FEE);
-      const debit = await debitBalance(playerUid, entryFee);
-      if (!debit.ok) {
-        const message = debit.disabled
-          ? 'Coin system unavailable. Try again later.'
-          : `Not enough coins. Entry fee is ${entryFee}.`;
-        socket.emit('error', { message });
-        return;
-      }
-      socket.emit('coins_updated', {
-        balance: debit.balance,
-        entryFee: entryFee,
-        houseFeePercent: COIN_HOUSE_FEE_PERCENT
-      });
-      const roomId = generateRoomCode();
-      
-      rooms[roomId] = {
-        players: {
-          [socket.id]: {
-            id: socket.id,
-            playerUid: playerUid || null,
-            name: playerName || `Player${Object.keys(rooms).length + 1}`,
-            avatar: avatar || null,
-            isHost: true,
-            ready: true,
-            color: null,
-            connected: true,
-            disconnectedAt: null,
-            joinedAt: new Date().toISOString()
-          }
-        },
-        playerCount: 1,
-        maxPlayers: DEFAULT_MAX_PLAYERS,
-        isPublic: !!isPublic,
-        coin: {
-          entryFee: entryFee,
-          houseFeePercent: COIN_HOUSE_FEE_PERCENT,
-          pool: entryFee,
-          participants: {
-            [playerUid]: true
-          }
-        },
-        gameState: {
-          players: {},
-          playerColors: {},
-          currentPlayer: null,
-          diceValue: 0,
-          gameStarted: false,
-          settings: {},
-          tokens: {
-            r: [-1, -1, -1, -1],
-            g: [-1, -1, -1, -1],
-            y: [-1, -1, -1, -1],
-            b: [-1, -1, -1, -1]
-          }
-        },
-        createdAt: new Date().toISOString()
-      };
-      
-      rooms[roomId].gameState.players[socket.id] = { 
-        name: playerName,
-        ready: true 
-      };
-      
-      socket.join(roomId);
-      
-      socket.emit('room_created', {
-        roomId,
-        players: rooms[roomId].players,
-        playerCount: 1,
-        maxPlayers: rooms[roomId].maxPlayers,
-        isPublic: rooms[roomId].isPublic,
-        isHost: true
-      });
-
-      if (rooms[roomId].isPublic) {
-        io.emit('public_rooms_list', { rooms: buildPublicRoomsList() });
-      }
-      
-      console.log(`Room created: ${roomId} by ${playerName}`);
-    } catch (error) {
-      console.error('Error creating room:', error);
-      socket.emit('error', { message: 'Failed to create room' });
-    }
-  });
-
-  // Join an existing room
-  socket.on('join_room', async (data) => {
+
+    const key = `${maxPlayers}_${entryFee}`;
+    const queue = quickPlayQueues[key] || (quickPlayQueues[key] = []);
+    if (!queue.includes(socket.id)) {
+      queue.push(socket.id);
+    }
+
+    console.log(`[QP] ${playerName} (${socket.id}) joined queue ${maxPlayers} fee ${entryFee}. Now ${queue?.length || 0}`);
+    emitQuickPlayQueueUpdate(maxPlayers, entryFee);
+    scheduleQuickPlayBotFill(maxPlayers, entryFee);
+    if (queue.length >= maxPlayers) {
+      createQuickPlayRoom(maxPlayers, entryFee);
+    }
+  });
+
+  socket.on('quick_play_cancel', () => {
+    removeFromQuickPlayQueue(socket.id);
+    COIN_ROOM_FEES.forEach(fee => {
+      emitQuickPlayQueueUpdate(2, fee);
+      emitQuickPlayQueueUpdate(4, fee);
+    });
+  });
+
+  socket.on('no_move_possible', (data) => {
+    const { roomId, playerColor } = data;
+
+    console.log(`[SERVER] Player ${playerColor} has no moves in room ${roomId}`);
+
+    const room = rooms[roomId];
+    if (!room || !room.gameState) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    if (!room.gameState.gameStarted) {
+      socket.emit('error', { message: 'Game not started' });
+      return;
+    }
+
+    if (room.gameState.pause) {
+      socket.emit('error', { message: 'Game is paused' });
+      return;
+    }
+
+    // Verify it's this player's turn
+    if (room.gameState.currentPlayer !== playerColor || room.gameState.playerColors[playerColor] !== socket.id) {
+      socket.emit('error', { message: 'Not your turn' });
+      return;
+    }
+
+    // Only a roll that left nothing to move can be passed
+    const diceValue = room.gameState.diceValue;
+    if (!diceValue) {
+      socket.emit('error', { message: 'Roll the dice first' });
+      return;
+    }
+    if (rules.getValidMoves(room.gameState, playerColor, diceValue).length > 0) {
+      socket.emit('error', { message: 'You have a valid move' });
+      return;
+    }
+
+    console.log(`[SERVER] Turn passed from ${playerColor}`);
+    clearAfkStrikes(room, playerColor);
+    passTurn(roomId, playerColor);
+  });
+  // Create a new room
+  socket.on('create_room', async (data) => {
+    try {
+      const { playerName, isPublic, avatar } = data;
+      const playerUid = getSocketPlayerUid(socket, data);
+      const ruleCheck = rules.validateRules(data.settings);
+      if (!ruleCheck.ok) {
+        socket.emit('error', { message: ruleCheck.error });
+        return;
+      }
+      const clockCheck = clocks.validateClock(data.clock);
+      if (!clockCheck.ok) {
+        socket.emit('error', { message: clockCheck.error });
+        return;
+      }
+      if (playerUid) {
+        setSocketPlayerUid(socket, playerUid);
+      }
+      await initMongo();
+      await updatePlayerProfile(playerUid, playerName);
+      if (!playerUid) {
+        socket.emit('error', { message: 'Missing player identity for coins.' });
+        return;
+      }
+
+      const requestedFee = parseInt(data.entryFee, 10);
+      const entryFee = getAllowedEntryFee(Number.isFinite(requestedFee) ? requestedFee : COIN_ENTRY_FEE);
+      const roomId = generateRoomCode();
+      const coin = {
+        entryFee: entryFee,
+        houseFeePercent: COIN_HOUSE_FEE_PERCENT,
+        pool: 0,
+        participants: {}
+      };
+      const debit = await escrowEntryFees(roomId, { coin }, [playerUid]);
+      if (!debit.ok) {
+        const message = debit.disabled
+          ? 'Coin system unavailable. Try again later.'
+          : `Not enough coins. Entry fee is ${entryFee}.`;
+        socket.emit('error', { message });
+        return;
+      }
+      socket.emit('coins_updated', {
+        balance: debit.balances[playerUid],
+        entryFee: entryFee,
+        houseFeePercent: COIN_HOUSE_FEE_PERCENT
+      });
+      
+      rooms[roomId] = {
+        players: {
+          [socket.id]: {
+            id: socket.id,
+            playerUid: playerUid || null,
+            name: playerName || `Player${Object.keys(rooms).length + 1}`,
+            avatar: avatar || null,
+            isHost: true,
+            ready: true,
+            color: null,
+            connected: true,
+            disconnectedAt: null,
+            joinedAt: new Date().toISOString()
+          }
+        },
+        playerCount: 1,
+        maxPlayers: DEFAULT_MAX_PLAYERS,
+        isPublic: !!isPublic,
+        allowSpectators: data.allowSpectators !== false,
+        spectators: {},
+        clock: clockCheck.clock,
+        coin,
+        gameState: {
+          players: {},
+          playerColors: {},
+          currentPlayer: null,
+          nextFairSeed: fairness.createCommitment(),
+          diceValue: 0,
+          gameStarted: false,
+          settings: ruleCheck.settings,
+          tokens: {
+            r: [-1, -1, -1, -1],
+            g: [-1, -1, -1, -1],
+            y: [-1, -1, -1, -1],
+            b: [-1, -1, -1, -1]
+          }
+        },
+        createdAt: new Date().toISOString()
+      };
+      
+      rooms[roomId].gameState.players[socket.id] = { 
+        name: playerName,
+        ready: true 
+      };
+      
+      checkpointRoom(roomId);
+      socket.join(roomId);
+      
+      socket.emit('room_created', {
+        roomId,
+        players: rooms[roomId].players,
+        playerCount: 1,
+        maxPlayers: rooms[roomId].maxPlayers,
+        isPublic: rooms[roomId].isPublic,
+        allowSpectators: rooms[roomId].allowSpectators,
+        clock: clocks.describeClock(rooms[roomId].clock),
+        nextServerSeedHash: getNextServerSeedHash(rooms[roomId]),
+        isHost: true
+      });
+
+      if (rooms[roomId].isPublic) {
+        broadcastPublicRooms();
+      }
+      
+      console.log(`Room created: ${roomId} by ${playerName}`);
+    } catch (error) {
+      console.error('Error creating room:', error);
+      socket.emit('error', { message: 'Failed to create room' });
+    }
+  });
+
+  // Join an existing room
+  socket.on('join_room', async (data) => {
+    try {
+      const { roomId, playerName, avatar } = data;
+      const playerUid = getSocketPlayerUid(socket, data);
+      if (playerUid) {
+        setSocketPlayerUid(socket, playerUid);
+      }
+      const roomCode = roomId.toUpperCase();
+      
+      console.log(`Join request for room: ${roomCode} by ${playerName}`);
+      
+      if (!rooms[roomCode]) {
+        socket.emit('error', { message: 'Room not found. Check the code!' });
+        return;
+      }
+
+      await initMongo();
+      await updatePlayerProfile(playerUid, playerName);
+      if (!playerUid) {
+        socket.emit('error', { message: 'Missing player identity for coins.' });
+        return;
+      }
+
+      const table = rooms[roomCode].tournament;
+      if (table && !table.seats.includes(playerUid)) {
+        socket.emit('error', { message: 'This table is reserved for its tournament players' });
+        return;
+      }
+      if (table && Object.values(rooms[roomCode].players).some(p => p.playerUid === playerUid)) {
+        socket.emit('error', { message: 'You are already seated at this table' });
+        return;
+      }
+      if (table && rooms[roomCode].gameState.gameStarted) {
+        socket.emit('error', { message: 'This table has already started' });
+        return;
+      }
+      
+      const roomMax = rooms[roomCode].maxPlayers || MAX_PLAYERS;
+      if (rooms[roomCode].playerCount >= roomMax) {
+        socket.emit('error', { message: `Room is full (${roomMax}/${roomMax} players)` });
+        return;
+      }
+      
+      // Check if player already in room
+      if (rooms[roomCode].players[socket.id]) {
+        socket.emit('error', { message: 'You are already in this room' });
+        return;
+      }
+
+      initRoomCoins(rooms[roomCode]);
+      if (rooms[roomCode]?.coin?.entryFee > 0) {
+        const charge = await chargeEntryFee(roomCode, rooms[roomCode], socket, playerUid);
+        if (!charge.ok) {
+          const message = charge.reason?.includes('unavailable')
+            ? 'Coin system unavailable. Try again later.'
+            : `Not enough coins. Entry fee is ${rooms[roomCode].coin.entryFee}.`;
+          socket.emit('error', { message });
+          return;
+        }
+      }
+
+      // Add player to room
+      rooms[roomCode].players[socket.id] = {
+        id: socket.id,
+        playerUid: playerUid || null,
+        name: playerName || `Player${rooms[roomCode].playerCount + 1}`,
+        avatar: avatar || null,
+        isHost: false,
+        ready: true,
+        color: null,
+        connected: true,
+        disconnectedAt: null,
+        joinedAt: new Date().toISOString()
+      };
+      
+      rooms[roomCode].playerCount++;
+      rooms[roomCode].gameState.players[socket.id] = { 
+        name: playerName,
+        ready: true 
+      };
+      
+      checkpointRoom(roomCode);
+      removeSpectator(roomCode, socket.id);
+      socket.join(roomCode);
+      
+      // Notify the joining player
+      socket.emit('room_joined', {
+        roomId: roomCode,
+        players: rooms[roomCode].players,
+        playerCount: rooms[roomCode].playerCount,
+        playerColors: rooms[roomCode].gameState.playerColors || {},
+        maxPlayers: rooms[roomCode].maxPlayers || MAX_PLAYERS,
+        isPublic: rooms[roomCode].isPublic,
+        nextServerSeedHash: getNextServerSeedHash(rooms[roomCode]),
+        isHost: false
+      });
+      
+      // Notify other players in the room
+      socket.to(roomCode).emit('player_joined', {
+        newPlayerId: socket.id,
+        players: rooms[roomCode].players,
+        playerCount: rooms[roomCode].playerCount,
+        playerColors: rooms[roomCode].gameState.playerColors || {},
+        maxPlayers: rooms[roomCode].maxPlayers || MAX_PLAYERS
+      });
+      
+      console.log(`${playerName} joined room ${roomCode} (${rooms[roomCode].playerCount}/${rooms[roomCode].maxPlayers || MAX_PLAYERS} players)`);
+      if (table) {
+        await startTournamentTable(roomCode);
+      }
+    } catch (error) {
+      console.error('Error joining room:', error);
+      socket.emit('error', { message: 'Failed to join room' });
+    }
+  });
+
+  // Select color
+  socket.on('select_color', (data) => {
+    try {
+      const { roomId, color } = data;
+      const room = rooms[roomId];
+      
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+      
+      if (room.gameStarted) {
+        socket.emit('error', { message: 'Game already started' });
+        return;
+      }
+
+      if ((room.maxPlayers || MAX_PLAYERS) === 2) {
+        const selectedColors = Object.keys(room.gameState.playerColors || {});
+        if (selectedColors.length === 1) {
+          const required = rules.getPairedColor(selectedColors[0]);
+          if (color !== required) {
+            socket.emit('error', { message: `Only ${required.toUpperCase()} is available in 2-player mode` });
+            return;
+          }
+        }
+      }
+      
+      // Check if color is already taken
+      if (room.gameState.playerColors[color] && room.gameState.playerColors[color] !== socket.id) {
+        socket.emit('error', { message: `${color.toUpperCase()} is already taken!` });
+        return;
+      }
+      
+      // Remove player from previous color if any
+      Object.keys(room.gameState.playerColors).forEach(c => {
+        if (room.gameState.playerColors[c] === socket.id) {
+          delete room.gameState.playerColors[c];
+        }
+      });
+      
+      // Assign new color
+      room.gameState.playerColors[color] = socket.id;
+      room.players[socket.id].color = color;
+      
+      // Broadcast to all in room
+      io.to(roomId).emit('color_selected', {
+        playerId: socket.id,
+        color: color,
+        players: room.players,
+        playerColors: room.gameState.playerColors
+      });
+      
+      checkpointRoom(roomId);
+      console.log(`${room.players[socket.id].name} selected ${color} in room ${roomId}`);
+    } catch (error) {
+      console.error('Error selecting color:', error);
+      socket.emit('error', { message: 'Failed to select color' });
+    }
+  });
+
+  // Make room public
+  socket.on('make_public', (data) => {
+    try {
+      const { roomId } = data;
+      const room = rooms[roomId];
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      const host = Object.values(room.players).find(p => p.isHost);
+      if (!host || host.id !== socket.id) {
+        socket.emit('error', { message: 'Only host can make room public' });
+        return;
+      }
+
+      room.isPublic = true;
+      checkpointRoom(roomId);
+      socket.emit('room_public', { roomId });
+      broadcastPublicRooms();
+    } catch (error) {
+      console.error('Error making room public:', error);
+      socket.emit('error', { message: 'Failed to make room public' });
+    }
+  });
+
+  // Toggle public/private (host only)
+  socket.on('set_public', (data) => {
+    try {
+      const { roomId, isPublic } = data;
+      const room = rooms[roomId];
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      const host = Object.values(room.players).find(p => p.isHost);
+      if (!host || host.id !== socket.id) {
+        socket.emit('error', { message: 'Only host can change room visibility' });
+        return;
+      }
+
+      if (room.gameState?.gameStarted) {
+        socket.emit('error', { message: 'Game already started' });
+        return;
+      }
+
+      room.isPublic = !!isPublic;
+      checkpointRoom(roomId);
+      io.to(roomId).emit('room_updated', {
+        roomId,
+        playerCount: room.playerCount,
+        maxPlayers: room.maxPlayers || MAX_PLAYERS,
+        isPublic: room.isPublic
+      });
+
+      broadcastPublicRooms();
+    } catch (error) {
+      console.error('Error setting room public:', error);
+      socket.emit('error', { message: 'Failed to update room visibility' });
+    }
+  });
+
+  // Set max players (host only)
+  socket.on('set_max_players', (data) => {
+    try {
+      const { roomId, maxPlayers } = data;
+      const room = rooms[roomId];
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      const host = Object.values(room.players).find(p => p.isHost);
+      if (!host || host.id !== socket.id) {
+        socket.emit('error', { message: 'Only host can change max players' });
+        return;
+      }
+
+      if (room.gameState?.gameStarted) {
+        socket.emit('error', { message: 'Game already started' });
+        return;
+      }
+
+      const nextMax = parseInt(maxPlayers, 10);
+      if (![2, 4].includes(nextMax)) {
+        socket.emit('error', { message: 'Invalid max players' });
+        return;
+      }
+
+      if (room.playerCount > nextMax) {
+        socket.emit('error', { message: `Too many players for ${nextMax}-player room` });
+        return;
+      }
+
+      if (nextMax !== 4 && room.gameState?.settings?.teamMode) {
+        socket.emit('error', { message: 'Team mode needs a 4-player room' });
+        return;
+      }
+
+      room.maxPlayers = nextMax;
+      checkpointRoom(roomId);
+      io.to(roomId).emit('room_updated', {
+        roomId,
+        playerCount: room.playerCount,
+        maxPlayers: room.maxPlayers
+      });
+
+      if (room.isPublic) {
+        broadcastPublicRooms();
+      }
+    } catch (error) {
+      console.error('Error setting max players:', error);
+      socket.emit('error', { message: 'Failed to set max players' });
+    }
+  });
+
+  // Add a bot to a room (host only, before the game starts). Bots never take
+  // a share of the prize; see splitPrizePool.
+  socket.on('add_bot', (data) => {
+    try {
+      const { roomId, difficulty } = data;
+      const room = rooms[roomId];
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      const host = Object.values(room.players).find(p => p.isHost);
+      if (!host || host.id !== socket.id) {
+        socket.emit('error', { message: 'Only host can add bots' });
+        return;
+      }
+
+      if (room.gameState?.gameStarted) {
+        socket.emit('error', { message: 'Game already started' });
+        return;
+      }
+
+      const roomMax = room.maxPlayers || MAX_PLAYERS;
+      if (room.playerCount >= roomMax) {
+        socket.emit('error', { message: `Room is full (${roomMax}/${roomMax} players)` });
+        return;
+      }
+
+      const bot = addBotToRoom(room, difficulty);
+      checkpointRoom(roomId);
+      io.to(roomId).emit('player_joined', {
+        newPlayerId: bot.id,
+        players: room.players,
+        playerCount: room.playerCount,
+        playerColors: room.gameState.playerColors || {},
+        maxPlayers: roomMax
+      });
+
+      if (room.isPublic) {
+        broadcastPublicRooms();
+      }
+      console.log(`${bot.name} (${bot.difficulty}) added to room ${roomId}`);
+    } catch (error) {
+      console.error('Error adding bot:', error);
+      socket.emit('error', { message: 'Failed to add bot' });
+    }
+  });
+
+  // Remove a bot (host only, before the game starts)
+  socket.on('remove_bot', (data) => {
+    try {
+      const { roomId, botId } = data;
+      const room = rooms[roomId];
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      const host = Object.values(room.players).find(p => p.isHost);
+      if (!host || host.id !== socket.id) {
+        socket.emit('error', { message: 'Only host can remove bots' });
+        return;
+      }
+
+      if (room.gameState?.gameStarted) {
+        socket.emit('error', { message: 'Game already started' });
+        return;
+      }
+
+      if (!isBotPlayer(room, botId)) {
+        socket.emit('error', { message: 'Bot not found' });
+        return;
+      }
+
+      removePlayerFromRoom(roomId, botId, 'bot_removed').catch((err) => {
+        console.error('Remove player error:', err);
+      });
+      if (room.isPublic) {
+        broadcastPublicRooms();
+      }
+    } catch (error) {
+      console.error('Error removing bot:', error);
+      socket.emit('error', { message: 'Failed to remove bot' });
+    }
+  });
+
+  // Watch a room without taking a seat
+  socket.on('spectate_room', (data = {}) => {
     try {
-      const { roomId, playerName, avatar } = data;
-      const playerUid = getSocketPlayerUid(socket, data);
-      if (playerUid) {
-        socket.data = socket.data || {};
-        socket.data.playerUid = playerUid;
-        socketToPlayerUid[socket.id] = playerUid;
-      }
-      const roomCode = roomId.toUpperCase();
-      
-      console.log(`Join request for room: ${roomCode} by ${playerName}`);
-      
-      if (!rooms[roomCode]) {
-        socket.emit('error', { message: 'Room not found. Check the code!' });
-        return;
-      }
-
-      await initMongo();
-      await updatePlayerProfile(playerUid, playerName);
-      if (!playerUid) {
-        socket.emit('error', { message: 'Missing player identity for coins.' });
+      const roomId = String(data.roomId || '').toUpperCase();
+      const room = rooms[roomId];
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
         return;
       }
-      
-      const roomMax = rooms[roomCode].maxPlayers || MAX_PLAYERS;
-      if (rooms[roomCode].playerCount >= roomMax) {
-        socket.emit('error', { message: `Room is full (${roomMax}/${roomMax} players)` });
-        return;
-      }
-      
-      // Check if player already in room
-      if (rooms[roomCode].players[socket.id]) {
-        socket.emit('error', { message: 'You are already in this room' });
+
+      if (room.allowSpectators === false) {
+        socket.emit('error', { message: 'Spectating is turned off for this room' });
         return;
       }
 
-      initRoomCoins(rooms[roomCode]);
-      if (rooms[roomCode]?.coin?.entryFee > 0) {
-        const charge = await chargeEntryFee(rooms[roomCode], socket, playerUid);
-        if (!charge.ok) {
-          const message = charge.reason?.includes('unavailable')
-            ? 'Coin system unavailable. Try again later.'
-            : `Not enough coins. Entry fee is ${rooms[roomCode].coin.entryFee}.`;
-          socket.emit('error', { message });
-          return;
-        }
+      if (room.players[socket.id]) {
+        socket.emit('error', { message: 'You are already playing in this room' });
+        return;
       }
 
-      // Add player to room
-      rooms[roomCode].players[socket.id] = {
+      room.spectators = room.spectators || {};
+      room.spectators[socket.id] = {
         id: socket.id,
-        playerUid: playerUid || null,
-        name: playerName || `Player${rooms[roomCode].playerCount + 1}`,
-        avatar: avatar || null,
-        isHost: false,
-        ready: true,
-        color: null,
-        connected: true,
-        disconnectedAt: null,
-        joinedAt: new Date().toISOString()
-      };
-      
-      rooms[roomCode].playerCount++;
-      rooms[roomCode].gameState.players[socket.id] = { 
-        name: playerName,
-        ready: true 
-      };
-      
-      socket.join(roomCode);
-      
-      // Notify the joining player
-      socket.emit('room_joined', {
-        roomId: roomCode,
-        players: rooms[roomCode].players,
-        playerCount: rooms[roomCode].playerCount,
-        playerColors: rooms[roomCode].gameState.playerColors || {},
-        maxPlayers: rooms[roomCode].maxPlayers || MAX_PLAYERS,
-        isPublic: rooms[roomCode].isPublic,
-        isHost: false
-      });
-      
-      // Notify other players in the room
-      socket.to(roomCode).emit('player_joined', {
-        newPlayerId: socket.id,
-        players: rooms[roomCode].players,
-        playerCount: rooms[roomCode].playerCount,
-        playerColors: rooms[roomCode].gameState.playerColors || {},
-        maxPlayers: rooms[roomCode].maxPlayers || MAX_PLAYERS
-      });
-      
-      console.log(`${playerName} joined room ${roomCode} (${rooms[roomCode].playerCount}/${rooms[roomCode].maxPlayers || MAX_PLAYERS} players)`);
-    } catch (error) {
-      console.error('Error joining room:', error);
-      socket.emit('error', { message: 'Failed to join room' });
-    }
-  });
-
-  // Select color
-  socket.on('select_color', (data) => {
-    try {
-      const { roomId, color } = data;
-      const room = rooms[roomId];
-      
-      if (!room) {
-        socket.emit('error', { message: 'Room not found' });
-        return;
-      }
-      
-      if (room.gameStarted) {
-        socket.emit('error', { message: 'Game already started' });
-        return;
-      }
-
-      if ((room.maxPlayers || MAX_PLAYERS) === 2) {
-        const selectedColors = Object.keys(room.gameState.playerColors || {});
-        if (selectedColors.length === 1) {
-          const required = getPairedColor(selectedColors[0]);
-          if (color !== required) {
-            socket.emit('error', { message: `Only ${required.toUpperCase()} is available in 2-player mode` });
-            return;
-          }
-        }
-      }
-      
-      // Check if color is already taken
-      if (room.gameState.playerColors[color] && room.gameState.playerColors[color] !== socket.id) {
-        socket.emit('error', { message: `${color.toUpperCase()} is already taken!` });
-        return;
-      }
-      
-      // Remove player from previous color if any
-      Object.keys(room.gameState.playerColors).forEach(c => {
-        if (room.gameState.playerColors[c] === socket.id) {
-          delete room.gameState.playerColors[c];
-        }
-      });
-      
-      // Assign new color
-      room.gameState.playerColors[color] = socket.id;
-      room.players[socket.id].color = color;
-      
-      // Broadcast to all in room
-      io.to(roomId).emit('color_selected', {
-        playerId: socket.id,
-        color: color,
-        players: room.players,
-        playerColors: room.gameState.playerColors
-      });
-      
-      console.log(`${room.players[socket.id].name} selected ${color} in room ${roomId}`);
-    } catch (error) {
-      console.error('Error selecting color:', error);
-      socket.emit('error', { message: 'Failed to select color' });
-    }
-  });
-
-  // Make room public
-  socket.on('make_public', (data) => {
-    try {
-      const { roomId } = data;
-      const room = rooms[roomId];
-
-      if (!room) {
-        socket.emit('error', { message: 'Room not found' });
-        return;
-      }
-
-      const host = Object.values(room.players).find(p => p.isHost);
-      if (!host || host.id !== socket.id) {
-        socket.emit('error', { message: 'Only host can make room public' });
-        return;
-      }
-
-      room.isPublic = true;
-      socket.emit('room_public', { roomId });
-      io.emit('public_rooms_list', { rooms: buildPublicRoomsList() });
-    } catch (error) {
-      console.error('Error making room public:', error);
-      socket.emit('error', { message: 'Failed to make room public' });
-    }
-  });
-
-  // Toggle public/private (host only)
-  socket.on('set_public', (data) => {
-    try {
-      const { roomId, isPublic } = data;
-      const room = rooms[roomId];
-
-      if (!room) {
-        socket.emit('error', { message: 'Room not found' });
-        return;
-      }
-
-      const host = Object.values(room.players).find(p => p.isHost);
-      if (!host || host.id !== socket.id) {
-        socket.emit('error', { message: 'Only host can change room visibility' });
-        return;
-      }
-
-      if (room.gameState?.gameStarted) {
-        socket.emit('error', { message: 'Game already started' });
-        return;
-      }
-
-      room.isPublic = !!isPublic;
-      io.to(roomId).emit('room_updated', {
-        roomId,
-        playerCount: room.playerCount,
-        maxPlayers: room.maxPlayers || MAX_PLAYERS,
-        isPublic: room.isPublic
-      });
-
-      io.emit('public_rooms_list', { rooms: buildPublicRoomsList() });
-    } catch (error) {
-      console.error('Error setting room public:', error);
-      socket.emit('error', { message: 'Failed to update room visibility' });
-    }
-  });
-
-  // Set max players (host only)
-  socket.on('set_max_players', (data) => {
-    try {
-      const { roomId, maxPlayers } = data;
-      const room = rooms[roomId];
-
-      if (!room) {
-        socket.emit('error', { message: 'Room not found' });
-        return;
-      }
-
-      const host = Object.values(room.players).find(p => p.isHost);
-      if (!host || host.id !== socket.id) {
-        socket.emit('error', { message: 'Only host can change max players' });
-        return;
-      }
-
-      if (room.gameState?.gameStarted) {
-        socket.emit('error', { message: 'Game already started' });
-        return;
-      }
-
-      const nextMax = parseInt(maxPlayers, 10);
-      if (![2, 4].includes(nextMax)) {
-        socket.emit('error', { message: 'Invalid max players' });
-        return;
-      }
-
-      if (room.playerCount > nextMax) {
-        socket.emit('error', { message: `Too many players for ${nextMax}-player room` });
-        return;
-      }
-
-      room.maxPlayers = nextMax;
-      io.to(roomId).emit('room_updated', {
-        roomId,
-        playerCount: room.playerCount,
-        maxPlayers: room.maxPlayers
-      });
-
-      if (room.isPublic) {
-        io.emit('public_rooms_list', { rooms: buildPublicRoomsList() });
-      }
-    } catch (error) {
-      console.error('Error setting max players:', error);
-      socket.emit('error', { message: 'Failed to set max players' });
-    }
-  });
-
-  // Get public rooms
-  socket.on('get_public_rooms', () => {
-    try {
-      socket.emit('public_rooms_list', { rooms: buildPublicRoomsList() });
-    } catch (error) {
-      console.error('Error getting public rooms:', error);
-      socket.emit('error', { message: 'Failed to get public rooms' });
-    }
-  });
-
-  // Start game
+        name: data.playerName || socket.data?.playerName || 'Spectator',
+        joinedAt: new Date().toISOString()
+      };
+      socket.join(getSpectatorChannel(roomId));
+
+      socket.emit('spectate_success', {
+        ...buildRoomSnapshot(roomId, room, socket.id),
+        spectating: true,
+        spectatorCount: countSpectators(room)
+      });
+      io.to(roomId).emit('spectators_updated', { roomId, spectatorCount: countSpectators(room) });
+
+      console.log(`${room.spectators[socket.id].name} is spectating room ${roomId}`);
+    } catch (error) {
+      console.error('Error spectating room:', error);
+      socket.emit('error', { message: 'Failed to spectate room' });
+    }
+  });
+
+  socket.on('leave_spectate', (data = {}) => {
+    try {
+      const roomId = String(data.roomId || '').toUpperCase();
+      removeSpectator(roomId, socket.id);
+    } catch (error) {
+      console.error('Error leaving spectate:', error);
+    }
+  });
+
+  // Turn spectating on or off (host only)
+  socket.on('set_spectating', (data = {}) => {
+    try {
+      const { roomId, allowSpectators } = data;
+      const room = rooms[roomId];
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      const host = Object.values(room.players).find(p => p.isHost);
+      if (!host || host.id !== socket.id) {
+        socket.emit('error', { message: 'Only host can change spectating' });
+        return;
+      }
+
+      room.allowSpectators = !!allowSpectators;
+      checkpointRoom(roomId);
+      if (!room.allowSpectators) {
+        endSpectating(roomId, 'disabled_by_host');
+      }
+      io.to(roomId).emit('spectating_updated', {
+        roomId,
+        allowSpectators: room.allowSpectators,
+        spectatorCount: countSpectators(room)
+      });
+
+      if (room.isPublic) {
+        broadcastPublicRooms();
+      }
+    } catch (error) {
+      console.error('Error setting spectating:', error);
+      socket.emit('error', { message: 'Failed to change spectating' });
+    }
+  });
+
+  // Ask the other players to pause or resume a private match
+  socket.on('request_pause', (data = {}) => {
+    try {
+      const { roomId } = data;
+      const room = rooms[roomId];
+
+      if (!room || !room.players[socket.id]) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      if (!room.gameState.gameStarted) {
+        socket.emit('error', { message: 'Game not started' });
+        return;
+      }
+
+      if (!room.pausable) {
+        socket.emit('error', { message: 'Pausing is only available in private games' });
+        return;
+      }
+
+      if (room.gameState.pause) {
+        socket.emit('error', { message: 'Game is already paused' });
+        return;
+      }
+
+      if (getPauseBudgetLeft(room) <= 0) {
+        socket.emit('error', { message: 'No pause time left in this match' });
+        return;
+      }
+
+      if (room.gameState.pauseVote) {
+        socket.emit('error', { message: 'A vote is already in progress' });
+        return;
+      }
+
+      startPauseVote(roomId, 'pause', socket.id);
+    } catch (error) {
+      console.error('Error requesting pause:', error);
+      socket.emit('error', { message: 'Failed to request pause' });
+    }
+  });
+
+  socket.on('request_resume', (data = {}) => {
+    try {
+      const { roomId } = data;
+      const room = rooms[roomId];
+
+      if (!room || !room.players[socket.id]) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      if (!room.gameState.pause) {
+        socket.emit('error', { message: 'Game is not paused' });
+        return;
+      }
+
+      if (room.gameState.pauseVote) {
+        socket.emit('error', { message: 'A vote is already in progress' });
+        return;
+      }
+
+      startPauseVote(roomId, 'resume', socket.id);
+    } catch (error) {
+      console.error('Error requesting resume:', error);
+      socket.emit('error', { message: 'Failed to request resume' });
+    }
+  });
+
+  socket.on('pause_vote', (data = {}) => {
+    try {
+      const { roomId, accept } = data;
+      const room = rooms[roomId];
+      const vote = room?.gameState?.pauseVote;
+
+      if (!vote) {
+        socket.emit('error', { message: 'No vote in progress' });
+        return;
+      }
+
+      if (!vote.voters.includes(socket.id) || vote.accepted.includes(socket.id)) {
+        socket.emit('error', { message: 'You cannot vote on this request' });
+        return;
+      }
+
+      if (!accept) {
+        endPauseVote(roomId, false, 'rejected');
+        return;
+      }
+
+      vote.accepted.push(socket.id);
+      if (vote.accepted.length === vote.voters.length) {
+        endPauseVote(roomId, true, 'accepted');
+        return;
+      }
+      toRoomAndSpectators(roomId).emit('pause_vote_updated', {
+        type: vote.type,
+        accepted: vote.accepted,
+        voters: vote.voters
+      });
+    } catch (error) {
+      console.error('Error voting on pause:', error);
+      socket.emit('error', { message: 'Failed to vote' });
+    }
+  });
+
+  // Set turn length and time bank (host only, before the game starts)
+  socket.on('set_room_clock', (data = {}) => {
+    try {
+      const { roomId } = data;
+      const room = rooms[roomId];
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      const host = Object.values(room.players).find(p => p.isHost);
+      if (!host || host.id !== socket.id) {
+        socket.emit('error', { message: 'Only host can change the turn clock' });
+        return;
+      }
+
+      if (room.gameState?.gameStarted) {
+        socket.emit('error', { message: 'Game already started' });
+        return;
+      }
+
+      const clockCheck = clocks.validateClock(data.clock, getRoomClock(room));
+      if (!clockCheck.ok) {
+        socket.emit('error', { message: clockCheck.error });
+        return;
+      }
+
+      room.clock = clockCheck.clock;
+      checkpointRoom(roomId);
+      io.to(roomId).emit('room_clock_updated', {
+        roomId,
+        clock: clocks.describeClock(room.clock)
+      });
+
+      if (room.isPublic) {
+        broadcastPublicRooms();
+      }
+    } catch (error) {
+      console.error('Error setting turn clock:', error);
+      socket.emit('error', { message: 'Failed to set turn clock' });
+    }
+  });
+
+  // Set house rules (host only, before the game starts)
+  socket.on('set_room_rules', (data) => {
+    try {
+      const { roomId, settings } = data;
+      const room = rooms[roomId];
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      const host = Object.values(room.players).find(p => p.isHost);
+      if (!host || host.id !== socket.id) {
+        socket.emit('error', { message: 'Only host can change house rules' });
+        return;
+      }
+
+      if (room.gameState?.gameStarted) {
+        socket.emit('error', { message: 'Game already started' });
+        return;
+      }
+
+      const ruleCheck = rules.validateRules(settings);
+      if (!ruleCheck.ok) {
+        socket.emit('error', { message: ruleCheck.error });
+        return;
+      }
+
+      if (ruleCheck.settings.teamMode && (room.maxPlayers || MAX_PLAYERS) !== 4) {
+        socket.emit('error', { message: 'Team mode needs a 4-player room' });
+        return;
+      }
+
+      room.gameState.settings = ruleCheck.settings;
+      checkpointRoom(roomId);
+      io.to(roomId).emit('room_rules_updated', {
+        roomId,
+        settings: room.gameState.settings,
+        rules: rules.describeRules(room.gameState.settings)
+      });
+
+      if (room.isPublic) {
+        broadcastPublicRooms();
+      }
+    } catch (error) {
+      console.error('Error setting house rules:', error);
+      socket.emit('error', { message: 'Failed to set house rules' });
+    }
+  });
+
+  // Get public rooms
+  socket.on('get_public_rooms', () => {
+    try {
+      socket.emit('public_rooms_list', { rooms: buildPublicRoomsList() });
+    } catch (error) {
+      console.error('Error getting public rooms:', error);
+      socket.emit('error', { message: 'Failed to get public rooms' });
+    }
+  });
+
+  // Start game
   socket.on('start_game', async (data) => {
-    try {
-      const { roomId, settings } = data;
-      const room = rooms[roomId];
-      
-      if (!room) {
-        socket.emit('error', { message: 'Room not found' });
-        return;
-      }
-      
-      // Check if host
-      const host = Object.values(room.players).find(p => p.isHost);
-      if (!host || host.id !== socket.id) {
-        socket.emit('error', { message: 'Only host can start the game' });
-        return;
-      }
-      
-      // Ensure at least 2 players
-      if (room.playerCount < 2) {
-        socket.emit('error', { message: 'Need at least 2 players to start' });
+    try {
+      const { roomId, settings } = data;
+      const room = rooms[roomId];
+      
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+      
+      // Check if host
+      const host = Object.values(room.players).find(p => p.isHost);
+      if (!host || host.id !== socket.id) {
+        socket.emit('error', { message: 'Only host can start the game' });
+        return;
+      }
+      
+      const started = await startRoomGame(roomId, room, settings);
+      if (!started.ok) {
+        socket.emit('error', { message: started.error });
         return;
       }
+    } catch (error) {
+      console.error('Error starting game:', error);
+      socket.emit('error', { message: 'Failed to start game' });
+    }
+  });
 
-      await initMongo();
-      const matchCharge = await chargeEntryFeesForMatch(room, io.sockets.sockets);
-      if (!matchCharge.ok) {
-        socket.emit('error', { message: matchCharge.reason || `Not enough coins. Entry fee is ${COIN_ENTRY_FEE}.` });
-        return;
-      }
-
-      // Auto-assign colors if some players haven't selected yet
-      const colors = ['r', 'g', 'y', 'b'];
-      const selectedColors = Object.keys(room.gameState.playerColors || {});
-      const usedColors = new Set(selectedColors);
-      const playersWithoutColors = Object.values(room.players).filter(p => !p.color);
-
-      if (playersWithoutColors.length > 0) {
-        for (const player of playersWithoutColors) {
-          let freeColor = colors.find(c => !usedColors.has(c));
-
-          if ((room.maxPlayers || MAX_PLAYERS) === 2 && usedColors.size === 1) {
-            const existing = Array.from(usedColors)[0];
-            const paired = getPairedColor(existing);
-            if (paired && !usedColors.has(paired)) {
-              freeColor = paired;
-            }
-          }
-
-          if (!freeColor) {
-            socket.emit('error', { message: 'No available colors to assign' });
-            return;
-          }
-          usedColors.add(freeColor);
-          player.color = freeColor;
-          room.gameState.playerColors[freeColor] = player.id;
-        }
-      }
-
-      const finalSelectedColors = Object.keys(room.gameState.playerColors);
-      if (finalSelectedColors.length < 2) {
-        socket.emit('error', { message: 'Need at least 2 players to start' });
-        return;
-      }
-      
-      // Set game state
-      room.gameState.gameStarted = true;
-      room.isPublic = false;
-      room.gameState.settings = settings || {};
-      room.gameState.cutStatus = { r: false, g: false, y: false, b: false };
-      room.gameState.currentPlayer = finalSelectedColors[0];
-      room.gameState.diceValue = 0;
-      
-      // Reset tokens for all playing colors
-      finalSelectedColors.forEach(color => {
-        room.gameState.tokens[color] = [-1, -1, -1, -1];
-      });
-      
-      // Broadcast game start
-      io.to(roomId).emit('game_started', {
-        settings: room.gameState.settings,
-        playerColors: room.gameState.playerColors,
-        currentPlayer: room.gameState.currentPlayer,
-        tokens: room.gameState.tokens
-      });
-      
-      // Notify first player's turn
-      const firstPlayerId = room.gameState.playerColors[room.gameState.currentPlayer];
-      io.to(roomId).emit('player_turn', {
-        color: room.gameState.currentPlayer,
-        playerId: firstPlayerId,
-        playerName: room.players[firstPlayerId]?.name || 'Player'
-      });
-      startTurnTimer(roomId);
-      
-      console.log(`Game started in room ${roomId} with ${finalSelectedColors.length} players`);
-    } catch (error) {
-      console.error('Error starting game:', error);
-      socket.emit('error', { message: 'Failed to start game' });
-    }
-  });
-
-  // Restart game (host only)
+  // Restart game (host only)
   socket.on('restart_game', async (data) => {
-    try {
-      const { roomId } = data;
-      const room = rooms[roomId];
-
-      if (!room) {
-        socket.emit('error', { message: 'Room not found' });
-        return;
-      }
-
-      const host = Object.values(room.players).find(p => p.isHost);
-      if (!host || host.id !== socket.id) {
-        socket.emit('error', { message: 'Only host can restart the game' });
-        return;
-      }
-
-      const selectedColors = Object.keys(room.gameState.playerColors);
-      if (selectedColors.length < 2) {
-        socket.emit('error', { message: 'Need at least 2 players to restart' });
+    try {
+      const { roomId } = data;
+      const room = rooms[roomId];
+
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      const host = Object.values(room.players).find(p => p.isHost);
+      if (!host || host.id !== socket.id) {
+        socket.emit('error', { message: 'Only host can restart the game' });
+        return;
+      }
+
+      // Same checks and setup as a first start, with the settings already chosen
+      const restarted = await startRoomGame(roomId, room);
+      if (!restarted.ok) {
+        socket.emit('error', { message: restarted.error });
+        return;
+      }
+      console.log(`Game restarted in room ${roomId}`);
+    } catch (error) {
+      console.error('Error restarting game:', error);
+      socket.emit('error', { message: 'Failed to restart game' });
+    }
+  });
+
+  // Client seed for provably fair dice (used from the next game start)
+  socket.on('set_client_seed', (data = {}) => {
+    try {
+      const { roomId } = data;
+      const room = rooms[roomId];
+      const clientSeed = String(data.clientSeed || '').trim().slice(0, 64);
+
+      if (!room || !room.players[socket.id]) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      if (!clientSeed) {
+        socket.emit('error', { message: 'Missing client seed' });
+        return;
+      }
+
+      room.players[socket.id].clientSeed = clientSeed;
+      checkpointRoom(roomId);
+      socket.emit('client_seed_set', {
+        roomId,
+        clientSeed,
+        appliesFromNextGame: !!room.gameState?.gameStarted,
+        nextServerSeedHash: getNextServerSeedHash(room)
+      });
+    } catch (error) {
+      console.error('Error setting client seed:', error);
+      socket.emit('error', { message: 'Failed to set client seed' });
+    }
+  });
+
+  // Roll dice
+  socket.on('roll_dice', async (data) => {
+    try {
+      const { roomId } = data;
+      const room = rooms[roomId];
+      
+      if (!room || !room.gameState.gameStarted) {
+        socket.emit('error', { message: 'Game not started' });
+        return;
+      }
+
+      if (room.gameState.pause) {
+        socket.emit('error', { message: 'Game is paused' });
         return;
       }
+      
+      // Check if it's this player's turn
+      const currentColor = room.gameState.currentPlayer;
+      const currentPlayerId = room.gameState.playerColors[currentColor];
+      
+      if (currentPlayerId !== socket.id) {
+        socket.emit('error', { message: 'Not your turn!' });
+        return;
+      }
+      
+      // Provably fair roll (1-6)
+      const rolled = await rollDiceForTurn(roomId, currentColor, socket.id);
+      if (!rolled.ok) {
+        socket.emit('error', { message: rolled.error });
+        return;
+      }
+      clearAfkStrikes(room, currentColor);
+      // Keep a clock on the move too, so rolling and walking away can't stall the game
+      if (room.gameState.currentPlayer === currentColor && room.gameState.diceValue !== 0) {
+        startTurnTimer(roomId);
+      }
+      
+      console.log(`${room.players[socket.id]?.name} rolled ${room.gameState.diceValue} in room ${roomId}`);
+    } catch (error) {
+      console.error('Error rolling dice:', error);
+      socket.emit('error', { message: 'Failed to roll dice' });
+    }
+  });
+
+  // Move token
+  socket.on('move_token', async (data) => {
+    try {
+      const { roomId, color, tokenIndex, diceValue } = data;
+      const room = rooms[roomId];
+      
+      if (!room || !room.gameState.gameStarted) {
+        socket.emit('error', { message: 'Game not started' });
+        return;
+      }
+
+      if (room.gameState.pause) {
+        socket.emit('error', { message: 'Game is paused' });
+        return;
+      }
+      
+      // Check if it's this player's turn, and that the color is theirs:
+      // spectators and opponents have no say over it
+      if (room.gameState.currentPlayer !== color || room.gameState.playerColors[color] !== socket.id) {
+        socket.emit('error', { message: 'Not your turn!' });
+        return;
+      }
+      
+      // Check if dice value matches
+      if (room.gameState.diceValue !== diceValue) {
+        socket.emit('error', { message: 'Invalid dice value' });
+        return;
+      }
+      
+      const moved = await applyMove(roomId, color, tokenIndex, diceValue, socket.id);
+      // A rejected move doesn't count as activity
+      if (!moved?.ok) return;
+      clearAfkStrikes(room, color);
+      console.log(`${room.players[socket.id]?.name} moved ${color} token ${tokenIndex}`);
+    } catch (error) {
+      console.error('Error moving token:', error);
+      socket.emit('error', { message: 'Failed to move token' });
+    }
+  });
+
+  // Give up the current game but stay in the room
+  socket.on('resign', async (data = {}) => {
+    try {
+      const { roomId } = data;
+      const room = rooms[roomId];
+
+      if (!room || !room.players[socket.id]) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      if (!room.gameState.gameStarted) {
+        socket.emit('error', { message: 'Game not started' });
+        return;
+      }
+
+      const color = Object.keys(room.gameState.playerColors)
+        .find(c => room.gameState.playerColors[c] === socket.id);
+      if (!color || rules.isOut(room.gameState, color)) {
+        socket.emit('error', { message: 'You are not playing in this game' });
+        return;
+      }
+
+      const result = await forfeitColor(roomId, color, 'resign');
+      if (!result.ok) {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (error) {
+      console.error('Error resigning:', error);
+      socket.emit('error', { message: 'Failed to resign' });
+    }
+  });
 
+  // Leave room
+  socket.on('leave_room', async (data) => {
+    try {
+      const { roomId } = data;
+      await removePlayerFromRoom(roomId, socket.id, "left");
+      
+      socket.leave(roomId);
+    } catch (error) {
+      console.error('Error leaving room:', error);
+    }
+  });
+
+  // Handle disconnection
+  socket.on('disconnect', () => {
+    console.log('Client disconnected:', socket.id);
+    removeFromQuickPlayQueue(socket.id);
+    COIN_ROOM_FEES.forEach(fee => {
+      emitQuickPlayQueueUpdate(2, fee);
+      emitQuickPlayQueueUpdate(4, fee);
+    });
+
+    // Mark disconnected; keep room spot for grace period.
+    Object.keys(rooms).forEach(roomId => {
+      const room = rooms[roomId];
+      removeSpectator(roomId, socket.id);
+      const p = room?.players?.[socket.id];
+      if (!p) return;
+      p.connected = false;
+      p.disconnectedAt = new Date().toISOString();
+      checkpointRoom(roomId);
+      if (room.gameState?.gameStarted) {
+        recordGameEvent(room, 'disconnect', { playerId: socket.id, color: p.color || null });
+        if (room.gameState.playerColors[room.gameState.currentPlayer] === socket.id && shouldAutoPause(room)) {
+          pauseGame(roomId, 'disconnect', { playerColor: room.gameState.currentPlayer, playerId: socket.id });
+        }
+      }
+      io.to(roomId).emit('player_disconnected', {
+        playerId: socket.id,
+        playerName: p.name || 'Player',
+        players: room.players,
+        playerCount: room.playerCount,
+        playerColors: room.gameState?.playerColors || {},
+        maxPlayers: room.maxPlayers || MAX_PLAYERS
+      });
+      console.log(`${p.name || 'Player'} disconnected from room ${roomId}; waiting ${RECONNECT_GRACE_MS}ms for reconnect`);
+    });
+
+    delete socketToPlayerUid[socket.id];
+    if (!socket.remote && roomStore.shared) {
+      io.serverSideEmit('remote_disconnect', { socketId: socket.id });
+    }
+  });
+
+  // Follow a tournament's bracket; the current state is sent straight away.
+  socket.on('watch_tournament', async (data = {}) => {
+    try {
       await initMongo();
-      const matchCharge = await chargeEntryFeesForMatch(room, io.sockets.sockets);
-      if (!matchCharge.ok) {
-        socket.emit('error', { message: matchCharge.reason || `Not enough coins. Entry fee is ${COIN_ENTRY_FEE}.` });
-        return;
-      }
-
-      // Reset tokens and state
-      room.gameState.gameStarted = true;
-      room.gameState.diceValue = 0;
-      room.gameState.currentPlayer = selectedColors[0];
-      room.gameState.cutStatus = { r: false, g: false, y: false, b: false };
-      selectedColors.forEach(color => {
-        room.gameState.tokens[color] = [-1, -1, -1, -1];
-      });
-
-      io.to(roomId).emit('game_started', {
-        settings: room.gameState.settings || {},
-        playerColors: room.gameState.playerColors,
-        currentPlayer: room.gameState.currentPlayer,
-        tokens: room.gameState.tokens
-      });
-
-      const firstPlayerId = room.gameState.playerColors[room.gameState.currentPlayer];
-      io.to(roomId).emit('player_turn', {
-        color: room.gameState.currentPlayer,
-        playerId: firstPlayerId,
-        playerName: room.players[firstPlayerId]?.name || 'Player'
-      });
-      startTurnTimer(roomId);
-      console.log(`Game restarted in room ${roomId}`);
-    } catch (error) {
-      console.error('Error restarting game:', error);
-      socket.emit('error', { message: 'Failed to restart game' });
-    }
-  });
-
-  // Roll dice
-  socket.on('roll_dice', (data) => {
-    try {
-      const { roomId } = data;
-      const room = rooms[roomId];
-      
-      if (!room || !room.gameState.gameStarted) {
-        socket.emit('error', { message: 'Game not started' });
-        return;
-      }
-      
-      // Check if it's this player's turn
-      const currentColor = room.gameState.currentPlayer;
-      const currentPlayerId = room.gameState.playerColors[currentColor];
-      
-      if (currentPlayerId !== socket.id) {
-        socket.emit('error', { message: 'Not your turn!' });
-        return;
-      }
-      if (room.gameState.diceValue !== 0) {
-        socket.emit('error', { message: 'Dice already rolled this turn' });
-        return;
-      }
-      
-      // Roll dice (1-6)
-      const diceValue = Math.floor(Math.random() * 6) + 1;
-      room.gameState.diceValue = diceValue;
-      clearTurnTimer(room);
-      
-      // Broadcast dice roll
-      io.to(roomId).emit('dice_rolled', {
-        playerId: socket.id,
-        playerColor: currentColor,
-        playerName: room.players[socket.id]?.name || 'Player',
-        value: diceValue
-      });
-      
-      console.log(`${room.players[socket.id]?.name} rolled ${diceValue} in room ${roomId}`);
-    } catch (error) {
-      console.error('Error rolling dice:', error);
-      socket.emit('error', { message: 'Failed to roll dice' });
-    }
-  });
-
-  // Move token
-  socket.on('move_token', async (data) => {
-    try {
-      const { roomId, color, tokenIndex, diceValue } = data;
-      const room = rooms[roomId];
-      
-      if (!room || !room.gameState.gameStarted) {
-        socket.emit('error', { message: 'Game not started' });
-        return;
-      }
-      
-      // Check if it's this player's turn
-      if (room.gameState.currentPlayer !== color) {
-        socket.emit('error', { message: 'Not your turn!' });
-        return;
-      }
-      
-      // Check if dice value matches
-      if (room.gameState.diceValue !== diceValue) {
-        socket.emit('error', { message: 'Invalid dice value' });
-        return;
-      }
-      
-      await applyMove(roomId, color, tokenIndex, diceValue, socket.id);
-      console.log(`${room.players[socket.id]?.name} moved ${color} token ${tokenIndex}`);
-    } catch (error) {
-      console.error('Error moving token:', error);
-      socket.emit('error', { message: 'Failed to move token' });
-    }
-  });
-
-  // Leave room
-  socket.on('leave_room', (data) => {
-    try {
-      const { roomId } = data;
-      removePlayerFromRoom(roomId, socket.id, "left");
-      
-      socket.leave(roomId);
-    } catch (error) {
-      console.error('Error leaving room:', error);
-    }
-  });
-
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-    removeFromQuickPlayQueue(socket.id);
-    COIN_ROOM_FEES.forEach(fee => {
-      emitQuickPlayQueueUpdate(2, fee);
-      emitQuickPlayQueueUpdate(4, fee);
-    });
-
-    // Mark disconnected; keep room spot for grace period.
-    Object.keys(rooms).forEach(roomId => {
-      const room = rooms[roomId];
-      const p = room?.players?.[socket.id];
-      if (!p) return;
-      p.connected = false;
-      p.disconnectedAt = new Date().toISOString();
-      io.to(roomId).emit('player_disconnected', {
-        playerId: socket.id,
-        playerName: p.name || 'Player',
-        players: room.players,
-        playerCount: room.playerCount,
-        playerColors: room.gameState?.playerColors || {},
-        maxPlayers: room.maxPlayers || MAX_PLAYERS
-      });
-      console.log(`${p.name || 'Player'} disconnected from room ${roomId}; waiting ${RECONNECT_GRACE_MS}ms for reconnect`);
-    });
-
-    delete socketToPlayerUid[socket.id];
-  });
-
-  // Ping to keep connection alive
-  socket.on('ping', () => {
-    socket.emit('pong');
-  });
-});
-
-// Start server
-const PORT = process.env.PORT || 3000;
-initMongo().catch((err) => {
-  console.error('Mongo init failed:', err);
-});
-server.listen(PORT, () => {
-  console.log(`✅ Ludo Server running on port ${PORT}`);
-  console.log(`📱 Access at: http://localhost:${PORT}`);
-  console.log(`🎮 Waiting for players to connect...`);
-});
-
-// Clean up empty rooms every hour
-setInterval(() => {
-  const now = new Date();
-  // Expire disconnected players that didn't reconnect in time.
-  Object.keys(rooms).forEach(roomId => {
-    const room = rooms[roomId];
-    if (!room?.players) return;
-    Object.keys(room.players).forEach(socketId => {
-      const p = room.players[socketId];
-      if (!p?.connected && p?.disconnectedAt) {
-        const elapsed = now.getTime() - new Date(p.disconnectedAt).getTime();
-        if (elapsed > RECONNECT_GRACE_MS) {
-          removePlayerFromRoom(roomId, socketId, "disconnect_timeout");
-        }
-      }
-    });
-  });
-
-  Object.keys(rooms).forEach(roomId => {
-    const room = rooms[roomId];
-    if (room.playerCount === 0) {
-      const roomAge = new Date(room.createdAt);
-      const hoursOld = (now - roomAge) / (1000 * 60 * 60);
-      if (hoursOld > 2) {
-        delete rooms[roomId];
-        console.log(`Cleaned up old room: ${roomId}`);
-      }
-    }
-  });
-}, 60 * 60 * 1000); // Every hour
-
-
+      const tournamentId = String(data.tournamentId || '');
+      const tournament = tournamentsCollection
+        ? await tournamentsCollection.findOne({ _id: tournamentId })
+        : null;
+      if (!tournament) {
+        socket.emit('error', { message: 'Tournament not found' });
+        return;
+      }
+      socket.join(getTournamentChannel(tournamentId));
+      socket.emit('tournament_bracket_updated', tournaments.describeTournament(tournament));
+    } catch (error) {
+      console.error('Error watching tournament:', error);
+      socket.emit('error', { message: 'Failed to watch tournament' });
+    }
+  });
+
+  socket.on('unwatch_tournament', (data = {}) => {
+    socket.leave(getTournamentChannel(String(data.tournamentId || '')));
+  });
+
+  // Ping to keep connection alive
+  socket.on('ping', () => {
+    socket.emit('pong');
+  });
+}
+
+io.on('connection', handleConnection);
+
+// Start server
+const PORT = process.env.PORT || 3000;
+initMongo().catch((err) => {
+  console.error('Mongo init failed:', err);
+});
+server.listen(PORT, () => {
+  console.log(`✅ Ludo Server running on port ${PORT}`);
+  console.log(`📱 Access at: http://localhost:${PORT}`);
+  console.log(`🎮 Waiting for players to connect...`);
+});
+
+// Clean up empty rooms every hour
+setInterval(() => {
+  const now = new Date();
+  // Expire disconnected players that didn't reconnect in time.
+  Object.keys(rooms).forEach(roomId => {
+    const room = rooms[roomId];
+    if (!room?.players) return;
+    Object.keys(room.players).forEach(socketId => {
+      const p = room.players[socketId];
+      if (!p?.connected && p?.disconnectedAt) {
+        const elapsed = now.getTime() - new Date(p.disconnectedAt).getTime();
+        if (elapsed > RECONNECT_GRACE_MS) {
+          removePlayerFromRoom(roomId, socketId, "disconnect_timeout").catch((err) => {
+            console.error('Remove player error:', err);
+          });
+        }
+      }
+    });
+  });
+
+  Object.keys(rooms).forEach(roomId => {
+    const room = rooms[roomId];
+    if (room.playerCount === 0) {
+      const roomAge = new Date(room.createdAt);
+      const hoursOld = (now - roomAge) / (1000 * 60 * 60);
+      if (hoursOld > 2) {
+        endSpectating(roomId, 'room_closed');
+        delete rooms[roomId];
+        checkpointRoom(roomId);
+        console.log(`Cleaned up old room: ${roomId}`);
+      }
+    }
+  });
+
+  // Escrows can also be orphaned while the server is running.
+  reconcileEscrows().catch((err) => {
+    console.error('Escrow reconcile error:', err);
+  });
+}, 60 * 60 * 1000); // Every hour
+
+
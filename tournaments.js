@@ -0,0 +1,280 @@
+// Tournaments.
+//
+// Players register while registration is open and pay the buy-in. At the
+// start time they are shuffled into tables of two or four; the winner of each
+// table advances and the next round is seated in bracket order, until a round
+// produces a single winner. A table of one is a bye. Everyone is ranked by the
+// round they reached and their place at their last table, and the prize pool
+// is split over those places.
+
+const TOURNAMENT_STATUSES = ['registration', 'running', 'finished', 'cancelled'];
+const TABLE_SIZES = [2, 4];
+const MAX_ENTRANTS = 256;
+const MAX_HOUSE_FEE_PERCENT = 50;
+const DEFAULT_PAYOUT = [60, 30, 10];
+
+function toDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// "60/30/10" or [60, 30, 10]: percent of the prize for each finishing place.
+function parsePayout(raw) {
+  const parts = Array.isArray(raw) ? raw : String(raw || '').split('/');
+  const payout = parts.map(v => (typeof v === 'number' ? v : parseInt(String(v).trim(), 10)));
+  if (payout.length === 0 || payout.some(v => !Number.isInteger(v) || v < 0)) return null;
+  if (payout.reduce((sum, v) => sum + v, 0) !== 100) return null;
+  return payout;
+}
+
+// Strict check of an admin tournament definition. Returns the fields to store.
+function validateTournament(input, defaults = {}, now = new Date()) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, error: 'Tournament must be an object' };
+  }
+  const name = String(input.name || '').trim();
+  if (!name || name.length > 60) {
+    return { ok: false, error: 'name must be 1 to 60 characters' };
+  }
+  const buyIn = input.buyIn ?? 0;
+  if (!Number.isInteger(buyIn) || buyIn < 0) {
+    return { ok: false, error: 'buyIn must be a whole number of coins' };
+  }
+  const tableSize = input.tableSize ?? 4;
+  if (!TABLE_SIZES.includes(tableSize)) {
+    return { ok: false, error: `tableSize must be one of ${TABLE_SIZES.join(', ')}` };
+  }
+  const minPlayers = input.minPlayers ?? 2;
+  const maxPlayers = input.maxPlayers ?? 64;
+  if (!Number.isInteger(minPlayers) || minPlayers < 2) {
+    return { ok: false, error: 'minPlayers must be at least 2' };
+  }
+  if (!Number.isInteger(maxPlayers) || maxPlayers < minPlayers || maxPlayers > MAX_ENTRANTS) {
+    return { ok: false, error: `maxPlayers must be from minPlayers to ${MAX_ENTRANTS}` };
+  }
+  const payout = input.payout === undefined ? (defaults.payout || DEFAULT_PAYOUT) : parsePayout(input.payout);
+  if (!payout) {
+    return { ok: false, error: 'payout must be whole percentages summing to 100, e.g. "60/30/10"' };
+  }
+  const houseFeePercent = input.houseFeePercent ?? defaults.houseFeePercent ?? 0;
+  if (!Number.isInteger(houseFeePercent) || houseFeePercent < 0 || houseFeePercent > MAX_HOUSE_FEE_PERCENT) {
+    return { ok: false, error: `houseFeePercent must be a whole number from 0 to ${MAX_HOUSE_FEE_PERCENT}` };
+  }
+  const registrationOpensAt = toDate(input.registrationOpensAt);
+  const startsAt = toDate(input.startsAt);
+  if (registrationOpensAt === undefined || !startsAt) {
+    return { ok: false, error: 'startsAt is required and both times must be dates' };
+  }
+  if (startsAt <= now) {
+    return { ok: false, error: 'startsAt must be in the future' };
+  }
+  if (registrationOpensAt && registrationOpensAt >= startsAt) {
+    return { ok: false, error: 'registrationOpensAt must be before startsAt' };
+  }
+  return {
+    ok: true,
+    tournament: {
+      name,
+      buyIn,
+      tableSize,
+      minPlayers,
+      maxPlayers,
+      payout,
+      houseFeePercent,
+      registrationOpensAt: registrationOpensAt || now,
+      startsAt
+    }
+  };
+}
+
+function isRegistrationOpen(tournament, now = new Date()) {
+  return tournament?.status === 'registration'
+    && new Date(tournament.registrationOpensAt) <= now
+    && new Date(tournament.startsAt) > now;
+}
+
+// Fisher-Yates; randomInt(n) returns 0..n-1.
+function shuffle(list, randomInt) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Seats players in order at as few tables as fit them, with table sizes at
+// most one apart. A lone player gets a bye and advances straight away.
+function seedRound(playerUids, tableSize, round) {
+  const tableCount = Math.max(1, Math.ceil(playerUids.length / tableSize));
+  const base = Math.floor(playerUids.length / tableCount);
+  const extra = playerUids.length % tableCount;
+  const tables = [];
+  let next = 0;
+  for (let index = 0; index < tableCount; index++) {
+    const seats = playerUids.slice(next, next + base + (index < extra ? 1 : 0));
+    next += seats.length;
+    const bye = seats.length === 1;
+    tables.push({
+      id: `${round}-${index + 1}`,
+      round,
+      index,
+      seats,
+      status: bye ? 'bye' : 'pending',
+      roomId: null,
+      ranking: bye ? [seats] : null,
+      noShows: [],
+      winnerUid: bye ? seats[0] : null
+    });
+  }
+  return tables;
+}
+
+function getRoundTables(tournament, round = tournament.round) {
+  return (tournament.tables || [])
+    .filter(table => table.round === round)
+    .sort((a, b) => a.index - b.index);
+}
+
+function isTableDone(table) {
+  return table.status === 'finished' || table.status === 'bye';
+}
+
+function isRoundComplete(tournament) {
+  const tables = getRoundTables(tournament);
+  return tables.length > 0 && tables.every(isTableDone);
+}
+
+// Winners in bracket order, so neighbouring tables meet in the next round.
+function getRoundWinners(tournament) {
+  return getRoundTables(tournament).map(table => table.winnerUid).filter(Boolean);
+}
+
+// Place at a table: from its ranking, with no-shows after everyone who played.
+function getTablePlace(table, playerUid) {
+  const idx = (table.ranking || []).findIndex(place => place.includes(playerUid));
+  if (idx >= 0) return idx + 1;
+  return table.seats.length + 1;
+}
+
+// Everyone ranked by the furthest round they reached, then by their place at
+// their last table. Players level on both share a place.
+function getStandings(tournament) {
+  const lastTable = {};
+  for (const table of tournament.tables || []) {
+    for (const playerUid of table.seats) {
+      if (!lastTable[playerUid] || lastTable[playerUid].round < table.round) {
+        lastTable[playerUid] = table;
+      }
+    }
+  }
+  const rows = Object.keys(lastTable).map(playerUid => ({
+    playerUid,
+    round: lastTable[playerUid].round,
+    tablePlace: getTablePlace(lastTable[playerUid], playerUid)
+  }));
+  rows.sort((a, b) => (b.round - a.round) || (a.tablePlace - b.tablePlace));
+  return rows.map((row, idx) => {
+    const first = rows.findIndex(other => other.round === row.round && other.tablePlace === row.tablePlace);
+    return { playerUid: row.playerUid, place: (first >= 0 ? first : idx) + 1, round: row.round };
+  });
+}
+
+// Splits the pool after the house fee over the standings. Payout places with
+// nobody to fill them fall to first place; players sharing a place split the
+// places they cover evenly, and an odd coin goes to the first of them.
+function splitTournamentPool(standings, pool, houseFeePercent, payout) {
+  const fee = Math.max(0, Math.round(pool * ((houseFeePercent || 0) / 100)));
+  const prize = Math.max(0, pool - fee);
+  if (standings.length === 0) {
+    return { prize: 0, fee, unclaimed: prize, shares: [] };
+  }
+  const table = payout.slice(0, standings.length);
+  table[0] += 100 - table.reduce((sum, v) => sum + v, 0);
+  const placeAmounts = table.map((pct, idx) => (idx > 0 ? Math.floor(prize * (pct / 100)) : 0));
+  placeAmounts[0] = prize - placeAmounts.reduce((sum, v) => sum + v, 0);
+
+  const shares = [];
+  let idx = 0;
+  while (idx < standings.length) {
+    const group = standings.filter(row => row.place === standings[idx].place);
+    const total = group.reduce((sum, _, i) => sum + (placeAmounts[idx + i] || 0), 0);
+    const share = Math.floor(total / group.length);
+    group.forEach((row, i) => {
+      shares.push({
+        playerUid: row.playerUid,
+        place: row.place,
+        amount: i === 0 ? total - share * (group.length - 1) : share
+      });
+    });
+    idx += group.length;
+  }
+  return { prize, fee, unclaimed: 0, shares };
+}
+
+function describeTournament(tournament, now = new Date()) {
+  const names = (tournament.entrants || []).reduce((acc, entrant) => {
+    acc[entrant.playerUid] = entrant.name || 'Player';
+    return acc;
+  }, {});
+  const describeSeat = playerUid => ({ playerUid, name: names[playerUid] || 'Player' });
+  const rounds = [];
+  for (let round = 1; round <= (tournament.round || 0); round++) {
+    const tables = getRoundTables(tournament, round);
+    rounds.push({
+      round,
+      final: tables.length === 1,
+      tables: tables.map(table => ({
+        id: table.id,
+        status: table.status,
+        roomId: table.roomId || null,
+        seats: table.seats.map(describeSeat),
+        ranking: table.ranking || null,
+        noShows: table.noShows || [],
+        winnerUid: table.winnerUid || null,
+        joinBy: table.joinBy || null
+      }))
+    });
+  }
+  const entrants = tournament.entrants || [];
+  return {
+    id: tournament._id,
+    name: tournament.name,
+    status: tournament.status,
+    buyIn: tournament.buyIn,
+    tableSize: tournament.tableSize,
+    minPlayers: tournament.minPlayers,
+    maxPlayers: tournament.maxPlayers,
+    payout: tournament.payout,
+    houseFeePercent: tournament.houseFeePercent,
+    registrationOpensAt: tournament.registrationOpensAt,
+    startsAt: tournament.startsAt,
+    registrationOpen: isRegistrationOpen(tournament, now),
+    entrantCount: entrants.length,
+    entrants: entrants.map(entrant => describeSeat(entrant.playerUid)),
+    pool: tournament.buyIn * entrants.length,
+    round: tournament.round || 0,
+    rounds,
+    results: tournament.results || null,
+    cancelReason: tournament.cancelReason || null,
+    finishedAt: tournament.finishedAt || null
+  };
+}
+
+module.exports = {
+  TOURNAMENT_STATUSES,
+  TABLE_SIZES,
+  parsePayout,
+  validateTournament,
+  isRegistrationOpen,
+  shuffle,
+  seedRound,
+  getRoundTables,
+  isTableDone,
+  isRoundComplete,
+  getRoundWinners,
+  getStandings,
+  splitTournamentPool,
+  describeTournament
+};